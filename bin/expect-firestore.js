@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+require('regenerator-runtime/runtime');
+
+const run = require('../lib/cli').default;
+
+run(process.argv.slice(2)).then(
+    code => {
+        process.exitCode = code;
+    },
+    error => {
+        console.error(error);
+        process.exitCode = 2;
+    }
+);
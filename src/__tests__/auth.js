@@ -0,0 +1,123 @@
+import Database from '../database';
+import Auth from '../auth';
+import assert from '../assert';
+import LocalBackend from '../backends/local';
+
+const RULES = `service cloud.firestore {
+  match /databases/{database}/documents {
+    match /posts/{postID} {
+      allow read: if request.auth != null;
+      allow create: if request.auth.token.email_verified == true
+        && request.auth.token.firebase.sign_in_provider != 'anonymous';
+      allow delete: if request.auth.token.admin == true;
+    }
+
+    match /events/{eventID} {
+      allow read: if request.time < resource.data.endsAt;
+    }
+  }
+}`;
+
+const DATA = {
+    posts: [{ key: 'postA', fields: {}, collections: {} }],
+    events: [
+        {
+            key: 'eventA',
+            fields: { endsAt: new Date('2018-01-01T00:00:00.000Z') },
+            collections: {}
+        }
+    ]
+};
+
+function createDatabase(options = {}) {
+    return new Database({
+        data: DATA,
+        rules: RULES,
+        backend: new LocalBackend(),
+        ...options
+    });
+}
+
+describe('Auth', () => {
+    it('should build the token of a user', () => {
+        expect(
+            Auth.user('userA', {
+                email: 'a@example.com',
+                provider: 'google.com',
+                claims: { admin: true }
+            })
+        ).toEqual({
+            uid: 'userA',
+            token: {
+                sub: 'userA',
+                admin: true,
+                email: 'a@example.com',
+                email_verified: false,
+                firebase: {
+                    sign_in_provider: 'google.com',
+                    identities: { email: ['a@example.com'] }
+                }
+            }
+        });
+    });
+
+    it('should test unauthenticated requests', async () => {
+        const db = createDatabase();
+
+        assert(await db.cannotGet(Auth.unauthenticated(), 'posts/postA'));
+        assert(await db.canGet(Auth.anonymous(), 'posts/postA'));
+    });
+
+    it('should expose the token claims', async () => {
+        const db = createDatabase();
+        const verified = Auth.user('userA', {
+            email: 'a@example.com',
+            emailVerified: true
+        });
+
+        assert(await db.canSet(verified, 'posts/postB', {}));
+        assert(
+            await db.cannotSet(
+                Auth.user('userA', { email: 'a@example.com' }),
+                'posts/postB',
+                {}
+            )
+        );
+        assert(await db.cannotSet(Auth.anonymous(), 'posts/postB', {}));
+        assert(
+            await db.canCommit(
+                Auth.user('admin', { claims: { admin: true } }),
+                [{ method: 'delete', document: 'posts/postA' }]
+            )
+        );
+        assert(
+            await db.cannotCommit(verified, [
+                { method: 'delete', document: 'posts/postA' }
+            ])
+        );
+    });
+});
+
+describe('request.time', () => {
+    it('should use the time of the database', async () => {
+        const db = createDatabase({ time: '2017-12-31T00:00:00.000Z' });
+        assert(await db.canGet(null, 'events/eventA'));
+
+        db.setTime(new Date('2018-01-02T00:00:00.000Z'));
+        assert(await db.cannotGet(null, 'events/eventA'));
+
+        db.setTime(null);
+        assert(await db.cannotGet(null, 'events/eventA'));
+    });
+
+    it('should use the time of a test', async () => {
+        const db = createDatabase({ time: '2018-01-02T00:00:00.000Z' });
+
+        assert(
+            await db.canGet(null, 'events/eventA', {
+                time: Date.parse('2017-12-31T00:00:00.000Z')
+            })
+        );
+        assert(await db.cannotGet(null, 'events/eventA'));
+    });
+});
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import run from '../cli';
+import { readSpec } from '../cli/specFile';
+
+const SPEC = path.join(__dirname, 'fixtures/spec.yml');
+
+function createOutput() {
+    const output = {
+        content: '',
+        write: content => {
+            output.content += content;
+        }
+    };
+    return output;
+}
+
+function writeSpec(content) {
+    const file = path.join(os.tmpdir(), `expect-firestore-${Date.now()}.json`);
+    fs.writeFileSync(
+        file,
+        JSON.stringify({
+            rules: path.join(__dirname, 'fixtures/firestore.rules'),
+            data: path.join(__dirname, 'fixtures/db.json'),
+            ...content
+        })
+    );
+    return file;
+}
+
+describe('readSpec', () => {
+    it('should resolve the files relative to the spec', () => {
+        const spec = readSpec(SPEC);
+
+        expect(spec.rules).toEqual(
+            path.join(__dirname, 'fixtures/firestore.rules')
+        );
+        expect(spec.data).toEqual(path.join(__dirname, 'fixtures/db.json'));
+        expect(spec.tests.length).toEqual(6);
+    });
+
+    it('should validate the cases', () => {
+        const file = writeSpec({
+            tests: [{ op: 'remove', path: 'users/userA', expect: 'allow' }]
+        });
+
+        expect(() => readSpec(file)).toThrow(
+            `${
+                file
+            }: test #1: "op" must be one of get, list, set, create, update, delete, commit`
+        );
+        fs.unlinkSync(file);
+    });
+});
+
+describe('cli', () => {
+    it('should print a table of the results', async () => {
+        const stdout = createOutput();
+        const code = await run(['--local', SPEC], stdout);
+
+        expect(code).toBe(0);
+        expect(stdout.content).toMatch(
+            /^RESULT {2}EXPECT {2}OP {6}PATH {9}NAME\nPASS {4}allow {3}get {5}users\/userB {2}Public users can be read\n/
+        );
+        expect(stdout.content).toMatch(
+            /unauthenticated cannot get users\/userA/
+        );
+        expect(stdout.content).toMatch(/6 passed, 0 failed, 6 total\n$/);
+    });
+
+    it('should exit with an error when a case fails', async () => {
+        const file = writeSpec({
+            tests: [
+                {
+                    name: 'Private users can be read',
+                    op: 'get',
+                    path: 'users/userA',
+                    expect: 'allow'
+                }
+            ]
+        });
+        const stdout = createOutput();
+        const code = await run(['--local', file], stdout);
+
+        expect(code).toBe(1);
+        expect(stdout.content).toMatch(
+            /Private users can be read\nExpected the get operation to succeed\./
+        );
+        fs.unlinkSync(file);
+    });
+
+    it('should write a JUnit report', async () => {
+        const file = writeSpec({
+            tests: [
+                { op: 'get', path: 'users/userB', expect: 'allow' },
+                { op: 'get', path: 'users/userB', expect: 'deny' }
+            ]
+        });
+        const output = `${file}.xml`;
+        const code = await run([
+            '--local',
+            '--reporter',
+            'junit',
+            '--output',
+            output,
+            file
+        ]);
+        const report = fs.readFileSync(output, 'utf8');
+
+        expect(code).toBe(1);
+        expect(report).toMatch(/<testsuites tests="2" failures="1">/);
+        expect(report).toMatch(
+            /<testcase name="unauthenticated can get users\/userB" classname="[^"]+"\/>/
+        );
+        expect(report).toMatch(
+            /<failure message="Expected the get operation to fail\.">/
+        );
+        fs.unlinkSync(file);
+        fs.unlinkSync(output);
+    });
+
+    it('should require a credential without --local', async () => {
+        const stderr = createOutput();
+        const code = await run([SPEC], createOutput(), stderr);
+
+        expect(code).toBe(2);
+        expect(stderr.content).toEqual(
+            `${SPEC}: a credential is required, or use --local\n`
+        );
+    });
+});
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import Database from '../database';
+import LocalBackend from '../backends/local';
+import Batch from '../batch';
+import Auth from '../auth';
+import { formatComparison } from '../comparison';
+
+const RULES = fs.readFileSync(
+    path.join(__dirname, 'fixtures/firestore.rules'),
+    { encoding: 'utf8' }
+);
+const NEW_RULES = RULES.replace(
+    'allow write: if isCurrentUser(userID);',
+    'allow update: if isCurrentUser(userID);'
+).replace(
+    'allow read: if resource.data != null && resource.data.public == true;',
+    'allow read: if resource.data != null && (resource.data.public == true || isCurrentUser(userID));'
+);
+const DATA = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'fixtures/db.json'))
+);
+
+function createDatabase() {
+    return new Database({
+        data: DATA,
+        rules: RULES,
+        backend: new LocalBackend(),
+        coverage: true
+    });
+}
+
+describe('compareRules', () => {
+    it('should list the cases which changed outcome', async () => {
+        const db = createDatabase();
+        const owner = Auth.user('userA');
+
+        const comparison = await db.compareRules(RULES, NEW_RULES, [
+            db.createGetTest(true, owner, 'users/userA'),
+            db.createGetTest(true, owner, 'users/userB'),
+            db.createCommitTest(true, owner, [Batch.delete('users/userA')]),
+            db.createCommitTest(true, owner, [
+                Batch.update('users/userA', { name: 'A' })
+            ])
+        ]);
+
+        expect(comparison.total).toEqual(4);
+        expect(
+            comparison.changes.map(({ name, before, after }) => [
+                name,
+                before,
+                after
+            ])
+        ).toEqual([
+            ['get users/userA as userA', 'deny', 'allow'],
+            ['delete users/userA as userA', 'allow', 'deny']
+        ]);
+        expect(formatComparison(comparison)).toEqual(
+            [
+                '2 of 4 case(s) changed outcome:',
+                '  - get users/userA as userA: deny -> allow',
+                '  - delete users/userA as userA: allow -> deny'
+            ].join('\n')
+        );
+    });
+
+    it('should use the expectation of the test cases', async () => {
+        const db = createDatabase();
+
+        const comparison = await db.compareRules(RULES, NEW_RULES, [
+            db.createGetTest(false, Auth.user('userA'), 'users/userA')
+        ]);
+
+        expect(comparison.changes[0].before).toEqual('deny');
+        expect(comparison.changes[0].after).toEqual('allow');
+    });
+
+    it('should generate the cases of a matrix', async () => {
+        const db = createDatabase();
+
+        const comparison = await db.compareRules(RULES, NEW_RULES, {
+            personas: { anon: null, owner: Auth.user('userA') },
+            paths: ['users/userA', 'users/userC']
+        });
+
+        expect(formatComparison(comparison)).toEqual(
+            [
+                '2 of 16 case(s) changed outcome:',
+                '  - owner get users/userA: deny -> allow',
+                '  - owner delete users/userA: allow -> deny'
+            ].join('\n')
+        );
+    });
+
+    it('should not record the coverage of the compared rules', async () => {
+        const db = createDatabase();
+
+        await db.compareRules(RULES, NEW_RULES, [
+            db.createGetTest(true, null, 'users/userB')
+        ]);
+
+        expect(db.coverage.getReport().files).toEqual([]);
+    });
+});
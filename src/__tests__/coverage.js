@@ -0,0 +1,129 @@
+import fs from 'fs';
+import path from 'path';
+import Database from '../database';
+import LocalBackend from '../backends/local';
+import StubBackend from '../backends/stub';
+import Coverage from '../coverage';
+
+const RULES = fs.readFileSync(
+    path.join(__dirname, 'fixtures/firestore.rules'),
+    { encoding: 'utf8' }
+);
+const DATA = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'fixtures/db.json'))
+);
+
+function createDatabase(coverage) {
+    return new Database({
+        data: DATA,
+        rules: RULES,
+        backend: new LocalBackend(),
+        coverage
+    });
+}
+
+describe('Coverage', () => {
+    it('should list the rules of the file', async () => {
+        const db = createDatabase(true);
+        await db.canGet({}, 'users/userB');
+
+        const report = db.coverage.getReport();
+        expect(report.total).toEqual(10);
+        expect(report.covered).toEqual(1);
+        expect(report.files[0].items.map(item => item.line)).toEqual([
+            4,
+            5,
+            8,
+            9,
+            14,
+            15,
+            24,
+            25,
+            30,
+            35
+        ]);
+    });
+
+    it('should accumulate the hits of multiple databases', async () => {
+        const coverage = new Coverage();
+        const db = createDatabase(coverage);
+        const other = createDatabase(coverage);
+
+        await db.canGet({}, 'users/userB');
+        await other.canGet({}, 'users/userA');
+        await other.canGet({}, 'users/userB/companies/companyA');
+
+        const { files, percentage } = coverage.getReport();
+        const hits = files[0].items.map(item => item.hits);
+
+        expect(hits).toEqual([2, 0, 1, 0, 0, 0, 0, 0, 0, 1]);
+        expect(percentage).toEqual(30);
+    });
+
+    it('should format the report', async () => {
+        const db = createDatabase(true);
+        await db.canSet({ uid: 'userA' }, 'users/userA', { name: 'A' });
+
+        expect(db.coverage.format('text').split('\n')).toEqual([
+            'firestore.rules: 2/10 rules covered (20%)',
+            '    line 4: allow read - not covered',
+            '    line 5: allow write - 1 hit(s)',
+            '    line 8: allow read - not covered',
+            '    line 9: allow update - not covered',
+            '    line 14: allow read - not covered',
+            '    line 15: allow write - not covered',
+            '    line 24: allow read - not covered',
+            '    line 25: allow write - not covered',
+            '    line 30: function isCurrentUser - 1 hit(s)',
+            '    line 35: function isPublicUser - not covered',
+            'Total: 2/10 rules covered (20%)'
+        ]);
+
+        expect(db.coverage.format('lcov')).toMatch(
+            /^TN:\nSF:firestore.rules\nFN:30,isCurrentUser\nFN:35,isPublicUser\nFNDA:1,isCurrentUser\nFNDA:0,isPublicUser\nFNF:2\nFNH:1\nDA:4,0\nDA:5,1\n/
+        );
+        expect(JSON.parse(db.coverage.format('json')).covered).toEqual(2);
+    });
+
+    it('should fail when the coverage is under a minimum', async () => {
+        const db = createDatabase(true);
+        await db.canGet({}, 'users/userB');
+
+        expect(() => db.coverage.check(5)).not.toThrow();
+        expect(() => db.coverage.check()).toThrow(
+            /^Rules coverage \(10%\) is under 100%\.\n\nfirestore.rules: 1\/10 rules covered \(10%\)\n {4}line 5: allow write - not covered\n/
+        );
+    });
+
+    it('should fail the report when the rules are not parsed locally', async () => {
+        // The backend accepts rules the local parser doesn't support
+        const db = new Database({
+            data: DATA,
+            rules: 'service cloud.firestore { match',
+            backend: new StubBackend(),
+            coverage: true
+        });
+
+        await expect(db.canGet({}, 'users/userB')).resolves.toBeDefined();
+
+        const error = /^Can't compute the rules coverage, the rules can't be parsed locally:\n\nLine 1/;
+        expect(() => db.coverage.getReport()).toThrow(error);
+        expect(() => db.coverage.format('lcov')).toThrow(error);
+        expect(() => db.coverage.check(0)).toThrow(error);
+
+        db.coverage.reset();
+        expect(db.coverage.getReport().percentage).toBe(null);
+    });
+
+    it('should not pass without rules to cover', () => {
+        const coverage = new Coverage();
+
+        expect(coverage.getReport().percentage).toBe(null);
+        expect(coverage.format('text')).toEqual(
+            'Total: 0/0 rules covered (no data)'
+        );
+        expect(() => coverage.check(0)).toThrow(
+            'No rules coverage data, no rules were found in the tested sources'
+        );
+    });
+});
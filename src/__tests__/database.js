@@ -11,9 +11,7 @@ const RULES = fs.readFileSync(
 const DATA = JSON.parse(
     fs.readFileSync(path.join(__dirname, 'fixtures/db.json'))
 );
-const CREDENTIAL = JSON.parse(
-    fs.readFileSync(path.join(__dirname, '../../credential.json'))
-);
+const CREDENTIAL = path.join(__dirname, '../../credential.json');
 
 const db = new Database({
     data: DATA,
@@ -43,7 +41,7 @@ describe('getDocument', () => {
 describe('createMockFunctions', () => {
     it('should return exists and get methods for all documents', () => {
         const functions = db.createMockFunctions();
-        expect(functions.length).toEqual(11);
+        expect(functions.length).toEqual(12);
     });
 });
 
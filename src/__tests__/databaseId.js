@@ -0,0 +1,58 @@
+import Database from '../database';
+import assert from '../assert';
+import LocalBackend from '../backends/local';
+
+const RULES = `service cloud.firestore {
+  match /databases/{database}/documents {
+    match /docs/{docID} {
+      allow get: if database == 'tenant-a'
+        && exists(/databases/$(database)/documents/users/$(request.auth.uid));
+      allow create: if getAfter(/databases/$(database)/documents/docs/$(docID)).data.owner == request.auth.uid;
+    }
+  }
+}`;
+
+function createDatabase(options = {}) {
+    return new Database({
+        data: {
+            'users/userA': {},
+            'docs/docA': {}
+        },
+        rules: RULES,
+        backend: new LocalBackend(),
+        ...options
+    });
+}
+
+describe('databaseId', () => {
+    it('should use the default database', async () => {
+        const db = createDatabase();
+        const result = await db.cannotGet({ uid: 'userA' }, 'docs/docA');
+
+        assert(result);
+        expect(result.tests[0].case.request.path).toEqual(
+            '/databases/(default)/documents/docs/docA'
+        );
+    });
+
+    it('should use the database in the paths and mocks', async () => {
+        const db = createDatabase({ databaseId: 'tenant-a' });
+
+        assert(await db.canGet({ uid: 'userA' }, 'docs/docA'));
+        assert(await db.cannotGet({ uid: 'userB' }, 'docs/docA'));
+        assert(
+            await db.canSet({ uid: 'userA' }, 'docs/docB', { owner: 'userA' })
+        );
+    });
+
+    it('should override the database for a test', async () => {
+        const db = createDatabase({ databaseId: 'tenant-b' });
+
+        assert(await db.cannotGet({ uid: 'userA' }, 'docs/docA'));
+        assert(
+            await db.canGet({ uid: 'userA' }, 'docs/docA', {
+                databaseId: 'tenant-a'
+            })
+        );
+    });
+});
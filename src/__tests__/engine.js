@@ -0,0 +1,301 @@
+import { compile, testRules } from '../engine';
+
+function createSource(body, version) {
+    return {
+        files: [
+            {
+                name: 'firestore.rules',
+                content: `${
+                    version ? `rules_version = '${version}';\n` : ''
+                }service cloud.firestore {
+  match /databases/{database}/documents {
+    ${body}
+  }
+}`
+            }
+        ]
+    };
+}
+
+function createTestCase(path, method = 'get', options = {}) {
+    return {
+        expectation: 'ALLOW',
+        request: {
+            auth: options.auth || {},
+            path: `/databases/(default)/documents/${path}`,
+            method,
+            resource: options.data ? { data: options.data } : null
+        },
+        resource: options.resource || null,
+        functionMocks: options.functionMocks || []
+    };
+}
+
+function isAllowed(body, testCase, version) {
+    const { testResults, issues } = testRules(createSource(body, version), [
+        testCase
+    ]);
+
+    if (issues) {
+        throw new Error(issues[0].description);
+    }
+
+    return testResults[0].state == 'SUCCESS';
+}
+
+function evaluate(expression, options = {}) {
+    return isAllowed(
+        `match /docs/{docID} { allow read: if ${expression}; }`,
+        createTestCase('docs/doc1', 'get', options)
+    );
+}
+
+describe('compile', () => {
+    it('should parse a ruleset', () => {
+        const { ruleset, issues } = compile(
+            createSource(`
+    // A comment
+    function isSignedIn() {
+        return request.auth != null
+    }
+
+    match /users/{userID} {
+        allow read, write: if isSignedIn();
+        /* Nested rules */
+        match /{document=**} {
+            allow get;
+        }
+    }`)
+        );
+
+        expect(issues).toEqual([]);
+        expect(ruleset.matches[0].functions[0].name).toEqual('isSignedIn');
+        expect(ruleset.matches[0].matches[0].allows[0].methods).toEqual([
+            'read',
+            'write'
+        ]);
+    });
+
+    it('should return issues for syntax errors', () => {
+        const { ruleset, issues } = compile(
+            createSource('match /users/{userID} { allow: if true; }')
+        );
+
+        expect(ruleset).toBe(null);
+        expect(issues).toEqual([
+            {
+                sourcePosition: {
+                    fileName: 'firestore.rules',
+                    line: 3,
+                    column: 34
+                },
+                description: 'Unexpected ":", expected an identifier',
+                severity: 'ERROR'
+            }
+        ]);
+    });
+
+    it('should reject unknown methods', () => {
+        const { issues } = compile(
+            createSource('match /users/{userID} { allow remove: if true; }')
+        );
+
+        expect(issues[0].description).toEqual('Unknown method "remove"');
+    });
+});
+
+describe('matching', () => {
+    it('should bind wildcards', () => {
+        const rules = `match /users/{userID} {
+            allow read: if request.auth.uid == userID;
+        }`;
+
+        expect(
+            isAllowed(
+                rules,
+                createTestCase('users/a', 'get', { auth: { uid: 'a' } })
+            )
+        ).toBe(true);
+        expect(
+            isAllowed(
+                rules,
+                createTestCase('users/a', 'get', { auth: { uid: 'b' } })
+            )
+        ).toBe(false);
+    });
+
+    it('should match recursive wildcards', () => {
+        const rules = `match /users/{rest=**} {
+            allow read: if rest[0] == 'a';
+        }`;
+
+        expect(isAllowed(rules, createTestCase('users/a/posts/b'))).toBe(true);
+        expect(isAllowed(rules, createTestCase('users/b/posts/b'))).toBe(false);
+    });
+
+    it('should match recursive wildcards with no segments in version 2', () => {
+        const rules = `match /users/{userID} {
+            match /{rest=**} {
+                allow read: if true;
+            }
+        }`;
+
+        expect(isAllowed(rules, createTestCase('users/a'))).toBe(false);
+        expect(isAllowed(rules, createTestCase('users/a'), '2')).toBe(true);
+    });
+
+    it('should match any document for list requests', () => {
+        const rules = `match /users/{userID} {
+            allow list: if userID == null && request.query.limit <= 10;
+        }`;
+        const testCase = createTestCase('users', 'list');
+
+        testCase.request.query = { limit: 10 };
+        expect(isAllowed(rules, testCase)).toBe(true);
+
+        testCase.request.query = { limit: 20 };
+        expect(isAllowed(rules, testCase)).toBe(false);
+    });
+
+    it('should only apply statements for the method', () => {
+        const rules = `match /users/{userID} {
+            allow read: if true;
+            allow create: if false;
+        }`;
+
+        expect(isAllowed(rules, createTestCase('users', 'list'))).toBe(true);
+        expect(isAllowed(rules, createTestCase('users/a', 'create'))).toBe(
+            false
+        );
+    });
+});
+
+describe('functions', () => {
+    it('should support parameters and bindings', () => {
+        const rules = `
+        function isOwner(doc) {
+            let owner = doc.owner;
+            return owner == request.auth.uid;
+        }
+
+        match /docs/{docID} {
+            allow read: if isOwner(resource.data);
+        }`;
+
+        const testCase = createTestCase('docs/a', 'get', {
+            auth: { uid: 'u1' },
+            resource: { data: { owner: 'u1' } }
+        });
+        expect(isAllowed(rules, testCase)).toBe(true);
+    });
+
+    it('should use the most specific mock', () => {
+        const functionMocks = [
+            {
+                function: 'exists',
+                args: [{ anyValue: {} }],
+                result: { value: false }
+            },
+            {
+                function: 'exists',
+                args: [
+                    {
+                        exact_value: '/databases/(default)/documents/users/a'
+                    }
+                ],
+                result: { value: true }
+            }
+        ];
+
+        expect(
+            evaluate('exists(/databases/$(database)/documents/users/a)', {
+                functionMocks
+            })
+        ).toBe(true);
+        expect(
+            evaluate('exists(/databases/$(database)/documents/users/b)', {
+                functionMocks
+            })
+        ).toBe(false);
+    });
+
+    it('should deny when a function is not mocked', () => {
+        expect(
+            evaluate('get(/databases/$(database)/documents/a/b) == null')
+        ).toBe(false);
+    });
+
+    it('should report debug messages', () => {
+        const { testResults } = testRules(
+            createSource(
+                'match /docs/{docID} { allow read: if debug(docID) == "a"; }'
+            ),
+            [createTestCase('docs/a')]
+        );
+
+        expect(testResults[0].state).toEqual('SUCCESS');
+        expect(testResults[0].debugMessages).toEqual(['a']);
+    });
+});
+
+describe('expressions', () => {
+    it('should evaluate operators', () => {
+        expect(evaluate('1 + 2 * 3 == 7')).toBe(true);
+        expect(evaluate('7 / 2 == 3 && 7 % 2 == 1')).toBe(true);
+        expect(evaluate('"a" + "b" == "ab"')).toBe(true);
+        expect(evaluate('[1, 2] + [3] == [1, 2, 3]')).toBe(true);
+        expect(evaluate('2 in [1, 2] && "a" in {"a": 1}')).toBe(true);
+        expect(evaluate('!(1 > 2) && -1 < 0')).toBe(true);
+        expect(evaluate('true ? 1 == 1 : false')).toBe(true);
+    });
+
+    it('should evaluate type checks', () => {
+        expect(evaluate('"a" is string && 1 is int && 1.5 is float')).toBe(
+            true
+        );
+        expect(evaluate('{} is map && [] is list && null is string')).toBe(
+            false
+        );
+        expect(evaluate('request.time is timestamp')).toBe(true);
+        expect(evaluate('request.path is path')).toBe(true);
+    });
+
+    it('should ignore errors when the other side decides', () => {
+        expect(evaluate('resource.data.a == 1 || true')).toBe(true);
+        expect(evaluate('false && resource.data.a == 1')).toBe(false);
+        expect(evaluate('resource.data.a == 1 || false')).toBe(false);
+    });
+
+    it('should evaluate methods', () => {
+        expect(evaluate('"Hello".lower() == "hello"')).toBe(true);
+        expect(evaluate('"abc".matches("a.*") && "abc".size() == 3')).toBe(
+            true
+        );
+        expect(evaluate('[1, 2, 3].hasAll([1, 3])')).toBe(true);
+        expect(evaluate('[1, 2].hasOnly([1])')).toBe(false);
+        expect(evaluate('{"a": 1}.keys() == ["a"]')).toBe(true);
+        expect(evaluate('{"a": 1}.get("b", 2) == 2')).toBe(true);
+        expect(
+            evaluate(
+                '{"a": 1, "b": 2}.diff({"a": 1, "c": 3}).affectedKeys() == ["b", "c"].toSet()'
+            )
+        ).toBe(true);
+    });
+
+    it('should evaluate namespaced functions', () => {
+        expect(evaluate('math.abs(-2) == 2')).toBe(true);
+        expect(
+            evaluate(
+                'timestamp.date(2020, 1, 1) + duration.value(1, "d") == timestamp.date(2020, 1, 2)'
+            )
+        ).toBe(true);
+        expect(evaluate('string(1) == "1" && int("2") == 2')).toBe(true);
+    });
+
+    it('should index and slice values', () => {
+        expect(evaluate('[1, 2, 3][1] == 2')).toBe(true);
+        expect(evaluate('[1, 2, 3][1:] == [2, 3]')).toBe(true);
+        expect(evaluate('request.path[3] == "docs"')).toBe(true);
+        expect(evaluate('{"a": {"b": 1}}["a"].b == 1')).toBe(true);
+    });
+});
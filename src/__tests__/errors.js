@@ -0,0 +1,143 @@
+import Database from '../database';
+import LocalBackend from '../backends/local';
+import { RulesCompilationError, formatCodeFrame } from '../errors';
+
+const INVALID_RULES =
+    'service cloud.firestore {\n  match /a {\n    allow read: if ;\n  }\n}';
+
+function createBackend(issues) {
+    return {
+        authorize: () => Promise.resolve(),
+        test: (source, testCases) =>
+            Promise.resolve({
+                issues,
+                testResults: testCases.map(() => ({ state: 'SUCCESS' }))
+            })
+    };
+}
+
+async function getError(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+
+    throw new Error('Expected the promise to reject');
+}
+
+describe('formatCodeFrame', () => {
+    it('should mark the line and the column', () => {
+        expect(formatCodeFrame(INVALID_RULES, 3, 20).split('\n')).toEqual([
+            '  1 | service cloud.firestore {',
+            '  2 |   match /a {',
+            '> 3 |     allow read: if ;',
+            '    |                    ^',
+            '  4 |   }',
+            '  5 | }'
+        ]);
+    });
+});
+
+describe('RulesCompilationError', () => {
+    it('should be thrown for syntax errors', async () => {
+        const db = new Database({
+            rules: INVALID_RULES,
+            backend: new LocalBackend()
+        });
+
+        const error = await getError(db.canGet({}, 'a'));
+
+        expect(error).toBeInstanceOf(RulesCompilationError);
+        expect(error.issues).toEqual([
+            {
+                fileName: 'firestore.rules',
+                line: 3,
+                column: 20,
+                severity: 'ERROR',
+                description: 'Unexpected ";", expected an expression'
+            }
+        ]);
+        expect(error.message).toEqual(
+            [
+                'Line 3, column 20: Unexpected ";", expected an expression',
+                formatCodeFrame(INVALID_RULES, 3, 20)
+            ].join('\n')
+        );
+    });
+
+    it('should keep the warnings separate from the errors', async () => {
+        const db = new Database({
+            rules: INVALID_RULES,
+            backend: createBackend([
+                {
+                    sourcePosition: { line: 2, column: 3 },
+                    severity: 'WARNING',
+                    description: 'Unused function'
+                },
+                {
+                    sourcePosition: { line: 3, column: 20 },
+                    severity: 'ERROR',
+                    description: 'Invalid expression'
+                }
+            ])
+        });
+
+        const error = await getError(db.canGet({}, 'a'));
+
+        expect(error.errors.map(issue => issue.description)).toEqual([
+            'Invalid expression'
+        ]);
+        expect(error.warnings.map(issue => issue.description)).toEqual([
+            'Unused function'
+        ]);
+        expect(error.message).not.toMatch('Unused function');
+    });
+
+    it('should not fail the tests for warnings', async () => {
+        const warning = {
+            sourcePosition: { fileName: 'firestore.rules', line: 1, column: 1 },
+            severity: 'DEPRECATION',
+            description: 'Deprecated syntax'
+        };
+        const db = new Database({
+            rules: 'rules',
+            backend: createBackend([warning])
+        });
+
+        const result = await db.canGet({}, 'a');
+
+        expect(result.tests[0].result.state).toEqual('SUCCESS');
+        expect(db.warnings).toEqual([
+            {
+                fileName: 'firestore.rules',
+                line: 1,
+                column: 1,
+                severity: 'DEPRECATION',
+                description: 'Deprecated syntax'
+            }
+        ]);
+    });
+});
+
+describe('validateRules', () => {
+    it('should resolve with the warnings of valid rules', async () => {
+        const db = new Database({
+            rules: 'service cloud.firestore { match /a { allow read; } }',
+            backend: new LocalBackend()
+        });
+
+        expect(await db.validateRules()).toEqual([]);
+    });
+
+    it('should reject for invalid rules', async () => {
+        const db = new Database({
+            rules: INVALID_RULES,
+            backend: new LocalBackend()
+        });
+
+        const error = await getError(db.validateRules());
+        expect(error).toBeInstanceOf(RulesCompilationError);
+        expect(error.errors.length).toEqual(1);
+    });
+});
@@ -0,0 +1,151 @@
+import fs from 'fs';
+import path from 'path';
+import Database from '../database';
+import LocalBackend from '../backends/local';
+import assert from '../assert';
+import {
+    defineFactory,
+    build,
+    buildList,
+    buildData,
+    createIn,
+    seq,
+    ref,
+    resetFactories,
+    resetSequences
+} from '../factories';
+import { DocumentReference } from '../values';
+
+const RULES = fs.readFileSync(
+    path.join(__dirname, 'fixtures/firestore.rules'),
+    { encoding: 'utf8' }
+);
+
+beforeEach(() => {
+    resetFactories();
+
+    defineFactory('company', { name: seq(n => `Company ${n}`) });
+    defineFactory(
+        'user',
+        {
+            name: seq(n => `User ${n}`),
+            public: false,
+            slug: fields => fields.name.toLowerCase().replace(' ', '-')
+        },
+        {
+            traits: {
+                public: { public: true },
+                employee: { company: ref('company') }
+            },
+            collections: {
+                companies: { factory: 'company', count: 2 }
+            }
+        }
+    );
+});
+
+describe('build', () => {
+    it('should build a document with its subcollections', () => {
+        expect(build('user')).toEqual({
+            key: 'user-1',
+            fields: { name: 'User 1', public: false, slug: 'user-1' },
+            collections: {
+                companies: [
+                    {
+                        key: 'company-1',
+                        fields: { name: 'Company 1' },
+                        collections: {}
+                    },
+                    {
+                        key: 'company-2',
+                        fields: { name: 'Company 2' },
+                        collections: {}
+                    }
+                ]
+            }
+        });
+    });
+
+    it('should apply the traits and the overrides in order', () => {
+        expect(build('user', 'public', { name: 'Alice' }).fields).toEqual({
+            name: 'Alice',
+            public: true,
+            slug: 'alice'
+        });
+        // The sequence is not used when its field is overridden
+        const other = build('user', { public: true });
+        expect(other.key).toEqual('user-2');
+        expect(other.fields.name).toEqual('User 1');
+        expect(() => build('user', 'unknown')).toThrow(
+            'No trait "unknown" in the factory "user"'
+        );
+        expect(() => build('unknown')).toThrow('No factory "unknown"');
+    });
+
+    it('should restart the sequences', () => {
+        buildList('user', 2);
+        resetSequences();
+
+        expect(build('user').key).toEqual('user-1');
+        expect(build('user').fields.name).toEqual('User 2');
+    });
+});
+
+describe('buildData', () => {
+    it('should build a dataset with the referenced documents', () => {
+        const data = buildData({
+            'users/alice': ['user', 'employee', { name: 'Alice' }],
+            'users/bob': 'user'
+        });
+        const db = new Database({ data, backend: new LocalBackend() });
+
+        const alice = db.getDocument('users/alice');
+        expect(alice.fields.company).toEqual(
+            new DocumentReference('company/company-1')
+        );
+        expect(db.getDocument('company/company-1').fields).toEqual({
+            name: 'Company 1'
+        });
+        expect(db.getDocument('users/bob').fields.name).toEqual('User 1');
+        expect(db.getDocument('users/bob/companies/company-4')).toBeTruthy();
+    });
+
+    it('should use the collection of the factory for the references', () => {
+        defineFactory('post', { author: ref('user') }, { collection: 'posts' });
+        defineFactory('comment', { post: ref('post') });
+
+        const db = new Database({
+            data: buildData({ 'comments/first': 'comment' }),
+            backend: new LocalBackend()
+        });
+
+        expect(db.getDocument('comments/first').fields.post).toEqual(
+            new DocumentReference('posts/post-1')
+        );
+        expect(db.getDocument('posts/post-1').fields.author).toEqual(
+            new DocumentReference('user/user-1')
+        );
+    });
+});
+
+describe('createIn', () => {
+    it('should create the documents in the dataset of a database', async () => {
+        const db = new Database({ rules: RULES, backend: new LocalBackend() });
+
+        createIn(db, 'users/userB', 'user', 'public');
+        createIn(db, 'users/userA', 'user');
+
+        assert(await db.canGet({}, 'users/userB'));
+        assert(await db.cannotGet({}, 'users/userA'));
+        assert(await db.canGet({}, 'users/userB/companies/company-1'));
+    });
+
+    it('should only count the generated keys', () => {
+        const db = new Database({ backend: new LocalBackend() });
+
+        createIn(db, 'users/userA', 'user');
+        createIn(db, 'users/userB', 'user');
+
+        expect(build('user').key).toEqual('user-1');
+    });
+});
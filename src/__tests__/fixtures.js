@@ -0,0 +1,137 @@
+import path from 'path';
+import Database from '../database';
+import LocalBackend from '../backends/local';
+import assert from '../assert';
+import { normalizeData, decodeRestValue } from '../fixtures';
+import { Timestamp, GeoPoint, DocumentReference } from '../values';
+
+describe('normalizeData', () => {
+    it('should keep the nested collections', () => {
+        const data = {
+            users: [{ key: 'userA', fields: { a: 1 }, collections: {} }]
+        };
+        expect(normalizeData(data)).toBe(data);
+    });
+
+    it('should build the collections from document paths', () => {
+        expect(
+            normalizeData({
+                'users/userA': { name: 'A' },
+                'users/userB/companies/companyA': { name: 'C' }
+            })
+        ).toEqual({
+            users: [
+                { key: 'userA', fields: { name: 'A' }, collections: {} },
+                {
+                    key: 'userB',
+                    fields: null,
+                    collections: {
+                        companies: [
+                            {
+                                key: 'companyA',
+                                fields: { name: 'C' },
+                                collections: {}
+                            }
+                        ]
+                    }
+                }
+            ]
+        });
+    });
+
+    it('should reject paths of collections', () => {
+        expect(() => normalizeData({ 'users/userA/companies': {} })).toThrow(
+            'Invalid document path "users/userA/companies"'
+        );
+    });
+
+    it('should import REST documents', () => {
+        const data = normalizeData({
+            documents: [
+                {
+                    name:
+                        'projects/my-project/databases/(default)/documents/users/userA',
+                    fields: {
+                        name: { stringValue: 'A' },
+                        age: { integerValue: '42' },
+                        tags: {
+                            arrayValue: { values: [{ stringValue: 'x' }] }
+                        },
+                        address: {
+                            mapValue: {
+                                fields: { city: { stringValue: 'Paris' } }
+                            }
+                        }
+                    },
+                    createTime: '2017-11-23T10:00:00.000Z'
+                }
+            ]
+        });
+
+        expect(data.users[0].fields).toEqual({
+            name: 'A',
+            age: 42,
+            tags: ['x'],
+            address: { city: 'Paris' }
+        });
+    });
+
+    it('should decode typed REST values', () => {
+        expect(
+            decodeRestValue({ timestampValue: '2017-11-23T10:00:00Z' })
+        ).toEqual(new Timestamp('2017-11-23T10:00:00Z'));
+        expect(
+            decodeRestValue({
+                geoPointValue: { latitude: 48.85, longitude: 2.35 }
+            })
+        ).toEqual(new GeoPoint(48.85, 2.35));
+        expect(
+            decodeRestValue({
+                referenceValue:
+                    'projects/p/databases/(default)/documents/users/userA'
+            })
+        ).toEqual(new DocumentReference('users/userA'));
+        expect(decodeRestValue({ nullValue: null })).toBe(null);
+        expect(() => decodeRestValue({ unknownValue: 1 })).toThrow(
+            'Unknown REST value type "unknownValue"'
+        );
+    });
+});
+
+describe('Database.setDataFromFile', () => {
+    const db = new Database({
+        rules: `service cloud.firestore {
+  match /databases/{database}/documents {
+    match /users/{userID} {
+      allow get: if resource.data.public == true
+        && resource.data.joinedAt < request.time;
+      allow create: if !exists(/databases/$(database)/documents/users/$(userID));
+
+      match /companies/{companyID} {
+        allow get: if true;
+      }
+    }
+  }
+}`,
+        backend: new LocalBackend()
+    });
+
+    beforeAll(() => {
+        db.setDataFromFile(path.join(__dirname, 'fixtures/db.yml'));
+    });
+
+    it('should read the documents', async () => {
+        expect(db.getDocument('users/userA').fields.name).toEqual('Steve Jobs');
+        assert(await db.canGet({}, 'users/userB'));
+        assert(await db.cannotGet({}, 'users/userA'));
+        assert(await db.canGet({}, 'users/userB/companies/companyA'));
+    });
+
+    it('should not create the parents of documents', async () => {
+        db.setData({ 'users/userC/companies/companyA': { name: 'C' } });
+
+        expect(db.hasDocument('users/userC')).toBe(false);
+        expect(db.hasDocument('users/userC/companies/companyA')).toBe(true);
+        assert(await db.canSet({}, 'users/userC', { name: 'C' }));
+    });
+});
@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import Database from '../database';
+import LocalBackend from '../backends/local';
+import Auth from '../auth';
+import { Generators, createRandom, matchPath, formatFuzzReport } from '../fuzz';
+
+const RULES = fs.readFileSync(
+    path.join(__dirname, 'fixtures/firestore.rules'),
+    { encoding: 'utf8' }
+);
+const DATA = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'fixtures/db.json'))
+);
+
+const PERSONAS = {
+    anon: Auth.unauthenticated(),
+    userA: Auth.user('userA'),
+    userB: Auth.user('userB')
+};
+const FIELDS = {
+    name: Generators.string(),
+    public: Generators.boolean(),
+    admin: Generators.boolean()
+};
+const INVARIANT = {
+    name: 'non-owners can never write users',
+    path: 'users/{uid}',
+    operations: ['create', 'update', 'delete'],
+    when: ({ auth, params }) => !auth || auth.uid != params.uid,
+    expect: 'deny'
+};
+
+function createDatabase(rules = RULES) {
+    return new Database({
+        data: DATA,
+        rules,
+        backend: new LocalBackend()
+    });
+}
+
+describe('createRandom', () => {
+    it('should generate the same values for a seed', () => {
+        const values = seed => {
+            const random = createRandom(seed);
+            return [1, 2, 3].map(() => random.integer(0, 1000));
+        };
+
+        expect(values(42)).toEqual(values(42));
+        expect(values(42)).not.toEqual(values(43));
+    });
+});
+
+describe('matchPath', () => {
+    it('should return the wildcards', () => {
+        expect(matchPath('users/{uid}', 'users/userA')).toEqual({
+            uid: 'userA'
+        });
+        expect(matchPath('users/{rest=**}', 'users/a/posts/b')).toEqual({
+            rest: 'a/posts/b'
+        });
+        expect(matchPath('users/{uid}', 'users/a/posts/b')).toBe(null);
+        expect(matchPath('users/{uid}', 'settings/a')).toBe(null);
+    });
+});
+
+describe('Generators', () => {
+    it('should shrink to simpler values', () => {
+        expect(Generators.string().shrink('abcd')).toEqual(['', 'ab']);
+        expect(Generators.integer().shrink(10)).toEqual([0, 5]);
+        expect(Generators.integer(5, 10).shrink(10)).toEqual([5, 7]);
+        expect(Generators.boolean().shrink(true)).toEqual([false]);
+        expect(Generators.oneOf('a', 'b', 'c').shrink('c')).toEqual(['a', 'b']);
+    });
+});
+
+describe('fuzz', () => {
+    it('should pass when the invariants hold', async () => {
+        const report = await createDatabase().fuzz({
+            personas: PERSONAS,
+            fields: FIELDS,
+            invariants: [INVARIANT],
+            runs: 50,
+            seed: 1
+        });
+
+        expect(report.runs).toEqual(50);
+        expect(report.violations).toEqual([]);
+        expect(formatFuzzReport(report)).toEqual(
+            'No invariant violated in 50 case(s) (seed 1).'
+        );
+    });
+
+    it('should shrink the violations to a minimal case', async () => {
+        const db = createDatabase(
+            RULES.replace(
+                'allow write: if isCurrentUser(userID);',
+                'allow write: if isCurrentUser(userID) || request.resource.data.admin == true;'
+            )
+        );
+        const options = {
+            personas: PERSONAS,
+            fields: FIELDS,
+            invariants: [INVARIANT],
+            runs: 50,
+            seed: 1
+        };
+
+        const report = await db.fuzz(options);
+        const [violation] = report.violations;
+
+        expect(violation.invariant).toEqual(INVARIANT.name);
+        expect(violation.count).toBeGreaterThan(0);
+        expect(violation.case.data).toEqual({ admin: true });
+        expect(violation.case.persona).not.toEqual(violation.case.params.uid);
+        expect(violation.reproduction).toMatch(
+            /^assert\(await database\.cannot(Set|Update)\(personas\["\w+"\], "users\/[\w-]+", \{"admin":true\}\)\);$/
+        );
+        expect(formatFuzzReport(report)).toMatch(
+            /^Invariant "non-owners can never write users" violated by \d+ case\(s\), minimal case:\n {4}assert\(.*\n\nReplay with the seed 1\.$/
+        );
+
+        // Replay with the same seed
+        expect(await db.fuzz(options)).toEqual(report);
+    });
+
+    it('should require paths to test', async () => {
+        const db = new Database({
+            rules: RULES,
+            backend: new LocalBackend()
+        });
+
+        await expect(
+            db.fuzz({ personas: PERSONAS, invariants: [INVARIANT] })
+        ).rejects.toThrow(
+            'Can\'t fuzz the rules without paths, the dataset is empty: pass the "collections" to write in'
+        );
+
+        const report = await db.fuzz({
+            personas: PERSONAS,
+            invariants: [INVARIANT],
+            collections: ['users'],
+            runs: 10,
+            seed: 1
+        });
+        expect(report.runs).toEqual(10);
+    });
+});
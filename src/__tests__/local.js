@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import Database from '../database';
+import Batch from '../batch';
+import assert from '../assert';
+import LocalBackend from '../backends/local';
+
+const RULES = fs.readFileSync(
+    path.join(__dirname, 'fixtures/firestore.rules'),
+    { encoding: 'utf8' }
+);
+const DATA = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'fixtures/db.json'))
+);
+
+const db = new Database({
+    data: DATA,
+    rules: RULES,
+    backend: new LocalBackend()
+});
+
+describe('LocalBackend', () => {
+    beforeAll(async () => {
+        await db.authorize();
+    });
+
+    describe('canGet', () => {
+        it('should not throw for allowed read', async () => {
+            const result = await db.canGet({}, 'users/userB');
+            assert(result);
+        });
+
+        it('should throw for rejected read', async () => {
+            const result = await db.canGet({}, 'users/userA');
+
+            expect(() => assert(result)).toThrow(
+                'Expected the get operation to succeed.'
+            );
+        });
+
+        it('should use the mocks for "get"', async () => {
+            assert(await db.canGet({}, 'users/userB/companies/companyA'));
+            assert(await db.cannotGet({}, 'users/userA/companies/companyA'));
+        });
+
+        it('should deny reads without matching rules', async () => {
+            const result = await db.cannotGet({}, 'unknown/doc');
+            assert(result);
+        });
+    });
+
+    describe('canList', () => {
+        it('should allow queries constrained by the rules', async () => {
+            const result = await db.canList({}, 'users', {
+                where: [['public', '==', true]]
+            });
+            assert(result);
+        });
+
+        it('should deny queries not constrained by the rules', async () => {
+            assert(await db.cannotList({}, 'users'));
+            assert(
+                await db.cannotList({}, 'users', {
+                    where: [['public', '==', false]]
+                })
+            );
+        });
+
+        it('should bind wildcards of parent documents', async () => {
+            assert(await db.canList({}, 'users/userB/companies'));
+            assert(await db.cannotList({}, 'users/userA/companies'));
+        });
+    });
+
+    describe('canSet', () => {
+        it('should not throw error for allowed operations', async () => {
+            const result = await db.canSet({ uid: 'userA' }, 'users/userA', {
+                name: 'Hello'
+            });
+            assert(result);
+        });
+
+        it('should throw error for rejected operations', async () => {
+            const result = await db.canSet({ uid: 'userB' }, 'users/userA', {
+                name: 'Hello'
+            });
+            expect(() => assert(result)).toThrow(
+                'Expected the update operation to succeed.'
+            );
+        });
+
+        it('should validate the request resource', async () => {
+            assert(
+                await db.canSet({ uid: 'userA' }, 'settings2/userA', {
+                    something: 'some string'
+                })
+            );
+            assert(
+                await db.cannotSet({ uid: 'userA' }, 'settings2/userA', {
+                    something: 2
+                })
+            );
+        });
+    });
+
+    describe('canCommit', () => {
+        it('should use the mocks for "getAfter"', async () => {
+            const result = await db.canCommit({ uid: 'userC' }, [
+                Batch.set('users/userC', { name: 'C' }),
+                Batch.set('settings/userC', { someFeature: true })
+            ]);
+            assert(result);
+        });
+
+        it('should throw error for rejected operations', async () => {
+            const result = await db.canCommit({ uid: 'userC' }, [
+                Batch.set('settings/userC', { someFeature: true })
+            ]);
+            expect(() => assert(result)).toThrow(
+                'Expected the create operation to succeed.'
+            );
+        });
+    });
+
+    describe('syntax errors', () => {
+        it('should reject with the position of the error', async () => {
+            const invalid = new Database({
+                rules:
+                    'service cloud.firestore {\n  match /a {\n    allow read: if ;\n  }\n}',
+                backend: new LocalBackend()
+            });
+
+            let error;
+            try {
+                await invalid.canGet({}, 'a');
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).toMatch(/^Line 3, column 20:/);
+        });
+    });
+});
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import Database from '../database';
+import Batch from '../batch';
+import LocalBackend from '../backends/local';
+import matchers, { toJasmineMatchers } from '../matchers';
+
+const RULES = fs.readFileSync(
+    path.join(__dirname, 'fixtures/firestore.rules'),
+    { encoding: 'utf8' }
+);
+const DATA = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'fixtures/db.json'))
+);
+
+const db = new Database({
+    data: DATA,
+    rules: RULES,
+    backend: new LocalBackend()
+});
+
+describe('matchers', () => {
+    it('should define allow and deny matchers for all operations', () => {
+        expect(Object.keys(matchers)).toEqual([
+            'toAllowGet',
+            'toDenyGet',
+            'toAllowList',
+            'toDenyList',
+            'toAllowSet',
+            'toDenySet',
+            'toAllowUpdate',
+            'toDenyUpdate',
+            'toAllowDelete',
+            'toDenyDelete',
+            'toAllowCommit',
+            'toDenyCommit',
+            'toAllowTransaction',
+            'toDenyTransaction'
+        ]);
+    });
+
+    it('should pass for allowed operations', async () => {
+        const result = await matchers.toAllowGet(db, {}, 'users/userB');
+
+        expect(result.pass).toBe(true);
+        expect(result.message()).toEqual('Expected the get operation to fail.');
+    });
+
+    it('should fail for rejected operations', async () => {
+        const result = await matchers.toAllowGet(db, {}, 'users/userA');
+
+        expect(result.pass).toBe(false);
+        expect(result.message()).toMatch(
+            /^Expected the get operation to succeed.\n {4}path: \/databases\/\(default\)\/documents\/users\/userA\n/
+        );
+    });
+
+    it('should test denied operations', async () => {
+        const denied = await matchers.toDenyUpdate(
+            db,
+            { uid: 'userB' },
+            'users/userA',
+            { name: 'Hello' }
+        );
+        const allowed = await matchers.toDenySet(
+            db,
+            { uid: 'userA' },
+            'users/userA',
+            { name: 'Hello' }
+        );
+
+        expect(denied.pass).toBe(true);
+        expect(allowed.pass).toBe(false);
+        expect(allowed.message()).toMatch(
+            /^Expected the update operation to fail.\n/
+        );
+    });
+
+    it('should test commits', async () => {
+        const result = await matchers.toAllowCommit(db, { uid: 'userC' }, [
+            Batch.set('users/userC', { name: 'C' }),
+            Batch.set('settings/userC', { someFeature: true })
+        ]);
+
+        expect(result.pass).toBe(true);
+    });
+});
+
+describe('expect.extend', () => {
+    expect.extend(matchers);
+
+    it('should await the matchers', async () => {
+        await expect(db).toAllowGet({}, 'users/userB');
+        await expect(db).toDenyGet({}, 'users/userA');
+        await expect(db).not.toAllowGet({}, 'users/userA');
+        await expect(db).not.toDenySet({ uid: 'userA' }, 'users/userA', {
+            name: 'Hello'
+        });
+    });
+
+    it('should fail with the message of the summary', async () => {
+        await expect(expect(db).toAllowGet({}, 'users/userA')).rejects.toThrow(
+            /Expected the get operation to succeed/
+        );
+        await expect(
+            expect(db).not.toAllowGet({}, 'users/userB')
+        ).rejects.toThrow('Expected the get operation to fail.');
+    });
+});
+
+describe('toJasmineMatchers', () => {
+    it('should return factories of async comparators', async () => {
+        const jasmineMatchers = toJasmineMatchers();
+        const { compare } = jasmineMatchers.toDenyGet();
+
+        const { pass, message } = await compare(db, {}, 'users/userA');
+
+        expect(pass).toBe(true);
+        expect(message).toEqual('Expected the get operation to succeed.');
+    });
+});
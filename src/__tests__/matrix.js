@@ -0,0 +1,117 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from '../database';
+import LocalBackend from '../backends/local';
+import Auth from '../auth';
+import { parseMatrix } from '../matrix';
+
+const RULES = fs.readFileSync(
+    path.join(__dirname, 'fixtures/firestore.rules'),
+    { encoding: 'utf8' }
+);
+const DATA = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'fixtures/db.json'))
+);
+
+const PERSONAS = {
+    anon: Auth.unauthenticated(),
+    owner: Auth.user('userA'),
+    other: Auth.user('userB')
+};
+const PATHS = ['users/userA', 'users/userC', 'users'];
+
+function createDatabase(rules = RULES) {
+    return new Database({
+        data: DATA,
+        rules,
+        backend: new LocalBackend()
+    });
+}
+
+describe('matrix', () => {
+    it('should test every combination', async () => {
+        const matrix = await createDatabase().matrix({
+            personas: PERSONAS,
+            paths: PATHS
+        });
+
+        expect(matrix.format('markdown')).toEqual(
+            [
+                '| persona | path          | get  | list | create | update | delete |',
+                '| ------- | ------------- | ---- | ---- | ------ | ------ | ------ |',
+                '| anon    | `users/userA` | deny | deny | -      | deny   | deny   |',
+                '| anon    | `users/userC` | deny | deny | deny   | -      | deny   |',
+                '| anon    | `users`       | -    | deny | -      | -      | -      |',
+                '| owner   | `users/userA` | deny | deny | -      | allow  | allow  |',
+                '| owner   | `users/userC` | deny | deny | deny   | -      | deny   |',
+                '| owner   | `users`       | -    | deny | -      | -      | -      |',
+                '| other   | `users/userA` | deny | deny | -      | deny   | deny   |',
+                '| other   | `users/userC` | deny | deny | deny   | -      | deny   |',
+                '| other   | `users`       | -    | deny | -      | -      | -      |'
+            ].join('\n')
+        );
+        expect(matrix.get('owner', 'users/userA', 'update')).toEqual('allow');
+        expect(matrix.get('owner', 'users/userA', 'create')).toBe(null);
+    });
+
+    it('should format the matrix as CSV', async () => {
+        const matrix = await createDatabase().matrix({
+            personas: { owner: Auth.user('userA') },
+            paths: ['users/userA'],
+            operations: ['get', 'update']
+        });
+
+        expect(matrix.format('csv')).toEqual(
+            'persona,path,get,update\nowner,users/userA,deny,allow'
+        );
+        expect(parseMatrix(matrix.format('csv'))).toEqual(matrix);
+        expect(parseMatrix(matrix.format('markdown'))).toEqual(matrix);
+        expect(parseMatrix(matrix.format('json'))).toEqual(matrix);
+    });
+
+    it('should compare the matrix with a snapshot', async () => {
+        const directory = fs.mkdtempSync(
+            path.join(os.tmpdir(), 'expect-firestore-')
+        );
+        const snapshot = path.join(directory, 'access.md');
+        const options = { personas: PERSONAS, paths: PATHS };
+
+        const matrix = await createDatabase().matrix(options);
+        expect(() => matrix.checkSnapshot(snapshot)).toThrow(
+            `Access matrix snapshot ${
+                snapshot
+            } is missing, write it with { update: true }`
+        );
+        expect(fs.existsSync(snapshot)).toBe(false);
+
+        matrix.checkSnapshot(snapshot, { update: true });
+        expect(fs.readFileSync(snapshot, 'utf8')).toEqual(
+            `${matrix.format('markdown')}\n`
+        );
+        expect(() => matrix.checkSnapshot(snapshot)).not.toThrow();
+
+        const changed = await createDatabase(
+            RULES.replace(
+                'allow write: if isCurrentUser(userID);',
+                'allow write: if request.auth != null;'
+            )
+        ).matrix(options);
+
+        expect(() => changed.checkSnapshot(snapshot)).toThrow(
+            [
+                `Access matrix doesn't match the snapshot ${snapshot}:`,
+                '',
+                '  - owner create users/userC: deny -> allow',
+                '  - owner delete users/userC: deny -> allow',
+                '  - other update users/userA: deny -> allow',
+                '  - other delete users/userA: deny -> allow',
+                '  - other create users/userC: deny -> allow',
+                '  - other delete users/userC: deny -> allow'
+            ].join('\n')
+        );
+
+        changed.checkSnapshot(snapshot, { update: true });
+        expect(() => changed.checkSnapshot(snapshot)).not.toThrow();
+    });
+});
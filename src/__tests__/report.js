@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import Database from '../database';
+import Batch from '../batch';
+import LocalBackend from '../backends/local';
+import { formatSummary } from '../report';
+
+const RULES = fs.readFileSync(
+    path.join(__dirname, 'fixtures/firestore.rules'),
+    { encoding: 'utf8' }
+);
+const DATA = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'fixtures/db.json'))
+);
+
+const db = new Database({
+    data: DATA,
+    rules: RULES,
+    backend: new LocalBackend()
+});
+
+describe('formatSummary', () => {
+    it('should describe a single failing test', async () => {
+        const summary = await db.canGet({}, 'users/userA');
+
+        expect(formatSummary(summary)).toEqual(
+            [
+                'Expected the get operation to succeed.',
+                '    path: /databases/(default)/documents/users/userA',
+                '    method: get',
+                '    expectation: ALLOW',
+                '    auth: {}',
+                '    resource data: {"name":"Steve Jobs","public":false}',
+                '    evaluated expressions:',
+                '        firestore.rules:4:7 false',
+                '            allow read: if resource.data != null && resource.data.public == true;'
+            ].join('\n')
+        );
+    });
+
+    it('should list every failing test of a batch', async () => {
+        const summary = await db.canCommit({ uid: 'userC' }, [
+            Batch.set('users/userC', { name: 'C' }),
+            Batch.update('users/userA', { name: 'A' }),
+            Batch.delete('settings/userA')
+        ]);
+        const report = formatSummary(summary);
+
+        expect(report).toMatch(/^2 of 3 test\(s\) failed\.\n\n1\) /);
+        expect(report).toMatch(
+            /1\) Expected the update operation to succeed\.\n {4}path: \/databases\/\(default\)\/documents\/users\/userA\n/
+        );
+        expect(report).toMatch(
+            /2\) Expected the delete operation to succeed\.\n {4}path: \/databases\/\(default\)\/documents\/settings\/userA\n/
+        );
+        expect(report).toMatch(
+            / {4}request data: {"name":"A","public":false}\n/
+        );
+        expect(report).toMatch(/ {4}auth: {"uid":"userC"}\n/);
+    });
+
+    it('should report the position of evaluation errors', async () => {
+        const summary = await db.canGet({}, 'settings/userA');
+        const report = formatSummary(summary);
+
+        expect(report).toMatch(
+            /evaluated expressions:\n {8}firestore\.rules:30:5 error: Property "uid" is undefined\n {12}function isCurrentUser\(userID\) {\n {8}firestore\.rules:14:9 error: Property "uid" is undefined\n {12}allow read: if isCurrentUser\(userID\);\n/
+        );
+        expect(report).toMatch(
+            /error at firestore\.rules:31:28\n {8}return request\.auth\.uid == userID$/
+        );
+    });
+
+    it('should report passing summaries', async () => {
+        const summary = await db.canGet({}, 'users/userB');
+        expect(formatSummary(summary)).toEqual('All 1 test(s) passed.');
+    });
+});
@@ -0,0 +1,185 @@
+import Database from '../database';
+import StubBackend from '../backends/stub';
+import {
+    RulesApiError,
+    AuthenticationError,
+    QuotaError,
+    TransientError,
+    toRulesApiError
+} from '../errors';
+import { createLimiter, withTimeout } from '../requests';
+
+const RULES = 'service cloud.firestore {}';
+
+function createError(code) {
+    const error = new Error(`Error ${code}`);
+    error.code = code;
+    return error;
+}
+
+function wait(delay) {
+    return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+async function getError(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+
+    throw new Error('Expected the promise to reject');
+}
+
+describe('toRulesApiError', () => {
+    it('should type the errors by status code', () => {
+        expect(toRulesApiError(createError(401))).toBeInstanceOf(
+            AuthenticationError
+        );
+        expect(toRulesApiError(createError(403))).toBeInstanceOf(
+            AuthenticationError
+        );
+        expect(toRulesApiError(createError(429))).toBeInstanceOf(QuotaError);
+        expect(toRulesApiError(createError(503))).toBeInstanceOf(
+            TransientError
+        );
+        expect(toRulesApiError(createError('ECONNRESET'))).toBeInstanceOf(
+            TransientError
+        );
+        expect(toRulesApiError(createError(400))).toBeInstanceOf(RulesApiError);
+        expect(toRulesApiError(createError(400)).retryable).toBe(false);
+    });
+
+    it('should keep the other errors', () => {
+        const error = new Error('Something else');
+        expect(toRulesApiError(error)).toBe(error);
+    });
+});
+
+describe('createLimiter', () => {
+    it('should limit the number of running tasks', async () => {
+        const limit = createLimiter(2);
+        let running = 0;
+        let maximum = 0;
+
+        const task = async () => {
+            running += 1;
+            maximum = Math.max(maximum, running);
+            await wait(5);
+            running -= 1;
+        };
+
+        await Promise.all([1, 2, 3, 4, 5].map(() => limit(task)));
+        expect(maximum).toEqual(2);
+    });
+
+    it('should run the next tasks after a failure', async () => {
+        const limit = createLimiter(1);
+        const failure = limit(() => Promise.reject(new Error('Failed')));
+
+        await expect(failure).rejects.toEqual(new Error('Failed'));
+        expect(await limit(() => Promise.resolve(1))).toEqual(1);
+    });
+});
+
+describe('withTimeout', () => {
+    it('should reject with a transient error', async () => {
+        const error = await getError(withTimeout(wait(50), 5));
+
+        expect(error).toBeInstanceOf(TransientError);
+        expect(error.message).toEqual('Request timed out after 5ms');
+    });
+});
+
+describe('Database requests', () => {
+    function createDatabase(handler, options = {}) {
+        const backend = new StubBackend(handler);
+        const db = new Database({
+            rules: RULES,
+            backend,
+            retryDelay: 1,
+            ...options
+        });
+
+        return { db, backend };
+    }
+
+    it('should retry the transient errors', async () => {
+        let failures = 2;
+        const { db, backend } = createDatabase((source, testCases) => {
+            if (failures > 0) {
+                failures -= 1;
+                throw createError(503);
+            }
+
+            return {
+                testResults: testCases.map(() => ({ state: 'SUCCESS' }))
+            };
+        });
+
+        const result = await db.canGet({}, 'users/userA');
+
+        expect(result.success).toBe(true);
+        expect(backend.calls.length).toEqual(3);
+    });
+
+    it('should give up after the retries', async () => {
+        const { db, backend } = createDatabase(
+            () => {
+                throw createError(429);
+            },
+            { retries: 2 }
+        );
+
+        const error = await getError(db.canGet({}, 'users/userA'));
+
+        expect(error).toBeInstanceOf(QuotaError);
+        expect(backend.calls.length).toEqual(3);
+    });
+
+    it('should not retry the authentication errors', async () => {
+        const { db, backend } = createDatabase(() => {
+            throw createError(403);
+        });
+
+        const error = await getError(db.canGet({}, 'users/userA'));
+
+        expect(error).toBeInstanceOf(AuthenticationError);
+        expect(backend.calls.length).toEqual(1);
+    });
+
+    it('should time out the requests', async () => {
+        const { db, backend } = createDatabase(() => wait(50), {
+            timeout: 5,
+            retries: 1
+        });
+
+        const error = await getError(db.canGet({}, 'users/userA'));
+
+        expect(error).toBeInstanceOf(TransientError);
+        expect(backend.calls.length).toEqual(2);
+    });
+
+    it('should limit the parallel requests', async () => {
+        let running = 0;
+        let maximum = 0;
+        const { db } = createDatabase(
+            async (source, testCases) => {
+                running += 1;
+                maximum = Math.max(maximum, running);
+                await wait(5);
+                running -= 1;
+
+                return {
+                    testResults: testCases.map(() => ({ state: 'SUCCESS' }))
+                };
+            },
+            { concurrency: 2, batchSize: 1 }
+        );
+
+        await Promise.all(
+            ['a', 'b', 'c', 'd'].map(id => db.canGet({}, `users/${id}`))
+        );
+        expect(maximum).toEqual(2);
+    });
+});
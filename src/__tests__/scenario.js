@@ -0,0 +1,153 @@
+import Database from '../database';
+import Batch from '../batch';
+import Transaction from '../transaction';
+import assert from '../assert';
+import LocalBackend from '../backends/local';
+
+const RULES = `service cloud.firestore {
+  match /databases/{database}/documents {
+    function isOwner(orgID) {
+      return get(/databases/$(database)/documents/orgs/$(orgID)).data.owner == request.auth.uid;
+    }
+
+    match /orgs/{orgID} {
+      allow create: if request.resource.data.owner == request.auth.uid;
+      allow update: if isOwner(orgID);
+      allow get: if resource.data.owner == request.auth.uid
+        || exists(/databases/$(database)/documents/orgs/$(orgID)/members/$(request.auth.uid));
+
+      match /members/{memberID} {
+        allow create, delete: if isOwner(orgID);
+      }
+    }
+  }
+}`;
+
+function createDatabase() {
+    return new Database({
+        rules: RULES,
+        backend: new LocalBackend(),
+        scenario: true
+    });
+}
+
+describe('scenario mode', () => {
+    it('should apply the allowed writes', async () => {
+        const db = createDatabase();
+        const owner = { uid: 'owner' };
+        const member = { uid: 'member' };
+
+        assert(await db.canSet(owner, 'orgs/orgA', { owner: 'owner' }));
+        assert(await db.cannotGet(member, 'orgs/orgA'));
+        assert(await db.canSet(owner, 'orgs/orgA/members/member', {}));
+        assert(await db.canGet(member, 'orgs/orgA'));
+
+        assert(
+            await db.canUpdate(owner, 'orgs/orgA', { 'settings.name': 'A' })
+        );
+        expect(db.getDocument('orgs/orgA').fields).toEqual({
+            owner: 'owner',
+            settings: { name: 'A' }
+        });
+    });
+
+    it('should not modify the data given to the database', async () => {
+        const data = {
+            orgs: [{ key: 'orgA', fields: { owner: 'owner' }, collections: {} }]
+        };
+        const db = new Database({
+            data,
+            rules: RULES,
+            backend: new LocalBackend(),
+            scenario: true
+        });
+        const owner = { uid: 'owner' };
+
+        assert(await db.canUpdate(owner, 'orgs/orgA', { name: 'A' }));
+        db.setData(data);
+        assert(await db.canSet(owner, 'orgs/orgA/members/member', {}));
+
+        expect(data).toEqual({
+            orgs: [{ key: 'orgA', fields: { owner: 'owner' }, collections: {} }]
+        });
+    });
+
+    it('should not apply the denied writes', async () => {
+        const db = createDatabase();
+
+        assert(await db.cannotSet({ uid: 'a' }, 'orgs/orgA', { owner: 'b' }));
+        const result = await db.canSet({ uid: 'b' }, 'orgs/orgA', {
+            owner: 'a'
+        });
+
+        expect(result.success).toBe(false);
+        expect(db.hasDocument('orgs/orgA')).toBe(false);
+    });
+
+    it('should keep the subcollections of deleted documents', async () => {
+        const db = createDatabase();
+        db.setData({
+            'orgs/orgA': { owner: 'owner' },
+            'orgs/orgA/members/member': {}
+        });
+
+        assert(
+            await db.canCommit({ uid: 'owner' }, [
+                Batch.delete('orgs/orgA/members/member')
+            ])
+        );
+        expect(db.hasDocument('orgs/orgA/members/member')).toBe(false);
+        expect(db.findDocument('orgs/orgA/members/member')).toBeTruthy();
+    });
+
+    it('should apply the writes of transactions and suites', async () => {
+        const db = createDatabase();
+
+        assert(
+            await db.canRunTransaction(
+                { uid: 'owner' },
+                new Transaction().create('orgs/orgA', { owner: 'owner' })
+            )
+        );
+
+        const [denied, allowed] = await db
+            .suite()
+            .canSet({ uid: 'other' }, 'orgs/orgA/members/other', {})
+            .canSet({ uid: 'owner' }, 'orgs/orgA/members/member', {})
+            .run();
+
+        expect(denied.success).toBe(false);
+        expect(allowed.success).toBe(true);
+        expect(db.hasDocument('orgs/orgA/members/other')).toBe(false);
+        expect(db.hasDocument('orgs/orgA/members/member')).toBe(true);
+    });
+
+    it('should not apply writes when disabled', async () => {
+        const db = createDatabase();
+        db.setScenarioMode(false);
+
+        assert(await db.canSet({ uid: 'a' }, 'orgs/orgA', { owner: 'a' }));
+        expect(db.hasDocument('orgs/orgA')).toBe(false);
+    });
+});
+
+describe('snapshot', () => {
+    it('should restore the dataset', async () => {
+        const db = createDatabase();
+        db.setData({ 'orgs/orgA': { owner: 'owner' } });
+
+        const snapshot = db.snapshot();
+        await db.canUpdate({ uid: 'owner' }, 'orgs/orgA', { name: 'A' });
+        await db.canSet({ uid: 'b' }, 'orgs/orgB', { owner: 'b' });
+        expect(db.getDocument('orgs/orgA').fields.name).toEqual('A');
+
+        db.restore(snapshot);
+        expect(db.getDocument('orgs/orgA').fields).toEqual({ owner: 'owner' });
+        expect(db.hasDocument('orgs/orgB')).toBe(false);
+
+        // The snapshot can be restored multiple times
+        await db.canUpdate({ uid: 'owner' }, 'orgs/orgA', { name: 'A' });
+        db.restore(snapshot);
+        expect(db.getDocument('orgs/orgA').fields).toEqual({ owner: 'owner' });
+    });
+});
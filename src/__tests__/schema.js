@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import Database from '../database';
+import LocalBackend from '../backends/local';
+import Auth from '../auth';
+import {
+    createValidData,
+    getInvalidValues,
+    formatSchemaReport
+} from '../schema';
+
+const RULES = fs.readFileSync(
+    path.join(__dirname, 'fixtures/firestore.rules'),
+    { encoding: 'utf8' }
+);
+const DATA = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'fixtures/db.json'))
+);
+
+function createDatabase() {
+    return new Database({
+        data: DATA,
+        rules: RULES,
+        backend: new LocalBackend()
+    });
+}
+
+describe('createValidData', () => {
+    it('should respect the constraints', () => {
+        expect(
+            createValidData({
+                name: { type: 'string', minLength: 3 },
+                role: { type: 'string', enum: ['user', 'admin'] },
+                age: { type: 'int', min: 18, optional: true },
+                score: { type: 'float', max: 10 }
+            })
+        ).toEqual({ name: 'aaa', role: 'user', age: 18, score: 9.5 });
+    });
+
+    it('should only include the required fields', () => {
+        expect(
+            createValidData(
+                {
+                    name: { type: 'string' },
+                    age: { type: 'int', optional: true }
+                },
+                true
+            )
+        ).toEqual({ name: 'a' });
+    });
+});
+
+describe('getInvalidValues', () => {
+    it('should break each constraint', () => {
+        expect(
+            getInvalidValues({ type: 'string', minLength: 2, maxLength: 3 })
+        ).toEqual([
+            { value: 1, constraint: 'is a string' },
+            { value: 'a', constraint: 'has a length of at least 2' },
+            { value: 'aaaa', constraint: 'has a length of at most 3' }
+        ]);
+        expect(
+            getInvalidValues({ type: 'int', enum: [1, 2], min: 1, max: 2 })
+        ).toEqual([
+            { value: 'a', constraint: 'is an int' },
+            { value: 3, constraint: 'is one of 1, 2' },
+            { value: 0, constraint: 'is at least 1' },
+            { value: 3, constraint: 'is at most 2' }
+        ]);
+    });
+});
+
+describe('checkSchema', () => {
+    it('should pass when the rules enforce the schema', async () => {
+        const database = createDatabase();
+        const report = await database.checkSchema({
+            auth: Auth.user('userA'),
+            path: 'settings2/userA',
+            fields: { something: { type: 'string' } }
+        });
+
+        // A valid payload, a missing field and a wrong type, per operation
+        expect(report).toEqual({ total: 6, failures: [] });
+        expect(formatSchemaReport(report)).toBe(
+            'All the 6 payload(s) of the schema are checked by the rules.'
+        );
+    });
+
+    it('should report the constraints not enforced', async () => {
+        const database = createDatabase();
+        const report = await database.checkSchema({
+            auth: Auth.user('userA'),
+            path: 'settings2/userA',
+            fields: { something: { type: 'string', maxLength: 3 } },
+            strict: true,
+            operations: ['set']
+        });
+
+        expect(report.failures.map(failure => failure.constraint)).toEqual([
+            '"something" has a length of at most 3',
+            'no other field than "something"'
+        ]);
+        expect(formatSchemaReport(report)).toBe(
+            [
+                'set allows a payload breaking: "something" has a length of at most 3',
+                '    {"something":"aaaa"}',
+                '',
+                'set allows a payload breaking: no other field than "something"',
+                '    {"something":"a","unknownField":"a"}'
+            ].join('\n')
+        );
+    });
+
+    it('should report the valid payloads denied', async () => {
+        const database = createDatabase();
+        const report = await database.checkSchema({
+            auth: Auth.user('userA'),
+            path: 'settings2/userA',
+            fields: { something: { type: 'int' } },
+            operations: ['update']
+        });
+
+        expect(report.failures).toEqual([
+            { operation: 'update', data: { something: 0 }, constraint: null },
+            {
+                operation: 'update',
+                data: { something: 'a' },
+                constraint: '"something" is an int'
+            }
+        ]);
+    });
+
+    it('should restore the dataset', async () => {
+        const database = createDatabase();
+        const before = database.snapshot();
+
+        await database.checkSchema({
+            auth: Auth.user('userA'),
+            path: 'settings2/userB',
+            fields: { something: { type: 'string' } }
+        });
+
+        expect(database.snapshot()).toEqual(before);
+    });
+});
@@ -0,0 +1,167 @@
+import path from 'path';
+import Database from '../database';
+import LocalBackend from '../backends/local';
+import RemoteBackend from '../backends/remote';
+import assert from '../assert';
+import { stitchSource, mapPosition } from '../sources';
+
+const RULES_DIRECTORY = path.join(__dirname, 'fixtures/rules');
+
+function createDatabase() {
+    const db = new Database({ backend: new LocalBackend(), coverage: true });
+    db.setRulesFromDirectory(RULES_DIRECTORY);
+    return db;
+}
+
+describe('stitchSource', () => {
+    it('should not change a single file', () => {
+        const source = { files: [{ name: 'a.rules', content: 'a' }] };
+        expect(stitchSource(source)).toEqual({ source, mappings: [] });
+    });
+
+    it('should map the lines back to the files', () => {
+        const { source, mappings } = stitchSource({
+            files: [
+                { name: 'a.rules', content: 'a\nb' },
+                { name: 'b.rules', content: 'c\n' }
+            ]
+        });
+
+        expect(source.files).toEqual([
+            { name: 'firestore.rules', content: 'a\nb\nc\n' }
+        ]);
+        expect(mapPosition({ line: 2, column: 1 }, mappings)).toEqual({
+            fileName: 'a.rules',
+            line: 2,
+            column: 1
+        });
+        expect(mapPosition({ line: 3, column: 4 }, mappings)).toEqual({
+            fileName: 'b.rules',
+            line: 1,
+            column: 4
+        });
+    });
+});
+
+describe('setRulesFromDirectory', () => {
+    it('should load all the rules files, in order', async () => {
+        const db = createDatabase();
+
+        expect(db.getRulesSource().files.map(file => file.name)).toEqual([
+            path.join(RULES_DIRECTORY, '1-header.rules'),
+            path.join(RULES_DIRECTORY, '2-functions.rules'),
+            path.join(RULES_DIRECTORY, '3-users.rules'),
+            path.join(RULES_DIRECTORY, '4-footer.rules')
+        ]);
+
+        assert(await db.canGet({ uid: 'userA' }, 'users/userA'));
+        assert(await db.cannotGet({ uid: 'userB' }, 'users/userA'));
+    });
+
+    it('should fail for a directory without rules', () => {
+        const db = new Database({ backend: new LocalBackend() });
+        expect(() => db.setRulesFromDirectory(__dirname)).toThrow(
+            'No rules file with the extension ".rules"'
+        );
+    });
+
+    it('should report errors in the original file', async () => {
+        const db = new Database({ backend: new LocalBackend() });
+        db.setRulesFromFiles([
+            path.join(RULES_DIRECTORY, '1-header.rules'),
+            path.join(RULES_DIRECTORY, '3-users.rules'),
+            path.join(RULES_DIRECTORY, '1-header.rules')
+        ]);
+
+        let error;
+        try {
+            await db.canGet({}, 'users/userA');
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.message).toMatch(
+            /rules[/\\]1-header\.rules: Line 1, column 1:/
+        );
+    });
+
+    it('should send the files as a single file to the Rules API', async () => {
+        const backend = new RemoteBackend({
+            projectId: 'test-project',
+            authClient: {}
+        });
+        const test = jest.fn((params, callback) =>
+            callback(null, {
+                issues: [
+                    {
+                        sourcePosition: {
+                            fileName: 'firestore.rules',
+                            line: 4,
+                            column: 7
+                        },
+                        severity: 'WARNING',
+                        description: 'Unused variable'
+                    }
+                ],
+                testResults: [
+                    {
+                        state: 'FAILURE',
+                        errorPosition: {
+                            fileName: 'firestore.rules',
+                            line: 7,
+                            column: 22
+                        }
+                    }
+                ]
+            })
+        );
+        backend.client = { projects: { test } };
+        const db = new Database({ backend });
+        db.setRulesFromDirectory(RULES_DIRECTORY);
+
+        const summary = await db.cannotGet({ uid: 'userB' }, 'users/userA');
+
+        const [[params]] = test.mock.calls;
+        expect(params.resource.source.files).toEqual([
+            {
+                name: 'firestore.rules',
+                content: db
+                    .getRulesSource()
+                    .files.map(file => file.content)
+                    .join('')
+            }
+        ]);
+        expect(summary.tests[0].result.errorPosition).toEqual({
+            fileName: path.join(RULES_DIRECTORY, '3-users.rules'),
+            line: 2,
+            column: 22
+        });
+        expect(db.warnings).toEqual([
+            {
+                fileName: path.join(RULES_DIRECTORY, '2-functions.rules'),
+                line: 2,
+                column: 7,
+                severity: 'WARNING',
+                description: 'Unused variable'
+            }
+        ]);
+    });
+
+    it('should report the coverage of each file', async () => {
+        const db = createDatabase();
+        await db.canGet({ uid: 'userA' }, 'users/userA');
+
+        const { files } = db.coverage.getReport();
+        expect(
+            files.map(file => [
+                path.basename(file.fileName),
+                file.items.map(item => [item.line, item.hits])
+            ])
+        ).toEqual([
+            ['1-header.rules', []],
+            ['2-functions.rules', [[1, 1]]],
+            ['3-users.rules', [[2, 1], [3, 0]]],
+            ['4-footer.rules', []]
+        ]);
+    });
+});
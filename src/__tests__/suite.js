@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import Database from '../database';
+import Batch from '../batch';
+import assert from '../assert';
+import LocalBackend from '../backends/local';
+
+const RULES = fs.readFileSync(
+    path.join(__dirname, 'fixtures/firestore.rules'),
+    { encoding: 'utf8' }
+);
+const DATA = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'fixtures/db.json'))
+);
+
+/*
+ * Local backend recording the size of each request.
+ */
+class RecordingBackend extends LocalBackend {
+    requests = [];
+
+    test(source, testCases) {
+        this.requests.push(testCases.length);
+        return super.test(source, testCases);
+    }
+}
+
+function createDatabase(options = {}) {
+    const backend = new RecordingBackend();
+    const db = new Database({
+        data: DATA,
+        rules: RULES,
+        backend,
+        ...options
+    });
+
+    return { db, backend };
+}
+
+describe('suite', () => {
+    it('should run all assertions in a single request', async () => {
+        const { db, backend } = createDatabase({ coalesce: false });
+
+        const summaries = await db
+            .suite()
+            .canGet({}, 'users/userB')
+            .cannotGet({}, 'users/userA')
+            .canGet({}, 'users/userA')
+            .canCommit({ uid: 'userC' }, [
+                Batch.set('users/userC', { name: 'C' }),
+                Batch.set('settings/userC', { someFeature: true })
+            ])
+            .run();
+
+        expect(backend.requests).toEqual([5]);
+        expect(summaries.map(summary => summary.success)).toEqual([
+            true,
+            true,
+            false,
+            true
+        ]);
+        expect(summaries[3].tests.length).toEqual(2);
+        expect(() => assert(summaries[2])).toThrow(
+            'Expected the get operation to succeed.'
+        );
+    });
+
+    it('should split requests by batch size', async () => {
+        const { db, backend } = createDatabase({ batchSize: 2 });
+
+        await db
+            .suite()
+            .canGet({}, 'users/userB')
+            .canGet({}, 'users/userB')
+            .canGet({}, 'users/userB')
+            .run();
+
+        expect(backend.requests).toEqual([2, 1]);
+    });
+});
+
+describe('coalescing', () => {
+    it('should group the assertions made in the same tick', async () => {
+        const { db, backend } = createDatabase();
+
+        const [allowed, denied] = await Promise.all([
+            db.canGet({}, 'users/userB'),
+            db.canGet({}, 'users/userA'),
+            db.canSet({ uid: 'userA' }, 'users/userA', { name: 'A' })
+        ]);
+
+        expect(backend.requests).toEqual([3]);
+        expect(allowed.success).toBe(true);
+        expect(denied.success).toBe(false);
+        expect(denied.tests.length).toEqual(1);
+    });
+
+    it('should not group assertions with different rules', async () => {
+        const { db, backend } = createDatabase();
+
+        const first = db.canGet({}, 'users/userB');
+        db.setRules(
+            'service cloud.firestore { match /{document=**} { allow read; } }'
+        );
+        const second = db.canGet({}, 'users/userA');
+
+        expect((await first).success).toBe(true);
+        expect((await second).success).toBe(true);
+        expect(backend.requests).toEqual([1, 1]);
+    });
+
+    it('should reject all the grouped assertions on errors', async () => {
+        const { db } = createDatabase({ rules: 'invalid' });
+        const results = await Promise.all([
+            db
+                .canGet({}, 'users/userB')
+                .catch(error => error.message.split('\n')[0]),
+            db
+                .canGet({}, 'users/userA')
+                .catch(error => error.message.split('\n')[0])
+        ]);
+
+        expect(results).toEqual([
+            'Line 1, column 1: Unexpected "invalid", expected "service"',
+            'Line 1, column 1: Unexpected "invalid", expected "service"'
+        ]);
+    });
+});
@@ -0,0 +1,178 @@
+import Database from '../database';
+import Transaction from '../transaction';
+import Batch from '../batch';
+import assert from '../assert';
+import LocalBackend from '../backends/local';
+
+const RULES = `service cloud.firestore {
+  match /databases/{database}/documents {
+    function counterAfter() {
+      return getAfter(/databases/$(database)/documents/counters/visits).data;
+    }
+
+    match /counters/{counterID} {
+      allow get: if true;
+      allow update: if request.resource.data.count == resource.data.count + 1
+        && getAfter(/databases/$(database)/documents/visits/$(request.resource.data.lastVisit)) != null;
+    }
+
+    match /visits/{visitID} {
+      allow create: if counterAfter().lastVisit == visitID;
+    }
+
+    match /private/{docID} {
+      allow get: if false;
+    }
+
+    // A pair is deleted with its partner
+    match /pairs/{pairID} {
+      allow delete: if exists(/databases/$(database)/documents/pairs/partner)
+        && !existsAfter(/databases/$(database)/documents/pairs/partner);
+    }
+  }
+}`;
+
+const db = new Database({
+    data: {
+        'counters/visits': { count: 1, lastVisit: 'visitOld' },
+        'visits/visitOld': { user: 'userA' },
+        'private/docA': {}
+    },
+    rules: RULES,
+    backend: new LocalBackend()
+});
+
+describe('Transaction', () => {
+    it('should collect the operations', () => {
+        const transaction = new Transaction()
+            .get('counters/visits')
+            .update('counters/visits', { count: 2 })
+            .create('visits/visitA', {})
+            .set('visits/visitB', {})
+            .delete('visits/visitOld');
+
+        expect(transaction.operations.map(op => op.method)).toEqual([
+            'get',
+            'update',
+            'create',
+            'set',
+            'delete'
+        ]);
+    });
+});
+
+describe('canRunTransaction', () => {
+    it('should use the combined writes for "getAfter"', async () => {
+        const transaction = new Transaction()
+            .get('counters/visits')
+            .update('counters/visits', { count: 2, lastVisit: 'visitA' })
+            .create('visits/visitA', { user: 'userA' });
+
+        const result = await db.canRunTransaction({}, transaction);
+        assert(result);
+        expect(result.tests.map(test => test.case.request.method)).toEqual([
+            'get',
+            'update',
+            'create'
+        ]);
+    });
+
+    it('should deny inconsistent writes', async () => {
+        assert(
+            await db.cannotRunTransaction(
+                {},
+                new Transaction()
+                    .update('counters/visits', {
+                        count: 2,
+                        lastVisit: 'visitA'
+                    })
+                    .create('visits/visitB', { user: 'userA' })
+            )
+        );
+    });
+
+    it('should use the current data for documents not written', async () => {
+        db.setData({
+            'counters/visits': { count: 1, lastVisit: 'visitA' }
+        });
+        assert(
+            await db.canRunTransaction(
+                {},
+                new Transaction().create('visits/visitA', { user: 'userA' })
+            )
+        );
+        db.setData({
+            'counters/visits': { count: 1, lastVisit: 'visitOld' },
+            'visits/visitOld': { user: 'userA' },
+            'private/docA': {}
+        });
+    });
+
+    it('should test the reads', async () => {
+        const result = await db.canRunTransaction(
+            {},
+            new Transaction()
+                .get('private/docA')
+                .update('counters/visits', { count: 2, lastVisit: 'visitOld' })
+        );
+
+        expect(result.tests.map(test => test.result.state)).toEqual([
+            'FAILURE',
+            'SUCCESS'
+        ]);
+    });
+
+    it('should not modify the dataset', async () => {
+        await db.canRunTransaction(
+            {},
+            new Transaction().update('counters/visits', { count: 3 })
+        );
+        expect(db.getDocument('counters/visits').fields).toEqual({
+            count: 1,
+            lastVisit: 'visitOld'
+        });
+    });
+
+    it('should deny creates of existing documents', async () => {
+        const transaction = new Transaction().create('visits/visitOld', {});
+        const result = await db.canRunTransaction({}, transaction);
+
+        assert(await db.cannotRunTransaction({}, transaction));
+        expect(result.success).toBe(false);
+        expect(result.tests[0].result.debugMessages).toEqual([
+            'Can\'t create "visits/visitOld", it already exists'
+        ]);
+    });
+});
+
+describe('canCommit', () => {
+    it('should mock "existsAfter" with the combined writes', async () => {
+        const pairs = new Database({
+            data: {
+                'pairs/pairA': { name: 'A' },
+                'pairs/partner': { name: 'B' }
+            },
+            rules: RULES,
+            backend: new LocalBackend()
+        });
+
+        assert(
+            await pairs.canCommit({ uid: 'userA' }, [
+                Batch.delete('pairs/pairA'),
+                Batch.delete('pairs/partner')
+            ])
+        );
+        assert(
+            await pairs.cannotCommit({ uid: 'userA' }, [
+                Batch.delete('pairs/pairA')
+            ])
+        );
+        assert(
+            await pairs.cannotCommit({ uid: 'userA' }, [
+                Batch.delete('pairs/pairA'),
+                Batch.delete('pairs/partner'),
+                Batch.create('pairs/partner', {})
+            ])
+        );
+    });
+});
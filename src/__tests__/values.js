@@ -0,0 +1,157 @@
+import Database from '../database';
+import Batch from '../batch';
+import assert from '../assert';
+import LocalBackend from '../backends/local';
+import {
+    Timestamp,
+    GeoPoint,
+    DocumentReference,
+    Bytes,
+    serialize,
+    deserialize,
+    findEncodedType,
+    toRulesApiValue,
+    RULES_API_UNSUPPORTED_KEYS
+} from '../values';
+
+const RULES = `
+service cloud.firestore {
+  match /databases/{database}/documents {
+    match /events/{eventID} {
+      allow read: if resource.data.date is timestamp
+        && resource.data.date < request.time
+        && resource.data.location is latlng
+        && resource.data.owner == /databases/$(database)/documents/users/$(request.auth.uid);
+
+      allow create: if request.resource.data.date is timestamp
+        && request.resource.data.date.year() == 2017
+        && request.resource.data.thumbnail is bytes
+        && get(request.resource.data.owner).data.name == 'John';
+    }
+  }
+}`;
+
+const db = new Database({
+    rules: RULES,
+    backend: new LocalBackend(),
+    data: {
+        users: [
+            {
+                key: 'userA',
+                fields: { name: 'John' },
+                collections: {}
+            }
+        ],
+        events: [
+            {
+                key: 'eventA',
+                fields: {
+                    date: { $timestamp: '2017-11-23T10:00:00.000Z' },
+                    location: new GeoPoint(48.85, 2.35),
+                    owner: { $reference: 'users/userA' }
+                },
+                collections: {}
+            }
+        ]
+    }
+});
+
+describe('serialize', () => {
+    it('should encode typed values', () => {
+        expect(
+            serialize({
+                date: new Timestamp('2017-11-23T10:00:00.000Z'),
+                nested: [new Date(0), new GeoPoint(1, 2)],
+                ref: new DocumentReference('/users/userA'),
+                bytes: Bytes.fromString('hello'),
+                text: 'hello'
+            })
+        ).toEqual({
+            date: { $timestamp: '2017-11-23T10:00:00.000Z' },
+            nested: [
+                { $timestamp: '1970-01-01T00:00:00.000Z' },
+                { $geopoint: { latitude: 1, longitude: 2 } }
+            ],
+            ref: { $reference: 'users/userA' },
+            bytes: { $bytes: 'aGVsbG8=' },
+            text: 'hello'
+        });
+    });
+
+    it('should decode the JSON syntax', () => {
+        const value = deserialize({
+            date: { $timestamp: '2017-11-23T10:00:00.000Z' },
+            list: [{ $reference: 'users/userA' }],
+            other: { $timestamp: 'a', more: 1 }
+        });
+
+        expect(value.date).toBeInstanceOf(Timestamp);
+        expect(value.date.toMillis()).toEqual(1511431200000);
+        expect(value.list[0]).toEqual(new DocumentReference('users/userA'));
+        expect(value.other).toEqual({ $timestamp: 'a', more: 1 });
+    });
+
+    it('should reject invalid values', () => {
+        expect(() => new Timestamp('invalid')).toThrow(
+            'Invalid timestamp "invalid"'
+        );
+        expect(() => new GeoPoint(100, 0)).toThrow('Invalid geopoint (100, 0)');
+    });
+});
+
+describe('findEncodedType', () => {
+    it('should find the encoded values in the children', () => {
+        expect(findEncodedType({ a: [1, { b: 'c' }] })).toBe(null);
+        expect(findEncodedType([{ a: [serialize(new GeoPoint(1, 2))] }])).toBe(
+            '$geopoint'
+        );
+        expect(
+            findEncodedType(
+                { a: serialize(new Date(0)) },
+                RULES_API_UNSUPPORTED_KEYS
+            )
+        ).toBe(null);
+    });
+});
+
+describe('toRulesApiValue', () => {
+    it('should convert the timestamps to strings', () => {
+        expect(
+            toRulesApiValue(
+                serialize({ a: [new Date(0)], b: new Timestamp(1000) })
+            )
+        ).toEqual({
+            a: ['1970-01-01T00:00:00.000Z'],
+            b: '1970-01-01T00:00:01.000Z'
+        });
+    });
+});
+
+describe('typed values in rules', () => {
+    it('should decode values from fixtures', async () => {
+        assert(await db.canGet({ uid: 'userA' }, 'events/eventA'));
+        assert(await db.cannotGet({ uid: 'userB' }, 'events/eventA'));
+    });
+
+    it('should decode values from written data', async () => {
+        assert(
+            await db.canCommit({ uid: 'userA' }, [
+                Batch.set('events/eventB', {
+                    date: new Date('2017-01-01T00:00:00.000Z'),
+                    thumbnail: Bytes.fromString('hello'),
+                    owner: new DocumentReference('users/userA')
+                })
+            ])
+        );
+
+        assert(
+            await db.cannotCommit({ uid: 'userA' }, [
+                Batch.set('events/eventB', {
+                    date: '2017-01-01T00:00:00.000Z',
+                    thumbnail: Bytes.fromString('hello'),
+                    owner: new DocumentReference('users/userA')
+                })
+            ])
+        );
+    });
+});
@@ -0,0 +1,268 @@
+import Database from '../database';
+import Batch from '../batch';
+import assert from '../assert';
+import LocalBackend from '../backends/local';
+import { applyWrite } from '../writes';
+import { FieldValue, Timestamp } from '../values';
+
+const TIME = new Timestamp('2018-01-01T00:00:00.000Z');
+const DOC = {
+    name: 'A',
+    count: 1,
+    tags: ['a', 'b'],
+    address: { city: 'Paris', zip: '75001' }
+};
+
+describe('applyWrite', () => {
+    it('should replace the document with set', () => {
+        expect(
+            applyWrite(DOC, Batch.set('docs/a', { name: 'B' }), TIME)
+        ).toEqual({ name: 'B' });
+    });
+
+    it('should merge the maps with set and merge', () => {
+        expect(
+            applyWrite(
+                DOC,
+                Batch.set(
+                    'docs/a',
+                    { address: { city: 'Lyon' }, count: FieldValue.delete() },
+                    { merge: true }
+                ),
+                TIME
+            )
+        ).toEqual({
+            name: 'A',
+            tags: ['a', 'b'],
+            address: { city: 'Lyon', zip: '75001' }
+        });
+    });
+
+    it('should only write the merge fields', () => {
+        expect(
+            applyWrite(
+                DOC,
+                Batch.set(
+                    'docs/a',
+                    { name: 'B', address: { city: 'Lyon' } },
+                    { mergeFields: ['address.city'] }
+                ),
+                TIME
+            )
+        ).toEqual({ ...DOC, address: { city: 'Lyon', zip: '75001' } });
+    });
+
+    it('should replace the fields at dotted paths with update', () => {
+        expect(
+            applyWrite(
+                DOC,
+                Batch.update('docs/a', {
+                    'address.city': 'Lyon',
+                    name: FieldValue.delete()
+                }),
+                TIME
+            )
+        ).toEqual({
+            count: 1,
+            tags: ['a', 'b'],
+            address: { city: 'Lyon', zip: '75001' }
+        });
+    });
+
+    it('should resolve the sentinels', () => {
+        expect(
+            applyWrite(
+                DOC,
+                Batch.update('docs/a', {
+                    count: FieldValue.increment(2),
+                    tags: FieldValue.arrayUnion('b', 'c'),
+                    'address.tags': FieldValue.arrayRemove('x'),
+                    updatedAt: FieldValue.serverTimestamp()
+                }),
+                TIME
+            )
+        ).toEqual({
+            ...DOC,
+            count: 3,
+            tags: ['a', 'b', 'c'],
+            address: { ...DOC.address, tags: [] },
+            updatedAt: TIME
+        });
+        expect(
+            applyWrite(
+                null,
+                Batch.set('docs/a', {
+                    count: FieldValue.increment(2),
+                    tags: FieldValue.arrayRemove('a')
+                }),
+                TIME
+            )
+        ).toEqual({ count: 2, tags: [] });
+    });
+
+    it('should not modify the current document', () => {
+        const doc = { address: { city: 'Paris' } };
+        applyWrite(
+            doc,
+            Batch.update('docs/a', { 'address.city': 'Lyon' }),
+            TIME
+        );
+
+        expect(doc).toEqual({ address: { city: 'Paris' } });
+    });
+
+    it('should reject deletes in a set without merge', () => {
+        expect(() =>
+            applyWrite(
+                DOC,
+                Batch.set('docs/a', { name: FieldValue.delete() }),
+                TIME
+            )
+        ).toThrow(
+            'FieldValue.delete() can only be used in an update, or a set with merge'
+        );
+    });
+});
+
+describe('sentinels in rules', () => {
+    const db = new Database({
+        data: { 'posts/postA': { title: 'A', likes: 1, updatedAt: null } },
+        rules: `service cloud.firestore {
+  match /databases/{database}/documents {
+    match /posts/{postID} {
+      allow update: if request.resource.data.diff(resource.data).affectedKeys()
+          .hasOnly(['likes', 'updatedAt'])
+        && request.resource.data.likes == resource.data.likes + 1
+        && request.resource.data.updatedAt == request.time
+        && getAfter(/databases/$(database)/documents/posts/$(postID)).data.likes == 2;
+    }
+  }
+}`,
+        backend: new LocalBackend(),
+        time: '2018-01-01T00:00:00.000Z'
+    });
+
+    it('should compute the written document', async () => {
+        assert(
+            await db.canUpdate({}, 'posts/postA', {
+                likes: FieldValue.increment(1),
+                updatedAt: FieldValue.serverTimestamp()
+            })
+        );
+        assert(
+            await db.canSet(
+                {},
+                'posts/postA',
+                {
+                    likes: FieldValue.increment(1),
+                    updatedAt: FieldValue.serverTimestamp()
+                },
+                { merge: true }
+            )
+        );
+    });
+
+    it('should see the removed keys', async () => {
+        assert(
+            await db.cannotUpdate({}, 'posts/postA', {
+                likes: FieldValue.increment(1),
+                updatedAt: FieldValue.serverTimestamp(),
+                title: FieldValue.delete()
+            })
+        );
+        assert(
+            await db.cannotSet({}, 'posts/postA', {
+                likes: 2,
+                updatedAt: FieldValue.serverTimestamp()
+            })
+        );
+    });
+});
+
+describe('request.resource', () => {
+    const db = new Database({
+        data: {
+            'profiles/userA': { name: 'A', createdAt: 1 }
+        },
+        rules: `service cloud.firestore {
+  match /databases/{database}/documents {
+    match /profiles/{userID} {
+      allow create: if resource == null
+        && request.resource.data.keys().hasAll(['name', 'createdAt']);
+      allow update: if request.resource.data.createdAt == resource.data.createdAt
+        && request.resource.data.name is string;
+    }
+  }
+}`,
+        backend: new LocalBackend()
+    });
+
+    it('should be the merged document for updates', async () => {
+        const result = await db.canUpdate({}, 'profiles/userA', { name: 'B' });
+
+        assert(result);
+        expect(result.tests[0].case.request.resource.data).toEqual({
+            name: 'B',
+            createdAt: 1
+        });
+        assert(await db.cannotUpdate({}, 'profiles/userA', { createdAt: 2 }));
+        assert(
+            await db.cannotUpdate({}, 'profiles/userA', {
+                name: FieldValue.delete()
+            })
+        );
+    });
+
+    it('should be the written document for sets', async () => {
+        assert(await db.cannotSet({}, 'profiles/userA', { name: 'B' }));
+        assert(
+            await db.canSet(
+                {},
+                'profiles/userA',
+                { name: 'B' },
+                { merge: true }
+            )
+        );
+        assert(
+            await db.canSet({}, 'profiles/userB', { name: 'B', createdAt: 2 })
+        );
+        assert(await db.cannotSet({}, 'profiles/userB', { name: 'B' }));
+    });
+
+    it('should test creates as creates', async () => {
+        const result = await db.canCommit({}, [
+            Batch.create('profiles/userB', { name: 'B', createdAt: 2 })
+        ]);
+
+        assert(result);
+        expect(result.tests[0].case.request.method).toEqual('create');
+    });
+
+    it('should deny creates of existing documents', async () => {
+        const batch = [
+            Batch.create('profiles/userA', { name: 'A', createdAt: 1 })
+        ];
+        const result = await db.canCommit({}, batch);
+
+        assert(await db.cannotCommit({}, batch));
+        expect(result.success).toBe(false);
+        expect(result.tests[0].result.debugMessages).toEqual([
+            'Can\'t create "profiles/userA", it already exists'
+        ]);
+    });
+
+    it('should deny copies of creates of existing documents without sending them', async () => {
+        const spy = jest.spyOn(db.backend, 'test');
+        const result = await db.canCommit({}, [
+            Batch.create('profiles/userA', { name: 'A', createdAt: 1 })
+        ]);
+        const testCase = { ...result.tests[0].case };
+        spy.mockClear();
+
+        const results = await db.runTestCases(db.source, [testCase]);
+
+        expect(spy).not.toHaveBeenCalled();
+        expect(results[0].state).toEqual('FAILURE');
+        spy.mockRestore();
+    });
+});
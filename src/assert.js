@@ -1,5 +1,6 @@
 /* @flow */
-import type { TestSummary, FirestoreTestCase } from './types';
+import type { TestSummary } from './types';
+import { formatSummary } from './report';
 
 /*
  * Assert and print a human readable error with the result of a test.
@@ -9,20 +10,7 @@ function assert(summary: TestSummary): void {
         return;
     }
 
-    const firstFailing = summary.tests.find(
-        ({ result }) => result.state == 'FAILURE'
-    );
-
-    if (firstFailing.result.debugMessages) {
-        throw new Error(firstFailing.result.debugMessages.join('\n\n'));
-    }
-
-    throw new Error(getTestDescription(firstFailing.case));
-}
-
-function getTestDescription(test: FirestoreTestCase): string {
-    const end = test.expectation == 'ALLOW' ? 'to succeed' : 'to fail';
-    return `Expected the ${test.request.method} operation ${end}.`;
+    throw new Error(formatSummary(summary));
 }
 
 export default assert;
@@ -0,0 +1,60 @@
+/* @flow */
+import type { FirestoreAuth } from './types';
+
+const Auth = {
+    anonymous,
+    user,
+    unauthenticated
+};
+
+type UserOptions = {
+    // Custom claims, added to "request.auth.token"
+    claims?: { [string]: mixed },
+    email?: string,
+    // The email is not verified unless set
+    emailVerified?: boolean,
+    // Sign-in provider (ex: "password", "google.com", "phone")
+    provider?: string
+};
+
+/*
+ * Factories to create the authentication of a request.
+ */
+function user(uid: string, options: UserOptions = {}): FirestoreAuth {
+    const {
+        claims = {},
+        email,
+        emailVerified = false,
+        provider = 'password'
+    } = options;
+
+    const identities = email ? { email: [email] } : {};
+    const token = {
+        ...claims,
+        sub: uid,
+        firebase: {
+            sign_in_provider: provider,
+            identities
+        }
+    };
+
+    if (email) {
+        token.email = email;
+        token.email_verified = emailVerified;
+    }
+
+    return {
+        uid,
+        token
+    };
+}
+
+function anonymous(uid: string = 'anonymous'): FirestoreAuth {
+    return user(uid, { provider: 'anonymous' });
+}
+
+function unauthenticated(): FirestoreAuth {
+    return null;
+}
+
+export default Auth;
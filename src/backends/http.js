@@ -0,0 +1,114 @@
+/* @flow */
+import HTTP from 'http';
+import HTTPS from 'https';
+import URL from 'url';
+import type {
+    Backend,
+    RulesSource,
+    FirestoreTestCase,
+    TestResponse
+} from '../types';
+import { toRulesApiError } from '../errors';
+import { toPayload } from './payload';
+
+/*
+ * Backend posting the test suites to a server implementing the
+ * "projects.test" method of the Rules API, like a local emulator:
+ *   POST {url}/v1/projects/{projectId}:test
+ */
+class HttpBackend implements Backend {
+    url: string;
+    projectId: string;
+    headers: { [string]: string };
+
+    constructor({
+        url,
+        projectId = 'test-project',
+        headers = {}
+    }: {
+        url: string,
+        projectId?: string,
+        // Headers added to each request (ex: "Authorization")
+        headers?: { [string]: string }
+    }) {
+        this.url = url.replace(/\/+$/, '');
+        this.projectId = projectId;
+        this.headers = headers;
+    }
+
+    /*
+     * Nothing to authorize, the headers are sent with each request.
+     */
+    authorize(): Promise<void> {
+        return Promise.resolve();
+    }
+
+    test(
+        source: RulesSource,
+        testCases: FirestoreTestCase[]
+    ): Promise<TestResponse> {
+        const body = JSON.stringify({
+            source,
+            testSuite: {
+                testCases: testCases.map(toPayload)
+            }
+        });
+        const url = URL.parse(`${this.url}/v1/projects/${this.projectId}:test`);
+        const client = url.protocol == 'https:' ? HTTPS : HTTP;
+
+        return new Promise((resolve, reject) => {
+            const request = client.request(
+                {
+                    method: 'POST',
+                    protocol: url.protocol,
+                    hostname: url.hostname,
+                    port: url.port,
+                    path: url.path,
+                    headers: {
+                        ...this.headers,
+                        'Content-Type': 'application/json',
+                        'Content-Length': Buffer.byteLength(body)
+                    }
+                },
+                response => {
+                    const chunks = [];
+
+                    response.setEncoding('utf8');
+                    response.on('data', chunk => chunks.push(chunk));
+                    response.on('error', reject);
+                    response.on('end', () => {
+                        const content = chunks.join('');
+
+                        if (
+                            response.statusCode < 200 ||
+                            response.statusCode >= 300
+                        ) {
+                            reject(
+                                toRulesApiError({
+                                    message: `Request to ${
+                                        this.url
+                                    } failed with status ${
+                                        response.statusCode
+                                    }: ${content}`,
+                                    code: response.statusCode
+                                })
+                            );
+                            return;
+                        }
+
+                        try {
+                            resolve(JSON.parse(content));
+                        } catch (error) {
+                            reject(error);
+                        }
+                    });
+                }
+            );
+
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+}
+
+export default HttpBackend;
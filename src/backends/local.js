@@ -0,0 +1,30 @@
+/* @flow */
+import type {
+    Backend,
+    RulesSource,
+    FirestoreTestCase,
+    TestResponse
+} from '../types';
+import { testRules } from '../engine';
+
+/*
+ * Backend evaluating the rules locally, it doesn't require
+ * credentials or network access.
+ */
+class LocalBackend implements Backend {
+    /*
+     * Nothing to authorize.
+     */
+    authorize(): Promise<void> {
+        return Promise.resolve();
+    }
+
+    async test(
+        source: RulesSource,
+        testCases: FirestoreTestCase[]
+    ): Promise<TestResponse> {
+        return testRules(source, testCases);
+    }
+}
+
+export default LocalBackend;
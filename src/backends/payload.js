@@ -0,0 +1,13 @@
+/* @flow */
+import type { FirestoreTestCase } from '../types';
+
+/*
+ * Remove the fields only used by the library from a test case, before
+ * sending it to the Rules API.
+ */
+export function toPayload(testCase: FirestoreTestCase): FirestoreTestCase {
+    const payload = { ...testCase };
+    delete payload.implicitTime;
+    delete payload.existingDocument;
+    return payload;
+}
@@ -0,0 +1,169 @@
+/* @flow */
+import FS from 'fs';
+import Path from 'path';
+import Crypto from 'crypto';
+import type {
+    Backend,
+    RulesSource,
+    FirestoreTestCase,
+    TestResponse
+} from '../types';
+
+/*
+ * Modes of the recording backend:
+ * - "record": always call the backend, and record the responses
+ * - "replay": only use the recordings, it fails when one is missing
+ * - "auto": use the recordings, and record the missing ones
+ */
+export type RecordingMode = 'record' | 'replay' | 'auto';
+
+/*
+ * Backend caching the responses of another backend in a directory.
+ * Recordings are keyed by a hash of the rules and the test cases,
+ * so a suite runs offline once it has been recorded.
+ * The current time of the requests is not part of the key: writes without
+ * a time are tested at the current time, which changes on every run.
+ */
+class RecordingBackend implements Backend {
+    backend: ?Backend;
+    directory: string;
+    mode: RecordingMode;
+    authorization: ?Promise<void>;
+
+    constructor({
+        backend,
+        directory,
+        mode = 'auto'
+    }: {
+        // Backend called for the missing recordings
+        backend?: Backend,
+        directory: string,
+        mode?: RecordingMode
+    }) {
+        if (!backend && mode != 'replay') {
+            throw new Error(
+                `A backend is required to record the responses in "${
+                    mode
+                }" mode`
+            );
+        }
+
+        this.backend = backend;
+        this.directory = directory;
+        this.mode = mode;
+        this.authorization = null;
+    }
+
+    /*
+     * The backend is only authorized when a response has to be recorded.
+     */
+    authorize(): Promise<void> {
+        return Promise.resolve();
+    }
+
+    async test(
+        source: RulesSource,
+        testCases: FirestoreTestCase[]
+    ): Promise<TestResponse> {
+        const key = getRecordingKey(source, testCases);
+        const filePath = Path.join(this.directory, `${key}.json`);
+
+        if (this.mode != 'record' && FS.existsSync(filePath)) {
+            return JSON.parse(FS.readFileSync(filePath, 'utf8'));
+        }
+
+        const { backend } = this;
+        if (this.mode == 'replay' || !backend) {
+            throw new Error(
+                `No recorded response for these rules and test cases (${
+                    filePath
+                })`
+            );
+        }
+
+        if (!this.authorization) {
+            this.authorization = backend.authorize().catch(error => {
+                this.authorization = null;
+                throw error;
+            });
+        }
+        await this.authorization;
+
+        const response = await backend.test(source, testCases);
+
+        mkdirp(this.directory);
+        FS.writeFileSync(filePath, JSON.stringify(response, null, 2), 'utf8');
+
+        return response;
+    }
+}
+
+// Replaces the time of a request in the hashed test cases
+const REQUEST_TIME = '$requestTime';
+
+/*
+ * Hash of the rules and the test cases sent to a backend, without the
+ * current time used by the requests which don't set one.
+ * Only the content of the rules is hashed, the names of the files depend on
+ * where the project is checked out.
+ */
+export function getRecordingKey(
+    source: RulesSource,
+    testCases: FirestoreTestCase[]
+): string {
+    return Crypto.createHash('sha256')
+        .update(
+            JSON.stringify({
+                rules: source.files.map(file => file.content),
+                // Including the server timestamps of the written data
+                testCases: testCases.map(
+                    testCase =>
+                        testCase.implicitTime
+                            ? replaceString(
+                                  testCase,
+                                  testCase.request.time,
+                                  REQUEST_TIME
+                              )
+                            : testCase
+                )
+            })
+        )
+        .digest('hex');
+}
+
+/*
+ * Replace a string in a value and its children.
+ */
+function replaceString(value: any, search: ?string, replacement: string): any {
+    if (!search) {
+        return value;
+    }
+
+    if (value === search) {
+        return replacement;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => replaceString(item, search, replacement));
+    }
+
+    if (value !== null && typeof value == 'object') {
+        return Object.keys(value).reduce((result, key) => {
+            result[key] = replaceString(value[key], search, replacement);
+            return result;
+        }, {});
+    }
+
+    return value;
+}
+
+function mkdirp(directory: string) {
+    if (FS.existsSync(directory)) {
+        return;
+    }
+
+    mkdirp(Path.dirname(directory));
+    FS.mkdirSync(directory);
+}
+
+export default RecordingBackend;
@@ -0,0 +1,183 @@
+/* @flow */
+import google from 'googleapis';
+import type {
+    Backend,
+    Credential,
+    RulesSource,
+    FirestoreTestCase,
+    TestResponse
+} from '../types';
+import { AuthenticationError, RulesApiError, toRulesApiError } from '../errors';
+import {
+    RULES_API_UNSUPPORTED_KEYS,
+    findEncodedType,
+    toRulesApiValue
+} from '../values';
+import { toPayload } from './payload';
+import { resolveCredential, type ResolvedCredential } from '../credentials';
+
+/*
+ * Backend using the Firebase Rules API to evaluate the rules.
+ */
+class RemoteBackend implements Backend {
+    credential: ?Credential;
+    resolvedCredential: ?ResolvedCredential;
+    client: ?google.firebaserules;
+
+    constructor(credential?: Credential) {
+        this.credential = credential;
+    }
+
+    /*
+     * Validate the credential the first time it's used, see
+     * "resolveCredential".
+     */
+    getCredential(): ResolvedCredential {
+        if (!this.resolvedCredential) {
+            this.resolvedCredential = resolveCredential(this.credential);
+        }
+
+        return this.resolvedCredential;
+    }
+
+    /*
+     * Authorize the API client.
+     */
+    async authorize(): Promise<void> {
+        if (this.client) {
+            return;
+        }
+
+        const credential = this.getCredential();
+
+        if (credential.type === 'authClient') {
+            this.client = google.firebaserules({
+                version: 'v1',
+                auth: credential.authClient
+            });
+            return;
+        }
+
+        if (credential.type === 'accessToken') {
+            const { accessToken } = credential;
+            const oauthClient = new google.auth.OAuth2();
+
+            oauthClient.setCredentials({
+                access_token:
+                    typeof accessToken == 'function'
+                        ? await accessToken()
+                        : accessToken
+            });
+            this.client = google.firebaserules({
+                version: 'v1',
+                auth: oauthClient
+            });
+            return;
+        }
+
+        const { serviceAccount } = credential;
+        const jwtClient = new google.auth.JWT(
+            serviceAccount.client_email,
+            null,
+            serviceAccount.private_key,
+            ['https://www.googleapis.com/auth/firebase'], // an array of auth scopes
+            null
+        );
+
+        await new Promise((resolve, reject) => {
+            jwtClient.authorize((error, tokens) => {
+                if (error) {
+                    reject(createAuthorizationError(error));
+                } else {
+                    this.client = google.firebaserules({
+                        version: 'v1',
+                        auth: jwtClient
+                    });
+
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /*
+     * Run the test cases using the API.
+     */
+    async test(
+        source: RulesSource,
+        testCases: FirestoreTestCase[]
+    ): Promise<TestResponse> {
+        const { client } = this;
+
+        if (!client) {
+            throw new Error(
+                'API client not authorized yet, call database.authorize() first'
+            );
+        }
+
+        const params = {
+            name: `projects/${this.getCredential().projectId}`,
+            resource: {
+                source,
+                testSuite: {
+                    testCases: testCases.map(encodeTestCase)
+                }
+            }
+        };
+
+        return new Promise((resolve, reject) => {
+            client.projects.test(params, (error, json) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(json);
+                }
+            });
+        });
+    }
+}
+
+/*
+ * Encode a test case in the plain JSON values accepted by the API.
+ * The mocks hold the whole dataset: the ones with values the API can't
+ * represent are left out, so only the rules reading them fail.
+ */
+function encodeTestCase(testCase: FirestoreTestCase): FirestoreTestCase {
+    const { request, resource, functionMocks } = testCase;
+    const unsupported = findEncodedType(
+        { request, resource },
+        RULES_API_UNSUPPORTED_KEYS
+    );
+
+    if (unsupported) {
+        throw new Error(
+            `Typed values ("${
+                unsupported
+            }") are only supported by the LocalBackend, the Rules API can't test them`
+        );
+    }
+
+    return {
+        ...toPayload(testCase),
+        request: toRulesApiValue(request),
+        resource: toRulesApiValue(resource),
+        functionMocks: functionMocks
+            .filter(mock => !findEncodedType(mock, RULES_API_UNSUPPORTED_KEYS))
+            .map(toRulesApiValue)
+    };
+}
+
+/*
+ * Network and server failures can be retried, other failures are caused by
+ * the credential.
+ */
+function createAuthorizationError(error: Object): RulesApiError {
+    const message = `Can't authorize the Rules API client: ${error.message}`;
+    const apiError = toRulesApiError({ message, code: error.code });
+
+    return apiError instanceof RulesApiError && apiError.retryable
+        ? apiError
+        : new AuthenticationError(message, error.code);
+}
+
+export default RemoteBackend;
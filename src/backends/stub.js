@@ -0,0 +1,56 @@
+/* @flow */
+import type {
+    Backend,
+    RulesSource,
+    FirestoreTestCase,
+    FirestoreTestResult,
+    TestResponse
+} from '../types';
+
+export type StubHandler = (
+    source: RulesSource,
+    testCases: FirestoreTestCase[]
+) => TestResponse | Promise<TestResponse>;
+
+/*
+ * Backend returning the responses of a function, to test code using a
+ * database without evaluating the rules.
+ * By default, the expectation of every test case is met.
+ */
+class StubBackend implements Backend {
+    handler: StubHandler;
+    // Test cases received, in order
+    calls: { source: RulesSource, testCases: FirestoreTestCase[] }[];
+
+    constructor(handler?: StubHandler) {
+        this.handler = handler || expectedResults;
+        this.calls = [];
+    }
+
+    authorize(): Promise<void> {
+        return Promise.resolve();
+    }
+
+    async test(
+        source: RulesSource,
+        testCases: FirestoreTestCase[]
+    ): Promise<TestResponse> {
+        this.calls.push({ source, testCases });
+        return this.handler(source, testCases);
+    }
+}
+
+function expectedResults(
+    source: RulesSource,
+    testCases: FirestoreTestCase[]
+): TestResponse {
+    return {
+        testResults: testCases.map((): FirestoreTestResult => ({
+            state: 'SUCCESS',
+            debugMessages: [],
+            functionCalls: []
+        }))
+    };
+}
+
+export default StubBackend;
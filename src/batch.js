@@ -2,13 +2,28 @@
 
 const Batch = {
     set,
+    create,
     update,
     delete: del
 };
 
+export type SetOptions = {
+    // Merge the data with the existing document
+    merge?: boolean,
+    // Only write these field paths of the data
+    mergeFields?: string[]
+};
+
 type OperationSet = {
     method: 'set',
     document: string,
+    data: any,
+    options?: SetOptions
+};
+
+type OperationCreate = {
+    method: 'create',
+    document: string,
     data: any
 };
 
@@ -26,10 +41,22 @@ type OperationDelete = {
 /*
  * Factories to create the operations.
  */
-function set(document: string, data: any): OperationSet {
+function set(document: string, data: any, options?: SetOptions): OperationSet {
     return {
         method: 'set',
         document,
+        data,
+        options
+    };
+}
+
+/*
+ * Create a document, failing if it already exists.
+ */
+function create(document: string, data: any): OperationCreate {
+    return {
+        method: 'create',
+        document,
         data
     };
 }
@@ -49,5 +76,9 @@ function del(document: string): OperationDelete {
     };
 }
 
-export type BatchOperation = OperationSet | OperationUpdate | OperationDelete;
+export type BatchOperation =
+    | OperationSet
+    | OperationCreate
+    | OperationUpdate
+    | OperationDelete;
 export default Batch;
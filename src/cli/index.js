@@ -0,0 +1,153 @@
+/* @flow */
+import FS from 'fs';
+import minimist from 'minimist';
+import Database from '../database';
+import LocalBackend from '../backends/local';
+import { CREDENTIALS_VARIABLE } from '../credentials';
+import { readSpec, addCase, type Spec } from './specFile';
+import { formatTable, formatJUnit, type CaseResult } from './reporters';
+
+const USAGE = `Usage: expect-firestore [options] <spec files...>
+
+Run the test cases of YAML or JSON spec files against Firestore rules.
+
+Options:
+  --rules <file>        Rules file, or directory of .rules files, to test
+                        (default to the "rules" of the spec)
+  --data <file>         JSON or YAML dataset (default to the "data" of the spec)
+  --credential <file>   Service account for the Rules API (default to the
+                        "credential" of the spec, or GOOGLE_APPLICATION_CREDENTIALS)
+  --local               Evaluate the rules locally, without the Rules API
+  --reporter <name>     "table" (default) or "junit"
+  --output <file>       Write the report to a file instead of the output
+  --help                Show this message`;
+
+type Options = {
+    rules?: string,
+    data?: string,
+    credential?: string,
+    local: boolean,
+    reporter: 'table' | 'junit',
+    output?: string
+};
+
+type Output = { +write: (content: string) => mixed };
+
+/*
+ * Run the command line with its arguments, and resolve with the exit code:
+ * 0 when all cases pass, 1 when some fail, 2 for invalid usage or errors.
+ */
+async function run(
+    argv: string[],
+    stdout: Output = process.stdout,
+    stderr: Output = process.stderr
+): Promise<number> {
+    const args = minimist(argv, {
+        string: ['rules', 'data', 'credential', 'reporter', 'output'],
+        boolean: ['local', 'help'],
+        default: { reporter: 'table' }
+    });
+
+    if (args.help) {
+        stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    if (args._.length == 0 || ['table', 'junit'].indexOf(args.reporter) < 0) {
+        stderr.write(`${USAGE}\n`);
+        return 2;
+    }
+
+    const options: Options = {
+        rules: args.rules,
+        data: args.data,
+        credential: args.credential,
+        local: args.local,
+        reporter: args.reporter,
+        output: args.output
+    };
+
+    let results;
+    try {
+        results = await runSpecs(args._.map(readSpec), options);
+    } catch (error) {
+        stderr.write(`${error.message}\n`);
+        return 2;
+    }
+
+    const report =
+        options.reporter == 'junit'
+            ? formatJUnit(results)
+            : `${formatTable(results)}\n`;
+
+    if (options.output) {
+        FS.writeFileSync(options.output, report, 'utf8');
+    } else {
+        stdout.write(report);
+    }
+
+    return results.every(({ summary }) => summary.success) ? 0 : 1;
+}
+
+/*
+ * Run the cases of multiple specs, each one with its own database.
+ */
+async function runSpecs(
+    specs: Spec[],
+    options: Options
+): Promise<CaseResult[]> {
+    const results = await Promise.all(
+        specs.map(spec => runSpec(spec, options))
+    );
+
+    return results.reduce((all, specResults) => all.concat(specResults), []);
+}
+
+async function runSpec(spec: Spec, options: Options): Promise<CaseResult[]> {
+    const rulesFile = options.rules || spec.rules;
+    const dataFile = options.data || spec.data;
+    const credentialFile = options.credential || spec.credential;
+
+    if (!rulesFile) {
+        throw new Error(`${spec.file}: no rules file to test`);
+    }
+
+    if (
+        !options.local &&
+        !credentialFile &&
+        !process.env[CREDENTIALS_VARIABLE]
+    ) {
+        throw new Error(
+            `${spec.file}: a credential is required, or use --local`
+        );
+    }
+
+    const database = new Database({
+        credential: credentialFile,
+        backend: options.local ? new LocalBackend() : undefined,
+        databaseId: spec.databaseId
+    });
+    if (FS.statSync(rulesFile).isDirectory()) {
+        database.setRulesFromDirectory(rulesFile);
+    } else {
+        database.setRulesFromFile(rulesFile);
+    }
+    if (dataFile) {
+        database.setDataFromFile(dataFile);
+    }
+    await database.authorize();
+
+    const suite = spec.tests.reduce(
+        (result, test) => addCase(result, test),
+        database.suite()
+    );
+    const summaries = await suite.run();
+
+    return spec.tests.map((test, i) => ({
+        file: spec.file,
+        test,
+        summary: summaries[i]
+    }));
+}
+
+export default run;
@@ -0,0 +1,127 @@
+/* @flow */
+import type { TestSummary } from '../types';
+import { formatSummary, getTestDescription } from '../report';
+import { getCaseName, type SpecCase } from './specFile';
+
+// Result of a case from a spec file
+export type CaseResult = {
+    file: string,
+    test: SpecCase,
+    summary: TestSummary
+};
+
+/*
+ * Format the results as a table, followed by the details of the failures.
+ */
+export function formatTable(results: CaseResult[]): string {
+    const rows = results.map(({ test, summary }) => [
+        summary.success ? 'PASS' : 'FAIL',
+        test.expect,
+        test.op,
+        test.path || '',
+        getCaseName(test)
+    ]);
+    const header = ['RESULT', 'EXPECT', 'OP', 'PATH', 'NAME'];
+    const widths = header.map((title, column) =>
+        rows.reduce(
+            (width, row) => Math.max(width, row[column].length),
+            title.length
+        )
+    );
+    const formatRow = row =>
+        row
+            .map(
+                (cell, column) =>
+                    cell + ' '.repeat(widths[column] - cell.length)
+            )
+            .join('  ')
+            .trim();
+
+    const failures = results.filter(({ summary }) => !summary.success);
+    const lines = [formatRow(header)].concat(rows.map(formatRow));
+
+    failures.forEach(({ file, test, summary }) => {
+        lines.push('', `${file}: ${getCaseName(test)}`, formatSummary(summary));
+    });
+
+    lines.push(
+        '',
+        `${results.length - failures.length} passed, ${
+            failures.length
+        } failed, ${results.length} total`
+    );
+
+    return lines.join('\n');
+}
+
+/*
+ * Format the results as a JUnit XML report, with a test suite per file.
+ */
+export function formatJUnit(results: CaseResult[]): string {
+    const files = results.reduce(
+        (result, caseResult) =>
+            result.indexOf(caseResult.file) >= 0
+                ? result
+                : result.concat([caseResult.file]),
+        []
+    );
+    const countFailures = list =>
+        list.filter(({ summary }) => !summary.success).length;
+
+    const suites = files.map(file => {
+        const cases = results.filter(result => result.file == file);
+        const testcases = cases.map(({ test, summary }) => {
+            const name = escapeXML(getCaseName(test));
+            const classname = escapeXML(file);
+
+            if (summary.success) {
+                return `    <testcase name="${name}" classname="${
+                    classname
+                }"/>`;
+            }
+
+            const failed = summary.tests.find(
+                ({ result }) => result.state == 'FAILURE'
+            );
+            const message = failed
+                ? getTestDescription(failed.case)
+                : 'Failed.';
+
+            return [
+                `    <testcase name="${name}" classname="${classname}">`,
+                `      <failure message="${escapeXML(message)}">${escapeXML(
+                    formatSummary(summary)
+                )}</failure>`,
+                '    </testcase>'
+            ].join('\n');
+        });
+
+        return [
+            `  <testsuite name="${escapeXML(file)}" tests="${
+                cases.length
+            }" failures="${countFailures(cases)}">`
+        ]
+            .concat(testcases)
+            .concat(['  </testsuite>'])
+            .join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites tests="${results.length}" failures="${countFailures(
+            results
+        )}">`
+    ]
+        .concat(suites)
+        .concat(['</testsuites>', ''])
+        .join('\n');
+}
+
+function escapeXML(value: string): string {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
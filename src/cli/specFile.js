@@ -0,0 +1,218 @@
+/* @flow */
+import Path from 'path';
+import type { FirestoreAuth, FirestoreQuery, TestOptions } from '../types';
+import type Suite from '../suite';
+import Auth from '../auth';
+import Batch, { type BatchOperation } from '../batch';
+import { readFile } from '../fixtures';
+
+const WRITES = ['set', 'create', 'update', 'delete'];
+const OPERATIONS = ['get', 'list'].concat(WRITES).concat(['commit']);
+
+// Authentication of a case, as written in a spec
+type SpecAuth =
+    | null
+    | 'unauthenticated'
+    | 'anonymous'
+    | {
+          uid: string,
+          token?: Object,
+          claims?: Object,
+          email?: string,
+          emailVerified?: boolean,
+          provider?: string
+      };
+
+// A test case, as written in a spec
+export type SpecCase = {
+    name?: string,
+    auth?: SpecAuth,
+    op: 'get' | 'list' | 'set' | 'create' | 'update' | 'delete' | 'commit',
+    path?: string,
+    data?: any,
+    query?: FirestoreQuery,
+    // Operations of a "commit"
+    batch?: {
+        op: 'set' | 'create' | 'update' | 'delete',
+        path: string,
+        data?: any
+    }[],
+    time?: string,
+    databaseId?: string,
+    expect: 'allow' | 'deny'
+};
+
+// A spec file, paths are relative to the file
+export type Spec = {
+    file: string,
+    rules?: string,
+    data?: string,
+    credential?: string,
+    databaseId?: string,
+    tests: SpecCase[]
+};
+
+/*
+ * Read and validate a spec file.
+ */
+export function readSpec(filePath: string): Spec {
+    const content = readFile(filePath) || {};
+    const tests = Array.isArray(content) ? content : content.tests;
+    const resolve = (file: ?string) =>
+        file ? Path.resolve(Path.dirname(filePath), file) : undefined;
+
+    if (!Array.isArray(tests)) {
+        throw new Error(`${filePath}: expected a list of "tests"`);
+    }
+
+    tests.forEach((test, i) =>
+        validateCase(test, `${filePath}: test #${i + 1}`)
+    );
+
+    return {
+        file: filePath,
+        rules: resolve(content.rules),
+        data: resolve(content.data),
+        credential: resolve(content.credential),
+        databaseId: content.databaseId,
+        tests
+    };
+}
+
+/*
+ * Add the assertion for a case to a suite.
+ */
+export function addCase(suite: Suite, test: SpecCase): Suite {
+    const allow = test.expect == 'allow';
+    const auth = createAuth(test.auth);
+    const path = test.path || '';
+    const options: TestOptions = {
+        time: test.time,
+        databaseId: test.databaseId
+    };
+
+    switch (test.op) {
+        case 'get':
+            return allow
+                ? suite.canGet(auth, path, options)
+                : suite.cannotGet(auth, path, options);
+        case 'list':
+            return allow
+                ? suite.canList(auth, path, test.query, options)
+                : suite.cannotList(auth, path, test.query, options);
+        default:
+            return allow
+                ? suite.canCommit(auth, createBatch(test), options)
+                : suite.cannotCommit(auth, createBatch(test), options);
+    }
+}
+
+/*
+ * Short description of a case, used when it has no name.
+ */
+export function getCaseName(test: SpecCase): string {
+    if (test.name) {
+        return test.name;
+    }
+
+    const auth = test.auth;
+    let user = 'unauthenticated';
+    if (typeof auth == 'string') {
+        user = auth;
+    } else if (auth) {
+        user = auth.uid;
+    }
+
+    return `${user} ${test.expect == 'allow' ? 'can' : 'cannot'} ${
+        test.op
+    } ${test.path || ''}`.trim();
+}
+
+function validateCase(test: any, location: string) {
+    if (!test || typeof test != 'object') {
+        throw new Error(`${location}: expected an object`);
+    }
+
+    if (OPERATIONS.indexOf(test.op) < 0) {
+        throw new Error(
+            `${location}: "op" must be one of ${OPERATIONS.join(', ')}`
+        );
+    }
+
+    if (test.expect != 'allow' && test.expect != 'deny') {
+        throw new Error(`${location}: "expect" must be "allow" or "deny"`);
+    }
+
+    if (test.op == 'commit') {
+        if (!Array.isArray(test.batch)) {
+            throw new Error(`${location}: "batch" must list the operations`);
+        }
+
+        test.batch.forEach((operation, i) => {
+            if (WRITES.indexOf(operation.op) < 0) {
+                throw new Error(
+                    `${location}: batch #${i +
+                        1}: "op" must be one of ${WRITES.join(', ')}`
+                );
+            }
+            if (typeof operation.path != 'string') {
+                throw new Error(
+                    `${location}: batch #${i + 1}: "path" is required`
+                );
+            }
+        });
+    } else if (typeof test.path != 'string') {
+        throw new Error(`${location}: "path" is required`);
+    }
+}
+
+function createAuth(auth: ?SpecAuth): FirestoreAuth {
+    if (!auth) {
+        return Auth.unauthenticated();
+    }
+
+    if (typeof auth == 'string') {
+        switch (auth) {
+            case 'unauthenticated':
+                return Auth.unauthenticated();
+            case 'anonymous':
+                return Auth.anonymous();
+            default:
+                throw new Error(`Unknown auth "${auth}"`);
+        }
+    }
+
+    if (auth.token) {
+        return { uid: auth.uid, token: auth.token };
+    }
+
+    return Auth.user(auth.uid, {
+        claims: auth.claims,
+        email: auth.email,
+        emailVerified: auth.emailVerified,
+        provider: auth.provider
+    });
+}
+
+function createBatch(test: SpecCase): BatchOperation[] {
+    if (test.op != 'commit') {
+        return [createOperation(test.op, test.path || '', test.data)];
+    }
+
+    return (test.batch || []).map(operation =>
+        createOperation(operation.op, operation.path, operation.data)
+    );
+}
+
+function createOperation(op: string, path: string, data: any): BatchOperation {
+    switch (op) {
+        case 'create':
+            return Batch.create(path, data || {});
+        case 'update':
+            return Batch.update(path, data || {});
+        case 'delete':
+            return Batch.delete(path);
+        default:
+            return Batch.set(path, data || {});
+    }
+}
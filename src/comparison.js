@@ -0,0 +1,72 @@
+/* @flow */
+import type { FirestoreTestCase, TestSummary } from './types';
+
+export type RulesOutcome = 'allow' | 'deny';
+
+// A case which changed outcome between two versions of the rules
+export type RulesChange = {
+    name: string,
+    testCases: FirestoreTestCase[],
+    before: RulesOutcome,
+    after: RulesOutcome
+};
+
+export type RulesComparison = {
+    // Number of compared cases
+    total: number,
+    changes: RulesChange[]
+};
+
+/*
+ * Outcome of the test cases of a case: allowed when all of them are
+ * allowed. The result of each test case is relative to its expectation.
+ */
+export function getOutcome(summary: TestSummary): RulesOutcome {
+    const allowed = summary.tests.every(
+        ({ case: testCase, result }) =>
+            (result.state == 'SUCCESS') == (testCase.expectation == 'ALLOW')
+    );
+
+    return allowed ? 'allow' : 'deny';
+}
+
+/*
+ * Name of a case from its requests (ex: "update users/userA as userA").
+ */
+export function getCaseName(testCases: FirestoreTestCase[]): string {
+    return testCases
+        .map(({ request }) => {
+            const path = request.path.replace(
+                /^\/databases\/[^/]+\/documents\//,
+                ''
+            );
+            const uid =
+                request.auth && request.auth.uid
+                    ? request.auth.uid
+                    : 'unauthenticated';
+
+            return `${request.method} ${path} as ${uid}`;
+        })
+        .join(', ');
+}
+
+/*
+ * Describe the changes, one per line:
+ *   - update users/userA as userB: deny -> allow
+ */
+export function formatComparison(comparison: RulesComparison): string {
+    const { total, changes } = comparison;
+
+    if (changes.length == 0) {
+        return `No change in the ${total} case(s).`;
+    }
+
+    return [`${changes.length} of ${total} case(s) changed outcome:`]
+        .concat(
+            changes.map(
+                ({ name, before, after }) =>
+                    `  - ${name}: ${before} -> ${after}`
+            )
+        )
+        .join('\n');
+}
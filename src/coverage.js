@@ -0,0 +1,391 @@
+/* @flow */
+import FS from 'fs';
+import type { RulesSource, SourcePosition, FirestoreTestResult } from './types';
+import { compile } from './engine';
+import { stitchSource, mapPosition } from './sources';
+import { RulesCompilationError, createCompilationIssues } from './errors';
+
+// A rule that can be covered by tests
+export type CoverageItem = {
+    type: 'allow' | 'function',
+    name: string,
+    line: number,
+    start: SourcePosition,
+    end: SourcePosition,
+    hits: number
+};
+
+export type CoverageFileReport = {
+    fileName: string,
+    covered: number,
+    total: number,
+    // Null when there is no rule to cover
+    percentage: ?number,
+    items: CoverageItem[]
+};
+
+export type CoverageReport = {
+    covered: number,
+    total: number,
+    percentage: ?number,
+    files: CoverageFileReport[]
+};
+
+type CoverageFile = {
+    content: string,
+    items: CoverageItem[]
+};
+
+/*
+ * Accumulate the rules exercised by the tests across multiple runs.
+ */
+class Coverage {
+    files: { [string]: CoverageFile };
+    // Error while listing the rules, reported with the coverage
+    error: ?Error;
+
+    constructor() {
+        this.files = {};
+        this.error = null;
+    }
+
+    /*
+     * Record the results of a test run against a rules source.
+     * It doesn't throw if the rules can't be listed, so the tests don't
+     * fail because of the coverage: the error is thrown with the report.
+     */
+    addResults(source: RulesSource, results: FirestoreTestResult[]) {
+        try {
+            this.addSource(source);
+        } catch (error) {
+            this.error = error;
+            return;
+        }
+
+        results.forEach(result => {
+            const visited = result.visitedExpressions || [];
+            const hit = new Set();
+
+            visited.forEach(({ sourcePosition }) => {
+                const file = this.files[
+                    sourcePosition.fileName || source.files[0].name
+                ];
+
+                if (!file) {
+                    return;
+                }
+
+                file.items
+                    .filter(item => contains(item, sourcePosition))
+                    .forEach(item => hit.add(item));
+            });
+
+            hit.forEach(item => {
+                item.hits += 1;
+            });
+        });
+    }
+
+    /*
+     * Parse the files of a rules source to list their coverable rules.
+     * Files which are not complete rulesets are parsed together.
+     */
+    addSource(source: RulesSource) {
+        if (source.files.length <= 1) {
+            source.files.forEach(file => this.addFile(file.name, file.content));
+            return;
+        }
+
+        const unchanged = source.files.every(file => {
+            const existing = this.files[file.name];
+            return existing && existing.content == file.content;
+        });
+        if (unchanged) {
+            return;
+        }
+
+        const stitched = stitchSource(source);
+        const items = listItems(stitched.source).map(item => {
+            const start = mapPosition(item.start, stitched.mappings);
+            return {
+                ...item,
+                line: start.line,
+                start,
+                end: mapPosition(item.end, stitched.mappings)
+            };
+        });
+
+        source.files.forEach(file => {
+            this.files[file.name] = {
+                content: file.content,
+                items: items.filter(item => item.start.fileName == file.name)
+            };
+        });
+    }
+
+    /*
+     * Parse a rules file to list its coverable rules.
+     * Hits are reset when the content of the file changes.
+     */
+    addFile(fileName: string, content: string) {
+        const existing = this.files[fileName];
+        if (existing && existing.content == content) {
+            return;
+        }
+
+        const items = listItems({ files: [{ name: fileName, content }] });
+        this.files[fileName] = { content, items };
+    }
+
+    /*
+     * Compute the coverage report.
+     * It throws if the rules of a test run couldn't be listed.
+     */
+    getReport(): CoverageReport {
+        if (this.error) {
+            throw this.error;
+        }
+
+        const files = Object.keys(this.files).map(fileName => {
+            const { items } = this.files[fileName];
+            const covered = items.filter(item => item.hits > 0).length;
+
+            return {
+                fileName,
+                covered,
+                total: items.length,
+                percentage: getPercentage(covered, items.length),
+                items
+            };
+        });
+
+        const covered = files.reduce((sum, file) => sum + file.covered, 0);
+        const total = files.reduce((sum, file) => sum + file.total, 0);
+
+        return {
+            covered,
+            total,
+            percentage: getPercentage(covered, total),
+            files
+        };
+    }
+
+    /*
+     * Format the report as text, JSON or lcov.
+     */
+    format(type: 'text' | 'json' | 'lcov' = 'text'): string {
+        const report = this.getReport();
+
+        switch (type) {
+            case 'json':
+                return JSON.stringify(report, null, 4);
+            case 'lcov':
+                return formatLcov(report);
+            case 'text':
+                return formatText(report);
+            default:
+                throw new Error(`Unknown coverage format "${type}"`);
+        }
+    }
+
+    /*
+     * Write the formatted report to a file.
+     */
+    writeFile(filePath: string, type: 'text' | 'json' | 'lcov' = 'text') {
+        FS.writeFileSync(filePath, this.format(type), 'utf8');
+    }
+
+    /*
+     * Throw an error listing the uncovered rules if the coverage is under
+     * a minimum percentage, or if no rule was found.
+     */
+    check(minimum: number = 100) {
+        const report = this.getReport();
+
+        if (report.percentage === null || report.percentage === undefined) {
+            throw new Error(
+                'No rules coverage data, no rules were found in the tested sources'
+            );
+        }
+
+        if (report.percentage >= minimum) {
+            return;
+        }
+
+        throw new Error(
+            `Rules coverage (${report.percentage}%) is under ${
+                minimum
+            }%.\n\n${formatText(report, true)}`
+        );
+    }
+
+    /*
+     * Reset all the hits.
+     */
+    reset() {
+        this.files = {};
+        this.error = null;
+    }
+}
+
+/*
+ * List the coverable rules of a source.
+ * The rules are parsed by the local engine, even when they are evaluated by
+ * the Rules API, so it throws if it can't parse them.
+ */
+function listItems(source: RulesSource): CoverageItem[] {
+    const { ruleset, issues } = compile(source);
+    const items = [];
+
+    if (!ruleset) {
+        const error = new RulesCompilationError(
+            createCompilationIssues(issues, source),
+            source
+        );
+
+        throw new Error(
+            `Can't compute the rules coverage, the rules can't be parsed locally:\n\n${
+                error.message
+            }`
+        );
+    }
+
+    const addFunctions = functions =>
+        functions.forEach(declaration => {
+            items.push(
+                createItem(
+                    'function',
+                    declaration.name,
+                    declaration.position,
+                    declaration.endPosition
+                )
+            );
+        });
+
+    const addMatches = matches =>
+        matches.forEach(block => {
+            block.allows.forEach(allow => {
+                items.push(
+                    createItem(
+                        'allow',
+                        allow.methods.join(', '),
+                        allow.position,
+                        allow.endPosition
+                    )
+                );
+            });
+            addFunctions(block.functions);
+            addMatches(block.matches);
+        });
+
+    addFunctions(ruleset.functions);
+    addMatches(ruleset.matches);
+
+    items.sort((a, b) => a.line - b.line);
+    return items;
+}
+
+function createItem(
+    type: 'allow' | 'function',
+    name: string,
+    start: SourcePosition,
+    end: SourcePosition
+): CoverageItem {
+    return {
+        type,
+        name,
+        line: start.line,
+        start,
+        end,
+        hits: 0
+    };
+}
+
+function comparePositions(a: SourcePosition, b: SourcePosition): number {
+    return a.line == b.line ? a.column - b.column : a.line - b.line;
+}
+
+function contains(item: CoverageItem, position: SourcePosition): boolean {
+    return (
+        comparePositions(item.start, position) <= 0 &&
+        comparePositions(position, item.end) <= 0
+    );
+}
+
+function getPercentage(covered: number, total: number): ?number {
+    if (total == 0) {
+        return null;
+    }
+
+    return Math.round(covered / total * 10000) / 100;
+}
+
+function formatPercentage(percentage: ?number): string {
+    return typeof percentage == 'number' ? `${percentage}%` : 'no data';
+}
+
+function formatText(report: CoverageReport, onlyUncovered?: boolean): string {
+    const lines = [];
+
+    report.files.forEach(file => {
+        lines.push(
+            `${file.fileName}: ${file.covered}/${
+                file.total
+            } rules covered (${formatPercentage(file.percentage)})`
+        );
+
+        file.items
+            .filter(item => !onlyUncovered || item.hits == 0)
+            .forEach(item => {
+                const label =
+                    item.type == 'allow'
+                        ? `allow ${item.name}`
+                        : `function ${item.name}`;
+                const hits =
+                    item.hits > 0 ? `${item.hits} hit(s)` : 'not covered';
+
+                lines.push(`    line ${item.line}: ${label} - ${hits}`);
+            });
+    });
+
+    lines.push(
+        `Total: ${report.covered}/${
+            report.total
+        } rules covered (${formatPercentage(report.percentage)})`
+    );
+
+    return lines.join('\n');
+}
+
+function formatLcov(report: CoverageReport): string {
+    return report.files
+        .map(file => {
+            const functions = file.items.filter(
+                item => item.type == 'function'
+            );
+            const lines = file.items.reduce((result, item) => {
+                result[item.line] = (result[item.line] || 0) + item.hits;
+                return result;
+            }, {});
+            const lineNumbers = Object.keys(lines).map(Number);
+
+            return ['TN:', `SF:${file.fileName}`]
+                .concat(functions.map(fn => `FN:${fn.line},${fn.name}`))
+                .concat(functions.map(fn => `FNDA:${fn.hits},${fn.name}`))
+                .concat([
+                    `FNF:${functions.length}`,
+                    `FNH:${functions.filter(fn => fn.hits > 0).length}`
+                ])
+                .concat(lineNumbers.map(line => `DA:${line},${lines[line]}`))
+                .concat([
+                    `LF:${lineNumbers.length}`,
+                    `LH:${lineNumbers.filter(line => lines[line] > 0).length}`,
+                    'end_of_record'
+                ])
+                .join('\n');
+        })
+        .join('\n')
+        .concat('\n');
+}
+
+export default Coverage;
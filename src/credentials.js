@@ -0,0 +1,121 @@
+/* @flow */
+import FS from 'fs';
+import Path from 'path';
+import type { Credential, GoogleCredential } from './types';
+import { CredentialError } from './errors';
+
+export const CREDENTIALS_VARIABLE = 'GOOGLE_APPLICATION_CREDENTIALS';
+
+const SERVICE_ACCOUNT_FIELDS = ['project_id', 'client_email', 'private_key'];
+
+// Credential validated and ready to authorize a client
+export type ResolvedCredential =
+    | {
+          type: 'serviceAccount',
+          projectId: string,
+          serviceAccount: GoogleCredential
+      }
+    | {
+          type: 'authClient',
+          projectId: string,
+          authClient: Object
+      }
+    | {
+          type: 'accessToken',
+          projectId: string,
+          accessToken: string | (() => Promise<string>)
+      };
+
+/*
+ * Find and validate the credential to use the Rules API.
+ * Without a credential, the key file in GOOGLE_APPLICATION_CREDENTIALS is used.
+ * It throws a CredentialError when the credential is missing or incomplete.
+ */
+export function resolveCredential(
+    credential: ?Credential,
+    env: { [string]: ?string } = process.env
+): ResolvedCredential {
+    if (!credential) {
+        const filePath = env[CREDENTIALS_VARIABLE];
+
+        if (!filePath) {
+            throw new CredentialError(
+                `A credential is required to use the Rules API, pass one to the database or set ${
+                    CREDENTIALS_VARIABLE
+                }`
+            );
+        }
+
+        return resolveCredential(filePath, env);
+    }
+
+    if (typeof credential == 'string') {
+        return createServiceAccount(readKeyFile(credential), credential);
+    }
+
+    if (typeof credential.projectId == 'string') {
+        return createProjectCredential(credential);
+    }
+
+    return createServiceAccount(credential);
+}
+
+function createProjectCredential(project: Object): ResolvedCredential {
+    const { projectId, authClient, accessToken } = project;
+
+    if (authClient) {
+        return { type: 'authClient', projectId, authClient };
+    }
+    if (accessToken) {
+        return { type: 'accessToken', projectId, accessToken };
+    }
+
+    throw new CredentialError(
+        `Credential for project "${
+            projectId
+        }" requires an "authClient" or an "accessToken"`
+    );
+}
+
+function createServiceAccount(
+    serviceAccount: Object,
+    filePath?: string
+): ResolvedCredential {
+    const missing = SERVICE_ACCOUNT_FIELDS.filter(
+        field =>
+            typeof serviceAccount[field] != 'string' || !serviceAccount[field]
+    );
+
+    if (missing.length > 0) {
+        throw new CredentialError(
+            `Invalid service account${
+                filePath ? ` in ${filePath}` : ''
+            }, missing ${missing.map(field => `"${field}"`).join(', ')}`
+        );
+    }
+
+    return {
+        type: 'serviceAccount',
+        projectId: serviceAccount.project_id,
+        serviceAccount
+    };
+}
+
+function readKeyFile(filePath: string): Object {
+    const fullPath = Path.resolve(filePath);
+    let content;
+
+    try {
+        content = FS.readFileSync(fullPath, 'utf8');
+    } catch (error) {
+        throw new CredentialError(`Can't read the credential file ${fullPath}`);
+    }
+
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new CredentialError(
+            `Invalid JSON in the credential file ${fullPath}: ${error.message}`
+        );
+    }
+}
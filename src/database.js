@@ -1,46 +1,166 @@
 /* @flow */
 import Path from 'path';
 import FS from 'fs';
-import google from 'googleapis';
 import set from 'object-set';
 import type {
-    GoogleCredential,
+    Backend,
+    Credential,
     Collections,
     Collection,
     Document,
     FirestoreTestCase,
+    FirestoreTestResult,
     FirestoreMockFunction,
     FirestoreAuth,
+    FirestoreQuery,
+    FirestoreTime,
+    RulesFile,
+    RulesIssue,
+    RulesSource,
+    TestOptions,
+    TestResponse,
     TestSummary
 } from './types';
 
-import Batch, { type BatchOperation } from './batch';
+import Batch, { type BatchOperation, type SetOptions } from './batch';
+import type Transaction from './transaction';
+import { serialize, Timestamp } from './values';
+import { applyWrite, cloneFields } from './writes';
+import {
+    RulesCompilationError,
+    createCompilationIssues,
+    isError,
+    type RulesCompilationIssue
+} from './errors';
+import {
+    createLimiter,
+    withRetries,
+    withTimeout,
+    type Limiter,
+    type RetryOptions
+} from './requests';
+import {
+    normalizeData,
+    readFile,
+    findOrCreateDocument,
+    type Dataset
+} from './fixtures';
+import Coverage from './coverage';
+import Suite from './suite';
+import Fuzzer, { type FuzzOptions, type FuzzReport } from './fuzz';
+import Matrix, {
+    MATRIX_OPERATIONS,
+    type MatrixCell,
+    type MatrixOperation,
+    type MatrixOptions
+} from './matrix';
+import { getOutcome, getCaseName, type RulesComparison } from './comparison';
+import { stitchSource, mapResponse } from './sources';
+import SchemaChecker, { type SchemaOptions, type SchemaReport } from './schema';
+import RemoteBackend from './backends/remote';
 
 class Database {
-    credential: GoogleCredential;
+    credential: ?Credential;
     collections: Collections;
     rules: string;
-    client: ?google.firebaserules;
+    // Files of the rules, when split in multiple files
+    rulesFiles: ?(RulesFile[]);
+    // Warnings of the last compilation of the rules
+    warnings: RulesCompilationIssue[];
+    backend: Backend;
+    coverage: ?Coverage;
+    coalesce: boolean;
+    batchSize: number;
+    time: ?FirestoreTime;
+    databaseId: string;
+    scenario: boolean;
+    timeout: number;
+    retry: RetryOptions;
+    // Limit the number of parallel requests to the backend
+    limit: Limiter;
+    source: ?RulesSource;
+    pending: {
+        source: RulesSource,
+        testCases: FirestoreTestCase[],
+        resolve: (summary: TestSummary) => void,
+        reject: (error: Error) => void
+    }[];
 
     constructor({
         data,
         credential,
-        rules
+        rules,
+        backend,
+        coverage,
+        coalesce = true,
+        batchSize = 100,
+        time,
+        databaseId = '(default)',
+        scenario = false,
+        timeout = 60000,
+        retries = 3,
+        retryDelay = 500,
+        concurrency = 4
     }: {
-        data?: Collections,
-        credential: GoogleCredential,
-        rules?: string
+        data?: Dataset,
+        // Service account, path of its key file, or a project with an
+        // authorized client (default to GOOGLE_APPLICATION_CREDENTIALS)
+        credential?: Credential,
+        rules?: string,
+        backend?: Backend,
+        // Accumulate the rules coverage, a report can be shared by databases
+        coverage?: Coverage | boolean,
+        // Group the assertions made in the same tick in a single request
+        coalesce?: boolean,
+        // Maximum number of test cases in a request
+        batchSize?: number,
+        // Fixed value of "request.time" for all tests
+        time?: FirestoreTime,
+        // Name of the database in the paths ("/databases/{database}/documents")
+        databaseId?: string,
+        // Apply the allowed writes to the dataset
+        scenario?: boolean,
+        // Maximum duration of a request to the backend (in ms), 0 to disable
+        timeout?: number,
+        // Number of retries of a request failing with a transient error
+        retries?: number,
+        // Delay before the first retry, doubled for each retry (in ms)
+        retryDelay?: number,
+        // Maximum number of parallel requests to the backend
+        concurrency?: number
     }) {
         this.credential = credential;
-        this.collections = data || {};
+        // Copied, so the writes of a scenario don't modify the data
+        this.collections = cloneFields(normalizeData(data));
         this.rules = rules || '';
+        this.rulesFiles = null;
+        this.warnings = [];
+        this.backend = backend || new RemoteBackend(credential);
+        this.coverage = coverage === true ? new Coverage() : coverage || null;
+        this.coalesce = coalesce;
+        this.batchSize = batchSize;
+        this.time = time;
+        this.databaseId = databaseId;
+        this.scenario = scenario;
+        this.timeout = timeout;
+        this.retry = { retries, retryDelay };
+        this.limit = createLimiter(concurrency);
+        this.source = null;
+        this.pending = [];
     }
 
     /*
      * Replace the mock data.
      */
-    setData(data: Collections) {
-        this.collections = data;
+    setData(data: Dataset) {
+        this.collections = cloneFields(normalizeData(data));
+    }
+
+    /*
+     * Read the mock data from a JSON or YAML file.
+     */
+    setDataFromFile(dataFile: string) {
+        this.setData(readFile(dataFile));
     }
 
     /*
@@ -48,6 +168,37 @@ class Database {
      */
     setRules(rules: string) {
         this.rules = rules;
+        this.rulesFiles = null;
+    }
+
+    /*
+     * Fix the value of "request.time" for the next tests,
+     * or use the current time if null.
+     */
+    setTime(time: ?FirestoreTime) {
+        this.time = time;
+    }
+
+    /*
+     * Enable or disable the scenario mode: when enabled, the writes allowed
+     * by the rules are applied to the dataset.
+     */
+    setScenarioMode(enabled: boolean) {
+        this.scenario = enabled;
+    }
+
+    /*
+     * Copy the current dataset, to restore it later.
+     */
+    snapshot(): Collections {
+        return cloneFields(this.collections);
+    }
+
+    /*
+     * Restore the dataset from a snapshot.
+     */
+    restore(snapshot: Collections) {
+        this.collections = cloneFields(snapshot);
     }
 
     /*
@@ -58,6 +209,41 @@ class Database {
         this.setRules(content);
     }
 
+    /*
+     * Read the rules from multiple files, concatenated in order.
+     * Positions in errors and reports refer to these files.
+     */
+    setRulesFromFiles(rulesFiles: string[]) {
+        const files = rulesFiles.map(rulesFile => ({
+            name: rulesFile,
+            content: FS.readFileSync(rulesFile, 'utf8')
+        }));
+
+        this.rules = files.map(file => file.content).join('\n');
+        this.rulesFiles = files;
+    }
+
+    /*
+     * Read the rules from all the files of a directory with an extension,
+     * in alphabetical order.
+     */
+    setRulesFromDirectory(directory: string, extension: string = '.rules') {
+        const rulesFiles = FS.readdirSync(directory)
+            .filter(fileName => Path.extname(fileName) == extension)
+            .sort()
+            .map(fileName => Path.join(directory, fileName));
+
+        if (rulesFiles.length == 0) {
+            throw new Error(
+                `No rules file with the extension "${extension}" in ${
+                    directory
+                }`
+            );
+        }
+
+        this.setRulesFromFiles(rulesFiles);
+    }
+
     /*
      * Get all documents in a collection.
      */
@@ -70,7 +256,7 @@ class Database {
             return collections[collectionName] || [];
         }
 
-        const doc = this.getDocument(docPath);
+        const doc = this.findDocument(docPath);
 
         if (doc) {
             const { collections } = doc;
@@ -81,9 +267,19 @@ class Database {
     }
 
     /*
-     * Get the value of a document (fields and collection).
+     * Get the value of a document (fields and collection),
+     * if it exists.
      */
     getDocument(docPath: string): ?Document {
+        const doc = this.findDocument(docPath);
+        return doc && doc.fields !== null ? doc : null;
+    }
+
+    /*
+     * Find a document in the tree, including the ones only holding
+     * subcollections.
+     */
+    findDocument(docPath: string): ?Document {
         const docId = Path.basename(docPath);
         const collectionPath = Path.dirname(docPath);
 
@@ -111,15 +307,10 @@ class Database {
             const docs = collections[collectionName].reduce((_docs, doc) => {
                 const docPath = Path.join(collectionPath, doc.key);
                 const children = this.getDocuments(doc.collections, docPath);
+                const current =
+                    doc.fields !== null ? [{ path: docPath, doc }] : [];
 
-                return [
-                    {
-                        path: docPath,
-                        doc
-                    }
-                ]
-                    .concat(_docs)
-                    .concat(children);
+                return current.concat(_docs).concat(children);
             }, []);
 
             return result.concat(docs);
@@ -127,163 +318,655 @@ class Database {
     }
 
     /*
-     * Authorize the API client.
+     * Authorize the backend, with the timeout, retries and concurrency
+     * limit of the requests.
+     */
+    authorize(): Promise<void> {
+        return this.limit(() =>
+            withRetries(
+                () => withTimeout(this.backend.authorize(), this.timeout),
+                this.retry
+            )
+        );
+    }
+
+    /*
+     * Test an assertion against the current rules and dataset.
+     * Calls made in the same tick are sent to the backend in a single request.
+     */
+    testRules(
+        testCases: FirestoreTestCase[],
+        writes?: BatchOperation[]
+    ): Promise<TestSummary> {
+        const source = this.getRulesSource();
+        const apply = (summary: TestSummary): TestSummary => {
+            if (writes) {
+                this.applyAllowedWrites(summary, writes);
+            }
+            return summary;
+        };
+
+        if (!this.coalesce) {
+            return this.runAssertions(source, [testCases]).then(([summary]) =>
+                apply(summary)
+            );
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pending.push({ source, testCases, resolve, reject });
+
+            if (this.pending.length == 1) {
+                process.nextTick(() => this.flushPending());
+            }
+        }).then(apply);
+    }
+
+    /*
+     * In scenario mode, apply the writes of an assertion to the dataset
+     * if the rules allowed all its requests.
      */
-    async authorize(): Promise<void> {
-        const { credential } = this;
+    applyAllowedWrites(summary: TestSummary, writes: BatchOperation[]) {
+        if (!this.scenario) {
+            return;
+        }
 
-        if (this.client) {
+        if (getOutcome(summary) != 'allow') {
             return;
         }
 
-        const jwtClient = new google.auth.JWT(
-            credential.client_email,
-            null,
-            credential.private_key,
-            ['https://www.googleapis.com/auth/firebase'], // an array of auth scopes
-            null
-        );
+        const test = summary.tests[0];
+        // Server timestamps are the time of the requests
+        const time =
+            test && test.case.request.time
+                ? new Timestamp(test.case.request.time)
+                : Timestamp.now();
 
-        await new Promise((resolve, reject) => {
-            jwtClient.authorize((error, tokens) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    this.client = google.firebaserules({
-                        version: 'v1',
-                        auth: jwtClient
-                    });
-
-                    resolve();
-                }
-            });
+        this.applyWrites(writes, time);
+    }
+
+    /*
+     * Apply writes to the dataset.
+     */
+    applyWrites(writes: BatchOperation[], time: Timestamp = Timestamp.now()) {
+        const written = this.applyOperations(writes, time);
+
+        Object.keys(written).forEach(path => {
+            const fields = written[path];
+
+            if (fields) {
+                findOrCreateDocument(
+                    this.collections,
+                    path
+                ).fields = cloneFields(fields);
+                return;
+            }
+
+            // Deleted documents keep their subcollections
+            const doc = this.findDocument(path);
+            if (doc) {
+                doc.fields = null;
+            }
         });
     }
 
     /*
-     * Test an assertion against the current rules and dataset.
+     * Send the pending assertions, grouped by rules source.
      */
-    async testRules(testCases: FirestoreTestCase[]): Promise<TestSummary> {
-        return new Promise((resolve, reject) => {
-            const params = {
-                name: `projects/${this.credential.project_id}`,
-                resource: {
-                    source: {
-                        files: [
-                            {
-                                name: 'firestore.rules',
-                                content: this.rules
-                            }
-                        ]
-                    },
-                    testSuite: {
-                        testCases
-                    }
+    flushPending() {
+        const { pending } = this;
+        this.pending = [];
+
+        const groups = pending.reduce((result, assertion) => {
+            const group = result.find(
+                other => other.source == assertion.source
+            );
+
+            if (group) {
+                group.assertions.push(assertion);
+            } else {
+                result.push({
+                    source: assertion.source,
+                    assertions: [assertion]
+                });
+            }
+
+            return result;
+        }, []);
+
+        groups.forEach(({ source, assertions }) => {
+            this.runAssertions(
+                source,
+                assertions.map(assertion => assertion.testCases)
+            ).then(
+                summaries => {
+                    assertions.forEach((assertion, i) =>
+                        assertion.resolve(summaries[i])
+                    );
+                },
+                error => {
+                    assertions.forEach(assertion => assertion.reject(error));
                 }
-            };
+            );
+        });
+    }
 
-            if (!this.client) {
-                throw new Error(
-                    'API client not authorized yet, call database.authorize() first'
+    /*
+     * Run multiple assertions in as few requests as possible, respecting
+     * the batch size, and split the results back in a summary per assertion.
+     */
+    async runAssertions(
+        source: RulesSource,
+        assertions: FirestoreTestCase[][]
+    ): Promise<TestSummary[]> {
+        const { batchSize } = this;
+
+        const chunks = assertions.reduce((result, testCases) => {
+            const last = result[result.length - 1];
+
+            if (last && last.size + testCases.length <= batchSize) {
+                last.assertions.push(testCases);
+                last.size += testCases.length;
+            } else {
+                result.push({
+                    size: testCases.length,
+                    assertions: [testCases]
+                });
+            }
+
+            return result;
+        }, []);
+
+        const summaries = await Promise.all(
+            chunks.map(async chunk => {
+                const testCases = chunk.assertions.reduce(
+                    (result, cases) => result.concat(cases),
+                    []
                 );
+                const results = await this.runTestCases(source, testCases);
+                let offset = 0;
+
+                return chunk.assertions.map(cases => {
+                    const summary = createSummary(
+                        source,
+                        cases,
+                        results.slice(offset, offset + cases.length)
+                    );
+                    offset += cases.length;
+                    return summary;
+                });
+            })
+        );
+
+        return summaries.reduce((result, chunk) => result.concat(chunk), []);
+    }
+
+    /*
+     * Run test cases with the backend in a single request.
+     * Creates of existing documents are denied without being sent.
+     */
+    async runTestCases(
+        source: RulesSource,
+        testCases: FirestoreTestCase[]
+    ): Promise<FirestoreTestResult[]> {
+        const { coverage } = this;
+        const sentCases = testCases.filter(
+            testCase => !testCase.existingDocument
+        );
+        let testResults = [];
+
+        if (sentCases.length > 0) {
+            const json = await this.request(
+                source,
+                coverage
+                    ? sentCases.map(testCase => ({
+                          ...testCase,
+                          expressionReportLevel: 'VISITED'
+                      }))
+                    : sentCases
+            );
+
+            this.checkIssues(source, json.issues || []);
+            testResults = json.testResults || [];
+
+            // Other sources (ex: in "compareRules") are not covered
+            if (coverage && source === this.source) {
+                coverage.addResults(source, testResults);
             }
+        }
 
-            this.client.projects.test(params, (error, json) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    // There are some syntax error in the rules
-                    if (json.issues) {
-                        const message = json.issues
-                            .map(
-                                issue =>
-                                    `Line ${
-                                        issue.sourcePosition.line
-                                    }, column ${issue.sourcePosition.column}: ${
-                                        issue.description
-                                    }`
-                            )
-                            .join('\n\n');
-
-                        throw new Error(message);
-                    }
+        const sentResults = testResults.slice();
+        return testCases.map(
+            testCase =>
+                testCase.existingDocument
+                    ? createExistingCreateResult(testCase)
+                    : sentResults.shift()
+        );
+    }
 
-                    const { testResults } = json;
-                    let success = true;
-
-                    const tests = testResults.map((result, i) => {
-                        success = result.state == 'SUCCESS' && success;
-                        return {
-                            case: testCases[i],
-                            result
-                        };
-                    });
-
-                    resolve({
-                        success,
-                        tests
-                    });
-                }
+    /*
+     * Send test cases to the backend, with the timeout, retries and
+     * concurrency limit of the database.
+     * Rules split in multiple files are sent as a single file, the positions
+     * of the response are mapped back to the files.
+     */
+    async request(
+        source: RulesSource,
+        testCases: FirestoreTestCase[]
+    ): Promise<TestResponse> {
+        const stitched = stitchSource(source);
+        const response = await this.limit(() =>
+            withRetries(
+                () =>
+                    withTimeout(
+                        this.backend.test(stitched.source, testCases),
+                        this.timeout
+                    ),
+                this.retry
+            )
+        );
+
+        return mapResponse(response, stitched.mappings);
+    }
+
+    /*
+     * Check the syntax of the rules, without running any test.
+     * It resolves with the warnings, or rejects with a RulesCompilationError.
+     */
+    async validateRules(): Promise<RulesCompilationIssue[]> {
+        const source = this.getRulesSource();
+        const json = await this.request(source, []);
+
+        this.checkIssues(source, json.issues || []);
+        return this.warnings;
+    }
+
+    /*
+     * Throw the errors found while compiling the rules,
+     * and keep the warnings.
+     */
+    checkIssues(source: RulesSource, issues: RulesIssue[]) {
+        const compilationIssues = createCompilationIssues(issues, source);
+
+        if (compilationIssues.some(isError)) {
+            throw new RulesCompilationError(compilationIssues, source);
+        }
+
+        this.warnings = compilationIssues;
+    }
+
+    /*
+     * Files of the rules being tested.
+     * The same object is returned as long as the rules don't change.
+     */
+    getRulesSource(): RulesSource {
+        const { rules, rulesFiles, source } = this;
+
+        if (rulesFiles) {
+            if (source && source.files === rulesFiles) {
+                return source;
+            }
+
+            this.source = { files: rulesFiles };
+            return this.source;
+        }
+
+        if (
+            source &&
+            source.files.length == 1 &&
+            source.files[0].content == rules
+        ) {
+            return source;
+        }
+
+        this.source = createRulesSource(rules);
+        return this.source;
+    }
+
+    /*
+     * Create a suite to run multiple assertions in a single request.
+     */
+    suite(): Suite {
+        return new Suite(this);
+    }
+
+    /*
+     * Test the operations of each persona on each path, and return the
+     * table of the allowed ones. A "list" is tested on the collection of a
+     * document; the other operations don't apply to collection paths,
+     * "create" only applies to missing documents, "update" to existing ones.
+     */
+    async matrix(matrixOptions: MatrixOptions): Promise<Matrix> {
+        const {
+            personas,
+            paths,
+            operations = MATRIX_OPERATIONS
+        } = matrixOptions;
+        const cells = this.createMatrixCells(matrixOptions);
+        const summaries = await this.runAssertions(
+            this.getRulesSource(),
+            cells.map(cell => cell.testCases)
+        );
+
+        const rows = [];
+        Object.keys(personas).forEach(persona => {
+            paths.forEach(path => {
+                rows.push({
+                    persona,
+                    path,
+                    outcomes: operations.reduce((outcomes, operation) => {
+                        outcomes[operation] = null;
+                        return outcomes;
+                    }, {})
+                });
             });
         });
+
+        cells.forEach(({ persona, path, operation }, index) => {
+            const row = rows.find(
+                other => other.persona == persona && other.path == path
+            );
+
+            if (row) {
+                row.outcomes[operation] = getOutcome(summaries[index]);
+            }
+        });
+
+        return new Matrix(operations, rows);
+    }
+
+    /*
+     * Check invariants against random requests, see "Fuzzer".
+     */
+    fuzz(options: FuzzOptions): Promise<FuzzReport> {
+        return new Fuzzer(this, options).run();
+    }
+
+    /*
+     * Check that the rules enforce the schema of the written fields,
+     * see "SchemaChecker".
+     */
+    checkSchema(options: SchemaOptions): Promise<SchemaReport> {
+        return new SchemaChecker(this, options).run();
+    }
+
+    /*
+     * Evaluate the same cases with two versions of the rules, and list the
+     * cases which changed from allowed to denied, or the opposite.
+     * Cases are test cases created with "createGetTest", "createCommitTest",
+     * etc, or the options of a matrix to generate them.
+     */
+    async compareRules(
+        oldRules: string | RulesSource,
+        newRules: string | RulesSource,
+        cases: Array<FirestoreTestCase | FirestoreTestCase[]> | MatrixOptions
+    ): Promise<RulesComparison> {
+        const namedCases = Array.isArray(cases)
+            ? cases.map(testCase => {
+                  const testCases = Array.isArray(testCase)
+                      ? testCase
+                      : [testCase];
+                  return { name: getCaseName(testCases), testCases };
+              })
+            : this.createMatrixCells(cases).map(cell => ({
+                  name: `${cell.persona} ${cell.operation} ${cell.path}`,
+                  testCases: cell.testCases
+              }));
+        const assertions = namedCases.map(({ testCases }) => testCases);
+
+        const [before, after] = await Promise.all([
+            this.runAssertions(createRulesSource(oldRules), assertions),
+            this.runAssertions(createRulesSource(newRules), assertions)
+        ]);
+
+        const changes = namedCases.reduce((result, { name, testCases }, i) => {
+            const outcomes = [getOutcome(before[i]), getOutcome(after[i])];
+
+            if (outcomes[0] != outcomes[1]) {
+                result.push({
+                    name,
+                    testCases,
+                    before: outcomes[0],
+                    after: outcomes[1]
+                });
+            }
+
+            return result;
+        }, []);
+
+        return { total: namedCases.length, changes };
+    }
+
+    /*
+     * Create the tests of all the operations of a matrix.
+     */
+    createMatrixCells({
+        personas,
+        paths,
+        operations = MATRIX_OPERATIONS,
+        data,
+        options
+    }: MatrixOptions): MatrixCell[] {
+        // The fields of the document by default
+        const getData = (path, operation) => {
+            if (typeof data == 'function') {
+                return data(path, operation);
+            }
+            if (data) {
+                return data;
+            }
+
+            const doc = this.getDocument(path);
+            return doc && doc.fields ? doc.fields : {};
+        };
+
+        const cells = [];
+        Object.keys(personas).forEach(persona => {
+            paths.forEach(path => {
+                operations.forEach(operation => {
+                    const testCases = this.createMatrixTest(
+                        personas[persona],
+                        path,
+                        operation,
+                        getData,
+                        options
+                    );
+
+                    if (testCases) {
+                        cells.push({ persona, path, operation, testCases });
+                    }
+                });
+            });
+        });
+
+        return cells;
+    }
+
+    /*
+     * Create the test of an operation of the matrix, expecting it to be
+     * allowed. It returns null when the operation doesn't apply to the path.
+     */
+    createMatrixTest(
+        auth: FirestoreAuth,
+        path: string,
+        operation: MatrixOperation,
+        getData: (path: string, operation: MatrixOperation) => Object,
+        options?: TestOptions
+    ): ?(FirestoreTestCase[]) {
+        const segments = path.split('/').filter(segment => !!segment);
+        const isDocument = segments.length % 2 == 0;
+        const exists = isDocument && this.hasDocument(path);
+
+        switch (operation) {
+            case 'get':
+                return isDocument
+                    ? [this.createGetTest(true, auth, path, options)]
+                    : null;
+            case 'list':
+                return [
+                    this.createListTest(
+                        true,
+                        auth,
+                        isDocument ? segments.slice(0, -1).join('/') : path,
+                        {},
+                        options
+                    )
+                ];
+            case 'create':
+                return isDocument && !exists
+                    ? this.createCommitTest(
+                          true,
+                          auth,
+                          [Batch.create(path, getData(path, operation))],
+                          options
+                      )
+                    : null;
+            case 'update':
+                return exists
+                    ? this.createCommitTest(
+                          true,
+                          auth,
+                          [Batch.update(path, getData(path, operation))],
+                          options
+                      )
+                    : null;
+            case 'delete':
+                return isDocument
+                    ? this.createCommitTest(
+                          true,
+                          auth,
+                          [Batch.delete(path)],
+                          options
+                      )
+                    : null;
+            default:
+                throw new Error(`Unknown operation "${operation}"`);
+        }
     }
 
     /*
      * Utilities for assertions.
      */
 
-    async canGet(auth: FirestoreAuth, path: string): Promise<TestSummary> {
-        return this.testRules([this.createGetTest(true, auth, path)]);
+    async canGet(
+        auth: FirestoreAuth,
+        path: string,
+        options?: TestOptions
+    ): Promise<TestSummary> {
+        return this.testRules([this.createGetTest(true, auth, path, options)]);
+    }
+
+    async cannotGet(
+        auth: FirestoreAuth,
+        path: string,
+        options?: TestOptions
+    ): Promise<TestSummary> {
+        return this.testRules([this.createGetTest(false, auth, path, options)]);
+    }
+
+    async canList(
+        auth: FirestoreAuth,
+        path: string,
+        query?: FirestoreQuery,
+        options?: TestOptions
+    ): Promise<TestSummary> {
+        return this.testRules([
+            this.createListTest(true, auth, path, query, options)
+        ]);
     }
 
-    async cannotGet(auth: FirestoreAuth, path: string): Promise<TestSummary> {
-        return this.testRules([this.createGetTest(false, auth, path)]);
+    async cannotList(
+        auth: FirestoreAuth,
+        path: string,
+        query?: FirestoreQuery,
+        options?: TestOptions
+    ): Promise<TestSummary> {
+        return this.testRules([
+            this.createListTest(false, auth, path, query, options)
+        ]);
     }
 
     async canCommit(
         auth: FirestoreAuth,
-        batch: BatchOperation[]
+        batch: BatchOperation[],
+        options?: TestOptions
     ): Promise<TestSummary> {
-        return this.testRules(this.createCommitTest(true, auth, batch));
+        return this.testRules(
+            this.createCommitTest(true, auth, batch, options),
+            batch
+        );
     }
 
     async cannotCommit(
         auth: FirestoreAuth,
-        batch: BatchOperation[]
+        batch: BatchOperation[],
+        options?: TestOptions
     ): Promise<TestSummary> {
-        return this.testRules(this.createCommitTest(false, auth, batch));
+        return this.testRules(
+            this.createCommitTest(false, auth, batch, options),
+            batch
+        );
     }
 
     async canSet(
         auth: FirestoreAuth,
         path: string,
-        data: Object
+        data: Object,
+        options?: TestOptions & SetOptions
     ): Promise<TestSummary> {
-        return this.canCommit(auth, [Batch.set(path, data)]);
+        return this.canCommit(auth, [Batch.set(path, data, options)], options);
     }
 
     async cannotSet(
         auth: FirestoreAuth,
         path: string,
-        data: Object
+        data: Object,
+        options?: TestOptions & SetOptions
     ): Promise<TestSummary> {
-        return this.cannotCommit(auth, [Batch.set(path, data)]);
+        return this.cannotCommit(
+            auth,
+            [Batch.set(path, data, options)],
+            options
+        );
     }
 
     async canUpdate(
         auth: FirestoreAuth,
         path: string,
-        data: Object
+        data: Object,
+        options?: TestOptions
     ): Promise<TestSummary> {
-        return this.canCommit(auth, [Batch.update(path, data)]);
+        return this.canCommit(auth, [Batch.update(path, data)], options);
     }
 
     async cannotUpdate(
         auth: FirestoreAuth,
         path: string,
-        data: Object
+        data: Object,
+        options?: TestOptions
+    ): Promise<TestSummary> {
+        return this.cannotCommit(auth, [Batch.update(path, data)], options);
+    }
+
+    async canRunTransaction(
+        auth: FirestoreAuth,
+        transaction: Transaction,
+        options?: TestOptions
     ): Promise<TestSummary> {
-        return this.cannotCommit(auth, [Batch.update(path, data)]);
+        return this.testRules(
+            this.createTransactionTest(true, auth, transaction, options),
+            transaction.getWrites()
+        );
+    }
+
+    async cannotRunTransaction(
+        auth: FirestoreAuth,
+        transaction: Transaction,
+        options?: TestOptions
+    ): Promise<TestSummary> {
+        return this.testRules(
+            this.createTransactionTest(false, auth, transaction, options),
+            transaction.getWrites()
+        );
     }
 
     /*
@@ -292,20 +975,66 @@ class Database {
     createGetTest(
         allow: boolean,
         auth: FirestoreAuth,
-        path: string
+        path: string,
+        options: TestOptions = {}
     ): FirestoreTestCase {
-        const functionMocks = this.createMockFunctions();
+        const databaseId = this.getDatabaseId(options);
+        const functionMocks = this.createMockFunctions(databaseId);
         const doc = this.getDocument(path);
         const request = {
-            auth,
-            path: createDocumentPath(path),
-            method: 'get'
+            auth: serialize(auth),
+            path: createDocumentPath(path, databaseId),
+            method: 'get',
+            ...this.createRequestTime(options)
         };
 
         return {
             expectation: allow ? 'ALLOW' : 'DENY',
             request,
-            resource: { data: doc ? doc.fields : null },
+            resource: { data: doc ? serialize(doc.fields) : null },
+            functionMocks
+        };
+    }
+
+    /*
+     * Create a test for a query on a collection.
+     * Rules are not filters: "resource" only contains the fields constrained
+     * by an equality in the query, accessing any other field fails.
+     */
+    createListTest(
+        allow: boolean,
+        auth: FirestoreAuth,
+        path: string,
+        query: FirestoreQuery = {},
+        options: TestOptions = {}
+    ): FirestoreTestCase {
+        const databaseId = this.getDatabaseId(options);
+        const functionMocks = this.createMockFunctions(databaseId);
+        const where = query.where || [];
+        const request = {
+            auth: serialize(auth),
+            path: createDocumentPath(path, databaseId),
+            method: 'list',
+            ...this.createRequestTime(options),
+            query: {
+                where: serialize(where),
+                orderBy: query.orderBy || null,
+                limit: query.limit || null,
+                offset: query.offset || null
+            }
+        };
+
+        const constrained = where
+            .filter(([field, operator]) => operator == '==')
+            .reduce((data, [field, operator, value]) => {
+                set(data, field, value);
+                return data;
+            }, {});
+
+        return {
+            expectation: allow ? 'ALLOW' : 'DENY',
+            request,
+            resource: { data: serialize(constrained) },
             functionMocks
         };
     }
@@ -316,51 +1045,185 @@ class Database {
     createCommitTest(
         allow: boolean,
         auth: FirestoreAuth,
-        batch: BatchOperation[]
+        batch: BatchOperation[],
+        options: TestOptions = {}
     ): FirestoreTestCase[] {
         const expectation = allow ? 'ALLOW' : 'DENY';
-        const baseFunctionMocks = this.createMockFunctions();
-        const afterFunctionMocks = this.createBatchAfterFunctionMocks(batch);
+        // All the operations of a commit happen at the same time
+        const { time, implicitTime } = this.createCommitTime(options);
+        const databaseId = this.getDatabaseId(options);
+        const baseFunctionMocks = this.createMockFunctions(databaseId);
+        const afterFunctionMocks = this.createBatchAfterFunctionMocks(
+            batch,
+            new Timestamp(time),
+            databaseId
+        );
 
         const functionMocks = [...baseFunctionMocks, ...afterFunctionMocks];
 
-        return batch.map(operation => {
-            const doc = this.getDocument(operation.document);
+        return batch.map(operation =>
+            this.createWriteTest(expectation, auth, operation, {
+                time,
+                implicitTime,
+                databaseId,
+                functionMocks
+            })
+        );
+    }
 
-            let method = operation.method;
-            if (operation.method == 'set') {
-                method = doc ? 'update' : 'create';
-            }
+    /*
+     * Create a test for each read and write of a transaction.
+     * Reads see the data before the transaction, "getAfter" in the writes
+     * sees the combined effect of all the writes.
+     */
+    createTransactionTest(
+        allow: boolean,
+        auth: FirestoreAuth,
+        transaction: Transaction,
+        options: TestOptions = {}
+    ): FirestoreTestCase[] {
+        const expectation = allow ? 'ALLOW' : 'DENY';
+        const { time, implicitTime } = this.createCommitTime(options);
+        const databaseId = this.getDatabaseId(options);
+        const writes = transaction.getWrites();
 
-            const request = {
-                auth,
-                path: createDocumentPath(operation.document),
-                method,
-                resource: operation.data
-                    ? {
-                          data: operation.data
-                      }
-                    : null
-            };
-            const resource = doc 
-                    ? {
-                          data: doc.fields
-                      }
-                    : null;
+        const functionMocks = [
+            ...this.createMockFunctions(databaseId),
+            ...this.createBatchAfterFunctionMocks(
+                writes,
+                new Timestamp(time),
+                databaseId
+            )
+        ];
 
+        return transaction.operations.map(operation => {
+            if (operation.method !== 'get') {
+                return this.createWriteTest(expectation, auth, operation, {
+                    time,
+                    implicitTime,
+                    databaseId,
+                    functionMocks
+                });
+            }
+
+            const doc = this.getDocument(operation.document);
             return {
                 expectation,
-                request,
-                resource,
-                functionMocks
+                request: {
+                    auth: serialize(auth),
+                    path: createDocumentPath(operation.document, databaseId),
+                    method: 'get',
+                    time
+                },
+                resource: { data: doc ? serialize(doc.fields) : null },
+                functionMocks,
+                ...(implicitTime ? { implicitTime } : {})
             };
         });
     }
 
+    /*
+     * Create the test for a write in a commit or a transaction.
+     */
+    createWriteTest(
+        expectation: 'ALLOW' | 'DENY',
+        auth: FirestoreAuth,
+        operation: BatchOperation,
+        {
+            time,
+            implicitTime,
+            databaseId,
+            functionMocks
+        }: {
+            time: string,
+            implicitTime?: boolean,
+            databaseId: string,
+            functionMocks: FirestoreMockFunction[]
+        }
+    ): FirestoreTestCase {
+        const doc = this.getDocument(operation.document);
+        const after = applyWrite(
+            doc ? doc.fields : null,
+            operation,
+            new Timestamp(time)
+        );
+
+        let method = operation.method;
+        if (method === 'set') {
+            method = doc ? 'update' : 'create';
+        }
+
+        const request = {
+            auth: serialize(auth),
+            path: createDocumentPath(operation.document, databaseId),
+            method,
+            time,
+            resource: after
+                ? {
+                      data: serialize(after)
+                  }
+                : null
+        };
+        const resource = doc
+            ? {
+                  data: serialize(doc.fields)
+              }
+            : null;
+
+        return {
+            expectation,
+            request,
+            resource,
+            functionMocks,
+            ...(implicitTime ? { implicitTime } : {}),
+            // Firestore rejects it whatever the rules
+            ...(operation.method == 'create' && doc
+                ? { existingDocument: operation.document }
+                : {})
+        };
+    }
+
+    /*
+     * Fields of a request fixing "request.time", when a time is set for the
+     * test or for the database.
+     */
+    createRequestTime(options: TestOptions): { time?: string } {
+        const time = options.time === undefined ? this.time : options.time;
+
+        if (time === undefined || time === null) {
+            return {};
+        }
+
+        return { time: new Timestamp(time).toDate().toISOString() };
+    }
+
+    /*
+     * Name of the database of a test.
+     */
+    getDatabaseId(options: TestOptions): string {
+        return options.databaseId || this.databaseId;
+    }
+
+    /*
+     * Time of a commit: the writes and their server timestamps share the
+     * same time, the current one if no time is set.
+     */
+    createCommitTime(
+        options: TestOptions
+    ): { time: string, implicitTime?: boolean } {
+        const { time } = this.createRequestTime(options);
+
+        return time
+            ? { time }
+            : { time: new Date().toISOString(), implicitTime: true };
+    }
+
     /*
      * Create the mocks for the API to represent the dataset.
      */
-    createMockFunctions(): FirestoreMockFunction[] {
+    createMockFunctions(
+        databaseId: string = this.databaseId
+    ): FirestoreMockFunction[] {
         const documents = this.getDocuments();
         const defaults = [
             {
@@ -383,6 +1246,13 @@ class Database {
                 result: {
                     value: false
                 }
+            },
+            {
+                function: 'existsAfter',
+                args: [{ anyValue: {} }],
+                result: {
+                    value: false
+                }
             }
         ];
 
@@ -391,12 +1261,12 @@ class Database {
                 functions.concat([
                     createFunctionMock(
                         'get',
-                        createDocumentPath(path),
+                        createDocumentPath(path, databaseId),
                         doc ? { data: doc.fields } : null
                     ),
                     createFunctionMock(
                         'exists',
-                        createDocumentPath(path),
+                        createDocumentPath(path, databaseId),
                         !!doc
                     )
                 ]),
@@ -407,37 +1277,108 @@ class Database {
     }
 
     /*
-     * Create the mock for the getAfter functions.
+     * Create the mocks for the getAfter and existsAfter functions: the
+     * documents written by the batch have their value after all the writes,
+     * the others are unchanged.
      */
     createBatchAfterFunctionMocks(
-        batch: BatchOperation[]
+        batch: BatchOperation[],
+        time: Timestamp,
+        databaseId: string = this.databaseId
     ): FirestoreMockFunction[] {
-        return batch.map(operation => {
-            const doc = this.getDocument(operation.document);
-            let after = doc ? doc.fields : null;
-
-            if (operation.method == 'set') {
-                after = operation.data;
-            } else if (operation.method == 'delete') {
-                after = null;
-            } else if (operation.method == 'update') {
-                after = after || {};
-                Object.keys(operation.data).forEach(key => {
-                    set(after, key, operation.data[key]);
-                });
-            }
+        const after = this.getDocuments().reduce((result, { path, doc }) => {
+            result[path] = doc.fields;
+            return result;
+        }, {});
+        const written = this.applyOperations(batch, time);
 
-            return createFunctionMock(
-                'getAfter',
-                createDocumentPath(operation.document),
-                after ? { data: after } : null
-            );
+        Object.keys(written).forEach(path => {
+            after[path] = written[path];
         });
+
+        return Object.keys(after).reduce(
+            (functions, path) =>
+                functions.concat([
+                    createFunctionMock(
+                        'getAfter',
+                        createDocumentPath(path, databaseId),
+                        after[path] ? { data: after[path] } : null
+                    ),
+                    createFunctionMock(
+                        'existsAfter',
+                        createDocumentPath(path, databaseId),
+                        !!after[path]
+                    )
+                ]),
+            []
+        );
     }
+
+    /*
+     * Compute the fields of the documents written by a batch, after all its
+     * operations, or null for deleted documents.
+     * The dataset is not modified.
+     */
+    applyOperations(
+        batch: BatchOperation[],
+        time: Timestamp
+    ): { [string]: ?Object } {
+        return batch.reduce((result, operation) => {
+            const path = operation.document;
+            const doc = this.getDocument(path);
+            const before = Object.prototype.hasOwnProperty.call(result, path)
+                ? result[path]
+                : doc && doc.fields;
+
+            result[path] = applyWrite(before, operation, time);
+            return result;
+        }, {});
+    }
+}
+
+/*
+ * Create the summary of the results of test cases.
+ */
+function createSummary(
+    source: RulesSource,
+    testCases: FirestoreTestCase[],
+    results: FirestoreTestResult[]
+): TestSummary {
+    const tests = results.map((result, i) => ({
+        case: testCases[i],
+        result
+    }));
+
+    return {
+        success: tests.every(({ result }) => result.state == 'SUCCESS'),
+        source,
+        tests
+    };
+}
+
+/*
+ * Result of the create of an existing document, which is always denied.
+ */
+function createExistingCreateResult(
+    testCase: FirestoreTestCase
+): FirestoreTestResult {
+    const path = String(testCase.existingDocument);
+
+    return {
+        // The expectation is met when the create is expected to be denied
+        state: testCase.expectation == 'DENY' ? 'SUCCESS' : 'FAILURE',
+        debugMessages: [`Can't create "${path}", it already exists`]
+    };
+}
+
+function createRulesSource(rules: string | RulesSource): RulesSource {
+    return typeof rules == 'string'
+        ? { files: [{ name: 'firestore.rules', content: rules }] }
+        : rules;
 }
 
-function createDocumentPath(path: string): string {
-    return `/databases/(default)/documents/${path}`;
+function createDocumentPath(path: string, databaseId: string): string {
+    return `/databases/${databaseId}/documents/${path}`;
 }
 
 function createFunctionMock(
@@ -449,7 +1390,7 @@ function createFunctionMock(
         function: functionName,
         args: [{ exact_value: arg }],
         result: {
-            value
+            value: serialize(value)
         }
     };
 }
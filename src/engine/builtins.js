@@ -0,0 +1,378 @@
+/* @flow */
+import {
+    EvaluationError,
+    Path,
+    Timestamp,
+    Duration,
+    LatLng,
+    Bytes,
+    RulesSet,
+    MapDiff,
+    typeOf,
+    equals,
+    hasKey
+} from './values';
+
+const DURATION_UNITS = {
+    w: 7 * 24 * 3600 * 1000,
+    d: 24 * 3600 * 1000,
+    h: 3600 * 1000,
+    m: 60 * 1000,
+    s: 1000,
+    ms: 1,
+    ns: 1 / 1000000
+};
+
+/*
+ * Check the type of the arguments of a builtin call.
+ */
+function checkArgs(name: string, args: any[], types: string[]) {
+    if (args.length != types.length) {
+        throw new EvaluationError(
+            `Function ${name} expects ${types.length} argument(s), got ${
+                args.length
+            }`
+        );
+    }
+
+    args.forEach((arg, i) => {
+        const type = typeOf(arg);
+        const expected = types[i];
+
+        if (
+            expected != 'any' &&
+            type != expected &&
+            !(expected == 'number' && (type == 'int' || type == 'float'))
+        ) {
+            throw new EvaluationError(
+                `Function ${name} expects argument ${i + 1} to be ${
+                    expected
+                }, got ${type}`
+            );
+        }
+    });
+}
+
+function toList(value: any): any[] {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    if (value instanceof RulesSet) {
+        return value.values;
+    }
+
+    throw new EvaluationError(`Expected a list or a set, got ${typeOf(value)}`);
+}
+
+function contains(list: any[], value: any): boolean {
+    return list.some(item => equals(item, value));
+}
+
+/*
+ * Methods shared by lists and sets.
+ */
+const COLLECTION_METHODS = {
+    size: (items: any[]) => items.length,
+    hasAll: (items: any[], other: any) =>
+        toList(other).every(value => contains(items, value)),
+    hasAny: (items: any[], other: any) =>
+        toList(other).some(value => contains(items, value)),
+    hasOnly: (items: any[], other: any) =>
+        items.every(value => contains(toList(other), value))
+};
+
+const METHODS = {
+    string: {
+        size: (str: string) => str.length,
+        matches: (str: string, regex: string) => {
+            checkArgs('matches', [regex], ['string']);
+            return new RegExp(`^(?:${regex})$`).test(str);
+        },
+        lower: (str: string) => str.toLowerCase(),
+        upper: (str: string) => str.toUpperCase(),
+        trim: (str: string) => str.trim(),
+        split: (str: string, separator: string) => {
+            checkArgs('split', [separator], ['string']);
+            return str.split(new RegExp(separator));
+        },
+        replace: (str: string, regex: string, sub: string) => {
+            checkArgs('replace', [regex, sub], ['string', 'string']);
+            return str.replace(new RegExp(regex, 'g'), sub);
+        },
+        toUtf8: (str: string) =>
+            new Bytes(Buffer.from(str, 'utf8').toString('base64'))
+    },
+    list: {
+        ...COLLECTION_METHODS,
+        join: (items: any[], separator: string) => {
+            checkArgs('join', [separator], ['string']);
+            return items.join(separator);
+        },
+        concat: (items: any[], other: any[]) => {
+            checkArgs('concat', [other], ['list']);
+            return items.concat(other);
+        },
+        removeAll: (items: any[], other: any[]) => {
+            checkArgs('removeAll', [other], ['list']);
+            return items.filter(value => !contains(other, value));
+        },
+        toSet: (items: any[]) => new RulesSet(items)
+    },
+    set: {
+        size: (set: RulesSet) => set.values.length,
+        hasAll: (set: RulesSet, other: any) =>
+            COLLECTION_METHODS.hasAll(set.values, other),
+        hasAny: (set: RulesSet, other: any) =>
+            COLLECTION_METHODS.hasAny(set.values, other),
+        hasOnly: (set: RulesSet, other: any) =>
+            COLLECTION_METHODS.hasOnly(set.values, other),
+        difference: (set: RulesSet, other: any) =>
+            new RulesSet(
+                set.values.filter(value => !contains(toList(other), value))
+            ),
+        intersection: (set: RulesSet, other: any) =>
+            new RulesSet(
+                set.values.filter(value => contains(toList(other), value))
+            ),
+        union: (set: RulesSet, other: any) =>
+            new RulesSet(set.values.concat(toList(other)))
+    },
+    map: {
+        size: (map: Object) => Object.keys(map).length,
+        keys: (map: Object) => Object.keys(map),
+        values: (map: Object) => Object.keys(map).map(key => map[key]),
+        get: (map: Object, key: any, defaultValue: any) => {
+            const keys = Array.isArray(key) ? key : [key];
+
+            return keys.reduce((value, k) => {
+                if (
+                    typeOf(value) != 'map' ||
+                    typeof k != 'string' ||
+                    !hasKey(value, k)
+                ) {
+                    return defaultValue;
+                }
+                return value[k];
+            }, map);
+        },
+        diff: (map: Object, other: Object) => {
+            checkArgs('diff', [other], ['map']);
+            return new MapDiff(map, other);
+        }
+    },
+    map_diff: {
+        addedKeys: (diff: MapDiff) => diff.addedKeys(),
+        removedKeys: (diff: MapDiff) => diff.removedKeys(),
+        changedKeys: (diff: MapDiff) => diff.changedKeys(),
+        affectedKeys: (diff: MapDiff) => diff.affectedKeys(),
+        unchangedKeys: (diff: MapDiff) => diff.unchangedKeys()
+    },
+    path: {
+        size: (path: Path) => path.segments.length
+    },
+    timestamp: {
+        year: (ts: Timestamp) => ts.date.getUTCFullYear(),
+        month: (ts: Timestamp) => ts.date.getUTCMonth() + 1,
+        day: (ts: Timestamp) => ts.date.getUTCDate(),
+        hours: (ts: Timestamp) => ts.date.getUTCHours(),
+        minutes: (ts: Timestamp) => ts.date.getUTCMinutes(),
+        seconds: (ts: Timestamp) => ts.date.getUTCSeconds(),
+        nanos: (ts: Timestamp) => ts.date.getUTCMilliseconds() * 1000000,
+        toMillis: (ts: Timestamp) => ts.millis,
+        dayOfWeek: (ts: Timestamp) => ts.date.getUTCDay() || 7,
+        dayOfYear: (ts: Timestamp) => {
+            const start = Date.UTC(ts.date.getUTCFullYear(), 0, 1);
+            return Math.floor((ts.millis - start) / DURATION_UNITS.d) + 1;
+        },
+        date: (ts: Timestamp) =>
+            new Timestamp(
+                Date.UTC(
+                    ts.date.getUTCFullYear(),
+                    ts.date.getUTCMonth(),
+                    ts.date.getUTCDate()
+                )
+            ),
+        time: (ts: Timestamp) => new Duration(ts.millis % DURATION_UNITS.d)
+    },
+    duration: {
+        seconds: (duration: Duration) => Math.floor(duration.millis / 1000),
+        nanos: (duration: Duration) => (duration.millis % 1000) * 1000000
+    },
+    latlng: {
+        latitude: (point: LatLng) => point.latitude,
+        longitude: (point: LatLng) => point.longitude,
+        distance: (point: LatLng, other: LatLng) => {
+            checkArgs('distance', [other], ['latlng']);
+            return haversine(point, other);
+        }
+    },
+    bytes: {
+        size: (bytes: Bytes) => Buffer.from(bytes.base64, 'base64').length,
+        toBase64: (bytes: Bytes) => bytes.base64
+    }
+};
+
+/*
+ * Global namespaces of functions ("math.abs", "timestamp.date", ...).
+ */
+const NAMESPACES = {
+    math: {
+        abs: (n: number) => Math.abs(n),
+        ceil: (n: number) => Math.ceil(n),
+        floor: (n: number) => Math.floor(n),
+        round: (n: number) => Math.round(n),
+        sqrt: (n: number) => Math.sqrt(n),
+        pow: (n: number, exp: number) => n ** exp,
+        isInfinite: (n: number) => n === Infinity || n === -Infinity,
+        isNaN: (n: number) => Number.isNaN(n)
+    },
+    timestamp: {
+        value: (millis: number) => {
+            checkArgs('timestamp.value', [millis], ['int']);
+            return new Timestamp(millis);
+        },
+        date: (year: number, month: number, day: number) => {
+            checkArgs(
+                'timestamp.date',
+                [year, month, day],
+                ['int', 'int', 'int']
+            );
+            return new Timestamp(Date.UTC(year, month - 1, day));
+        }
+    },
+    duration: {
+        value: (magnitude: number, unit: string) => {
+            checkArgs('duration.value', [magnitude, unit], ['int', 'string']);
+            if (!hasKey(DURATION_UNITS, unit)) {
+                throw new EvaluationError(`Invalid duration unit "${unit}"`);
+            }
+            return new Duration(magnitude * DURATION_UNITS[unit]);
+        },
+        time: (hours: number, mins: number, secs: number, nanos: number) =>
+            new Duration(
+                hours * DURATION_UNITS.h +
+                    mins * DURATION_UNITS.m +
+                    secs * DURATION_UNITS.s +
+                    nanos * DURATION_UNITS.ns
+            ),
+        abs: (duration: Duration) => new Duration(Math.abs(duration.millis))
+    },
+    latlng: {
+        value: (lat: number, lng: number) => {
+            checkArgs('latlng.value', [lat, lng], ['number', 'number']);
+            return new LatLng(lat, lng);
+        }
+    }
+};
+
+/*
+ * Global functions, other than the ones accessing the database.
+ */
+const FUNCTIONS = {
+    int: (value: any) => {
+        const result = Math.trunc(Number(value));
+        if (Number.isNaN(result)) {
+            throw new EvaluationError(`Can't convert ${value} to int`);
+        }
+        return result;
+    },
+    float: (value: any) => {
+        const result = Number(value);
+        if (Number.isNaN(result)) {
+            throw new EvaluationError(`Can't convert ${value} to float`);
+        }
+        return result;
+    },
+    string: (value: any) => toString(value),
+    path: (value: string) => {
+        checkArgs('path', [value], ['string']);
+        return Path.fromString(value);
+    }
+};
+
+function haversine(a: LatLng, b: LatLng): number {
+    const radius = 6371000;
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLng = toRad(b.longitude - a.longitude);
+    const h =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.latitude)) *
+            Math.cos(toRad(b.latitude)) *
+            Math.sin(dLng / 2) ** 2;
+
+    return 2 * radius * Math.asin(Math.sqrt(h));
+}
+
+/*
+ * Human readable representation of a value, used by "string()" and "debug()".
+ */
+export function toString(value: any): string {
+    const type = typeOf(value);
+
+    switch (type) {
+        case 'null':
+            return 'null';
+        case 'string':
+            return value;
+        case 'list':
+            return `[${value.map(toString).join(', ')}]`;
+        case 'set':
+            return `set([${value.values.map(toString).join(', ')}])`;
+        case 'map':
+            return `{${Object.keys(value)
+                .map(key => `${key}: ${toString(value[key])}`)
+                .join(', ')}}`;
+        case 'latlng':
+            return `latlng(${value.latitude}, ${value.longitude})`;
+        case 'duration':
+            return `${value.millis / 1000}s`;
+        case 'bytes':
+            return `b'${value.base64}'`;
+        default:
+            return String(value);
+    }
+}
+
+/*
+ * Call a method on a value.
+ */
+export function callMethod(value: any, name: string, args: any[]): any {
+    const type = typeOf(value);
+    const methods = METHODS[type];
+
+    if (!methods || !hasKey(methods, name)) {
+        throw new EvaluationError(`Unknown method ${name} on type ${type}`);
+    }
+
+    return methods[name](value, ...args);
+}
+
+/*
+ * Test if an identifier refers to a namespace of functions.
+ */
+export function isNamespace(name: string): boolean {
+    return hasKey(NAMESPACES, name);
+}
+
+export function callNamespaceFunction(
+    namespace: string,
+    name: string,
+    args: any[]
+): any {
+    const functions = NAMESPACES[namespace];
+
+    if (!hasKey(functions, name)) {
+        throw new EvaluationError(`Unknown function ${namespace}.${name}`);
+    }
+
+    return functions[name](...args);
+}
+
+export function isGlobalFunction(name: string): boolean {
+    return hasKey(FUNCTIONS, name);
+}
+
+export function callGlobalFunction(name: string, args: any[]): any {
+    return FUNCTIONS[name](...args);
+}
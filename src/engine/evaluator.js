@@ -0,0 +1,820 @@
+/* @flow */
+import type {
+    FirestoreTestCase,
+    FirestoreTestResult,
+    FirestoreMockFunction,
+    VisitedExpression
+} from '../types';
+import type { Position } from './lexer';
+import type {
+    Ruleset,
+    MatchBlock,
+    AllowStatement,
+    FunctionDeclaration,
+    Expression,
+    PathSegment
+} from './parser';
+import {
+    EvaluationError,
+    Path,
+    Timestamp,
+    Duration,
+    typeOf,
+    isType,
+    equals,
+    compare,
+    hasKey
+} from './values';
+import {
+    toString,
+    callMethod,
+    isNamespace,
+    callNamespaceFunction,
+    isGlobalFunction,
+    callGlobalFunction
+} from './builtins';
+import { fromJSON, toJSON, getDocumentsRoot } from './json';
+
+// Methods covered by the generic "read" and "write"
+const METHOD_GROUPS = {
+    read: ['get', 'list'],
+    write: ['create', 'update', 'delete']
+};
+
+// Functions resolved using the mocks of the test case
+const MOCKED_FUNCTIONS = ['get', 'exists', 'getAfter', 'existsAfter'];
+
+// Segment standing for any document of the collection in "list" requests,
+// it can't conflict with a real segment since those are never empty
+const ANY_DOCUMENT = '';
+
+// Maximum depth of nested function calls
+const MAX_CALL_DEPTH = 20;
+
+type Scope = {
+    variables: { [string]: any },
+    functions: { [string]: { declaration: FunctionDeclaration, scope: Scope } },
+    parent: ?Scope
+};
+
+/*
+ * Create a child scope.
+ */
+function createScope(
+    parent: ?Scope,
+    variables: { [string]: any } = {},
+    functions: FunctionDeclaration[] = []
+): Scope {
+    const scope = {
+        variables,
+        functions: {},
+        parent
+    };
+
+    functions.forEach(declaration => {
+        scope.functions[declaration.name] = { declaration, scope };
+    });
+
+    return scope;
+}
+
+function lookup(scope: ?Scope, kind: 'variables' | 'functions', name: string) {
+    let current = scope;
+
+    while (current) {
+        if (hasKey(current[kind], name)) {
+            return { found: true, value: current[kind][name] };
+        }
+        current = current.parent;
+    }
+
+    return { found: false, value: null };
+}
+
+/*
+ * Evaluate a single test case against a parsed ruleset.
+ */
+class Evaluator {
+    ruleset: Ruleset;
+    testCase: FirestoreTestCase;
+    debugMessages: string[];
+    functionCalls: { function: string, args: any[] }[];
+    visitedExpressions: VisitedExpression[];
+    errorPosition: ?Position;
+    depth: number;
+    root: string[];
+
+    constructor(ruleset: Ruleset, testCase: FirestoreTestCase) {
+        this.ruleset = ruleset;
+        this.testCase = testCase;
+        this.debugMessages = [];
+        this.functionCalls = [];
+        this.visitedExpressions = [];
+        this.errorPosition = null;
+        this.depth = 0;
+        this.root = getDocumentsRoot(Path.fromString(testCase.request.path));
+    }
+
+    /*
+     * Decode a value from the test case.
+     */
+    decode(value: any): any {
+        return fromJSON(value, this.root);
+    }
+
+    /*
+     * Run the test and compare the result with the expectation.
+     */
+    run(): FirestoreTestResult {
+        const { testCase } = this;
+        const allowed = this.isAllowed();
+        const expected = testCase.expectation == 'ALLOW';
+        const result: FirestoreTestResult = {
+            state: allowed == expected ? 'SUCCESS' : 'FAILURE'
+        };
+
+        if (this.debugMessages.length > 0) {
+            result.debugMessages = this.debugMessages;
+        }
+
+        if (this.functionCalls.length > 0) {
+            result.functionCalls = this.functionCalls;
+        }
+
+        if (this.visitedExpressions.length > 0) {
+            result.visitedExpressions = this.visitedExpressions;
+        }
+
+        if (this.errorPosition) {
+            result.errorPosition = this.errorPosition;
+        }
+
+        return result;
+    }
+
+    /*
+     * Evaluate the request against all the matching "allow" statements.
+     */
+    isAllowed(): boolean {
+        const { ruleset, testCase } = this;
+        const { request } = testCase;
+        const { segments } = Path.fromString(request.path);
+        if (request.method == 'list') {
+            segments.push(ANY_DOCUMENT);
+        }
+
+        const globals = createScope(
+            null,
+            this.createGlobals(),
+            ruleset.functions
+        );
+
+        const candidates = ruleset.matches.reduce(
+            (result, block) =>
+                result.concat(this.matchBlock(block, segments, globals)),
+            []
+        );
+
+        return candidates.some(({ allow, scope }) => {
+            if (!allowsMethod(allow, request.method)) {
+                return false;
+            }
+
+            return this.evaluateAllow(allow, scope);
+        });
+    }
+
+    /*
+     * Evaluate the condition of an "allow" statement, and report it.
+     */
+    evaluateAllow(allow: AllowStatement, scope: Scope): boolean {
+        const { condition } = allow;
+
+        if (!condition) {
+            this.visitedExpressions.push({
+                sourcePosition: allow.position,
+                value: true
+            });
+            return true;
+        }
+
+        try {
+            const value = this.evaluate(condition, scope);
+            this.visitedExpressions.push({
+                sourcePosition: allow.position,
+                value: toJSON(value)
+            });
+            return value === true;
+        } catch (error) {
+            if (!(error instanceof EvaluationError)) {
+                throw error;
+            }
+
+            this.errorPosition = this.errorPosition || error.position;
+            this.visitedExpressions.push({
+                sourcePosition: allow.position,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    /*
+     * Variables available in all expressions.
+     */
+    createGlobals(): { [string]: any } {
+        const { request, resource } = this.testCase;
+        const requestResource = this.decode(request.resource);
+
+        return {
+            request: {
+                auth: this.decode(request.auth),
+                method: request.method,
+                path: Path.fromString(request.path),
+                time: request.time
+                    ? new Timestamp(Date.parse(request.time))
+                    : new Timestamp(Date.now()),
+                resource: requestResource,
+                query: this.decode(request.query)
+            },
+            resource: this.decode(resource)
+        };
+    }
+
+    /*
+     * List the "allow" statements applying to a path in a match block.
+     */
+    matchBlock(
+        block: MatchBlock,
+        segments: string[],
+        parent: Scope
+    ): { allow: AllowStatement, scope: Scope }[] {
+        const matched = this.matchPath(block.path, segments);
+        if (!matched) {
+            return [];
+        }
+
+        const { bindings, rest } = matched;
+        const scope = createScope(parent, bindings, block.functions);
+
+        const allows =
+            rest.length == 0
+                ? block.allows.map(allow => ({ allow, scope }))
+                : [];
+
+        // Children can still match an empty path with a recursive wildcard
+        return block.matches.reduce(
+            (result, child) =>
+                result.concat(this.matchBlock(child, rest, scope)),
+            allows
+        );
+    }
+
+    /*
+     * Match the prefix of a path with a pattern, returning the wildcards
+     * bindings and the remaining segments.
+     */
+    matchPath(
+        pattern: PathSegment[],
+        segments: string[]
+    ): ?{ bindings: { [string]: any }, rest: string[] } {
+        const bindings = {};
+        let index = 0;
+
+        for (let i = 0; i < pattern.length; i += 1) {
+            const part = pattern[i];
+
+            if (part.type === 'wildcard' && part.recursive) {
+                const rest = segments.slice(index);
+                if (rest.length == 0 && this.ruleset.rulesVersion != '2') {
+                    return null;
+                }
+
+                bindings[part.name] = new Path(
+                    rest.filter(segment => segment != ANY_DOCUMENT)
+                );
+                return { bindings, rest: [] };
+            }
+
+            if (index >= segments.length) {
+                return null;
+            }
+
+            const segment = segments[index];
+            if (part.type === 'wildcard') {
+                bindings[part.name] = segment == ANY_DOCUMENT ? null : segment;
+            } else if (part.type != 'literal' || part.value != segment) {
+                return null;
+            }
+
+            index += 1;
+        }
+
+        return { bindings, rest: segments.slice(index) };
+    }
+
+    /*
+     * Evaluate an expression, errors are tagged with the position of the
+     * innermost expression raising them.
+     */
+    evaluate(node: Expression, scope: Scope): any {
+        try {
+            return this.evaluateNode(node, scope);
+        } catch (error) {
+            if (error instanceof EvaluationError && !error.position) {
+                error.position = node.position;
+            }
+            throw error;
+        }
+    }
+
+    evaluateNode(node: Expression, scope: Scope): any {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'identifier':
+                return this.evaluateIdentifier(node, scope);
+            case 'list':
+                return node.elements.map(element =>
+                    this.evaluate(element, scope)
+                );
+            case 'map':
+                return node.entries.reduce((result, entry) => {
+                    const key = this.evaluate(entry.key, scope);
+                    if (typeof key != 'string') {
+                        throw new EvaluationError('Map keys must be strings');
+                    }
+                    result[key] = this.evaluate(entry.value, scope);
+                    return result;
+                }, {});
+            case 'path':
+                return this.evaluatePath(node, scope);
+            case 'member':
+                return getProperty(
+                    this.evaluate(node.object, scope),
+                    node.property
+                );
+            case 'index':
+                return getIndex(
+                    this.evaluate(node.object, scope),
+                    this.evaluate(node.index, scope)
+                );
+            case 'slice':
+                return getSlice(
+                    this.evaluate(node.object, scope),
+                    node.start ? this.evaluate(node.start, scope) : null,
+                    node.end ? this.evaluate(node.end, scope) : null
+                );
+            case 'call':
+                return this.evaluateCall(node, scope);
+            case 'unary':
+                return evaluateUnary(
+                    node.operator,
+                    this.evaluate(node.argument, scope)
+                );
+            case 'binary':
+                return evaluateBinary(
+                    node.operator,
+                    this.evaluate(node.left, scope),
+                    this.evaluate(node.right, scope)
+                );
+            case 'logical':
+                return this.evaluateLogical(node, scope);
+            case 'conditional':
+                return this.evaluate(
+                    expectBool(this.evaluate(node.test, scope))
+                        ? node.consequent
+                        : node.alternate,
+                    scope
+                );
+            case 'is':
+                return isType(
+                    this.evaluate(node.expression, scope),
+                    node.typeName
+                );
+            default:
+                throw new EvaluationError(`Unknown expression ${node.type}`);
+        }
+    }
+
+    evaluateIdentifier(node: Expression, scope: Scope): any {
+        const { found, value } = lookup(scope, 'variables', node.name);
+
+        if (!found) {
+            throw new EvaluationError(`Unknown variable "${node.name}"`);
+        }
+
+        return value;
+    }
+
+    evaluatePath(node: Expression, scope: Scope): Path {
+        const segments = node.segments.reduce((result, segment) => {
+            if (segment.type == 'literal') {
+                return result.concat([segment.value]);
+            }
+
+            const value = this.evaluate(segment.expression, scope);
+            if (value instanceof Path) {
+                return result.concat(value.segments);
+            }
+            if (typeof value != 'string') {
+                throw new EvaluationError(
+                    `Path segments must be strings, got ${typeOf(value)}`
+                );
+            }
+
+            return result.concat([value]);
+        }, []);
+
+        return new Path(segments);
+    }
+
+    /*
+     * Evaluate "&&" and "||", an error on one side is ignored when the other
+     * side is enough to decide the result.
+     */
+    evaluateLogical(node: Expression, scope: Scope): boolean {
+        const decisive = node.operator == '||';
+        let leftError = null;
+
+        try {
+            if (expectBool(this.evaluate(node.left, scope)) == decisive) {
+                return decisive;
+            }
+        } catch (error) {
+            if (!(error instanceof EvaluationError)) {
+                throw error;
+            }
+            leftError = error;
+        }
+
+        const right = expectBool(this.evaluate(node.right, scope));
+        if (right == decisive) {
+            return decisive;
+        }
+
+        if (leftError) {
+            throw leftError;
+        }
+
+        return right;
+    }
+
+    evaluateCall(node: Expression, scope: Scope): any {
+        const { callee } = node;
+        const evaluateArgs = () =>
+            node.args.map(arg => this.evaluate(arg, scope));
+
+        if (callee.type == 'member') {
+            const { object } = callee;
+
+            if (
+                object.type == 'identifier' &&
+                isNamespace(object.name) &&
+                !lookup(scope, 'variables', object.name).found
+            ) {
+                return callNamespaceFunction(
+                    object.name,
+                    callee.property,
+                    evaluateArgs()
+                );
+            }
+
+            return callMethod(
+                this.evaluate(object, scope),
+                callee.property,
+                evaluateArgs()
+            );
+        }
+
+        if (callee.type != 'identifier') {
+            throw new EvaluationError('Expression is not callable');
+        }
+
+        const { name } = callee;
+        const fn = lookup(scope, 'functions', name);
+
+        if (fn.found) {
+            return this.callFunction(fn.value, evaluateArgs());
+        }
+
+        if (MOCKED_FUNCTIONS.indexOf(name) >= 0) {
+            return this.callMockedFunction(name, evaluateArgs());
+        }
+
+        if (name == 'debug') {
+            const [value] = evaluateArgs();
+            this.debugMessages.push(toString(value));
+            return value;
+        }
+
+        if (isGlobalFunction(name)) {
+            return callGlobalFunction(name, evaluateArgs());
+        }
+
+        throw new EvaluationError(`Unknown function "${name}"`);
+    }
+
+    /*
+     * Call a function declared in the rules.
+     */
+    callFunction(
+        {
+            declaration,
+            scope
+        }: { declaration: FunctionDeclaration, scope: Scope },
+        args: any[]
+    ): any {
+        if (args.length != declaration.params.length) {
+            throw new EvaluationError(
+                `Function ${declaration.name} expects ${
+                    declaration.params.length
+                } argument(s), got ${args.length}`
+            );
+        }
+
+        if (this.depth >= MAX_CALL_DEPTH) {
+            throw new EvaluationError('Maximum function call depth exceeded');
+        }
+
+        const variables = declaration.params.reduce((result, param, i) => {
+            result[param] = args[i];
+            return result;
+        }, {});
+        const functionScope = createScope(scope, variables);
+        const sourcePosition = declaration.position;
+
+        this.depth += 1;
+        try {
+            declaration.bindings.forEach(binding => {
+                functionScope.variables[binding.name] = this.evaluate(
+                    binding.expression,
+                    functionScope
+                );
+            });
+
+            const value = this.evaluate(declaration.body, functionScope);
+            this.visitedExpressions.push({
+                sourcePosition,
+                value: toJSON(value)
+            });
+            return value;
+        } catch (error) {
+            if (error instanceof EvaluationError) {
+                this.visitedExpressions.push({
+                    sourcePosition,
+                    error: error.message
+                });
+            }
+            throw error;
+        } finally {
+            this.depth -= 1;
+        }
+    }
+
+    /*
+     * Resolve a call to get/exists/getAfter using the mocks of the test case.
+     * Mocks with exact arguments take precedence over "anyValue" ones.
+     */
+    callMockedFunction(name: string, args: any[]): any {
+        const functionMocks = this.testCase.functionMocks || [];
+        const jsonArgs = args.map(toJSON);
+
+        this.functionCalls.push({
+            function: name,
+            args: jsonArgs
+        });
+
+        const candidates = functionMocks
+            .filter(
+                mock =>
+                    mock.function == name &&
+                    mock.args.length == jsonArgs.length &&
+                    mock.args.every((arg, i) => matchMockArg(arg, jsonArgs[i]))
+            )
+            .sort((a, b) => countExactArgs(b) - countExactArgs(a));
+
+        if (candidates.length == 0) {
+            throw new EvaluationError(
+                `No mock for ${name}(${jsonArgs.join(', ')})`
+            );
+        }
+
+        const { result } = candidates[0];
+        if (!result || !hasKey(result, 'value')) {
+            throw new EvaluationError(`Mock for ${name} returns an error`);
+        }
+
+        return this.decode(result.value);
+    }
+}
+
+function getExactValue(arg: Object): { exact: boolean, value: any } {
+    if (hasKey(arg, 'exact_value')) {
+        return { exact: true, value: arg.exact_value };
+    }
+    if (hasKey(arg, 'exactValue')) {
+        return { exact: true, value: arg.exactValue };
+    }
+
+    return { exact: false, value: null };
+}
+
+function matchMockArg(arg: Object, value: any): boolean {
+    const exact = getExactValue(arg);
+    return !exact.exact || equals(exact.value, value);
+}
+
+function countExactArgs(mock: FirestoreMockFunction): number {
+    return mock.args.filter(arg => getExactValue(arg).exact).length;
+}
+
+function allowsMethod(allow: AllowStatement, method: string): boolean {
+    return allow.methods.some(
+        name =>
+            name == method ||
+            (hasKey(METHOD_GROUPS, name) &&
+                METHOD_GROUPS[name].indexOf(method) >= 0)
+    );
+}
+
+function expectBool(value: any): boolean {
+    if (typeof value != 'boolean') {
+        throw new EvaluationError(`Expected a bool, got ${typeOf(value)}`);
+    }
+
+    return value;
+}
+
+function getProperty(object: any, property: string): any {
+    const type = typeOf(object);
+
+    if (type == 'null') {
+        throw new EvaluationError(
+            `Null value error, can't access property "${property}"`
+        );
+    }
+
+    if (type != 'map') {
+        throw new EvaluationError(
+            `Can't access property "${property}" of type ${type}`
+        );
+    }
+
+    if (!hasKey(object, property)) {
+        throw new EvaluationError(`Property "${property}" is undefined`);
+    }
+
+    return object[property];
+}
+
+function getIndex(object: any, index: any): any {
+    const type = typeOf(object);
+
+    if (type == 'map') {
+        if (typeof index != 'string') {
+            throw new EvaluationError('Map keys must be strings');
+        }
+        return getProperty(object, index);
+    }
+
+    const list = type == 'path' ? object.segments : object;
+
+    if (type != 'path' && type != 'list' && type != 'string') {
+        throw new EvaluationError(`Can't index a value of type ${type}`);
+    }
+
+    if (!Number.isInteger(index) || index < 0 || index >= list.length) {
+        throw new EvaluationError(`Index ${toString(index)} out of range`);
+    }
+
+    return list[index];
+}
+
+function getSlice(object: any, start: ?number, end: ?number): any {
+    const type = typeOf(object);
+
+    if (type == 'path') {
+        return new Path(
+            object.segments.slice(start || 0, end == null ? undefined : end)
+        );
+    }
+
+    if (type != 'list' && type != 'string') {
+        throw new EvaluationError(`Can't slice a value of type ${type}`);
+    }
+
+    return object.slice(start || 0, end == null ? undefined : end);
+}
+
+function evaluateUnary(operator: string, value: any): any {
+    if (operator == '!') {
+        return !expectBool(value);
+    }
+
+    if (typeof value != 'number') {
+        throw new EvaluationError(
+            `Can't negate a value of type ${typeOf(value)}`
+        );
+    }
+
+    return -value;
+}
+
+function evaluateBinary(operator: string, left: any, right: any): any {
+    const leftType = typeOf(left);
+    const rightType = typeOf(right);
+    const numbers = typeof left == 'number' && typeof right == 'number';
+
+    switch (operator) {
+        case '==':
+            return equals(left, right);
+        case '!=':
+            return !equals(left, right);
+        case '<':
+            return compare(left, right) < 0;
+        case '<=':
+            return compare(left, right) <= 0;
+        case '>':
+            return compare(left, right) > 0;
+        case '>=':
+            return compare(left, right) >= 0;
+        case 'in':
+            if (rightType == 'map') {
+                return typeof left == 'string' && hasKey(right, left);
+            }
+            if (rightType == 'list') {
+                return right.some(item => equals(item, left));
+            }
+            if (rightType == 'set') {
+                return right.values.some(item => equals(item, left));
+            }
+            break;
+        case '+':
+            if (numbers || (leftType == 'string' && rightType == 'string')) {
+                return left + right;
+            }
+            if (leftType == 'list' && rightType == 'list') {
+                return left.concat(right);
+            }
+            if (leftType == 'timestamp' && rightType == 'duration') {
+                return new Timestamp(left.millis + right.millis);
+            }
+            if (leftType == 'duration' && rightType == 'duration') {
+                return new Duration(left.millis + right.millis);
+            }
+            break;
+        case '-':
+            if (numbers) {
+                return left - right;
+            }
+            if (leftType == 'timestamp' && rightType == 'duration') {
+                return new Timestamp(left.millis - right.millis);
+            }
+            if (leftType == 'timestamp' && rightType == 'timestamp') {
+                return new Duration(left.millis - right.millis);
+            }
+            if (leftType == 'duration' && rightType == 'duration') {
+                return new Duration(left.millis - right.millis);
+            }
+            break;
+        case '*':
+            if (numbers) {
+                return left * right;
+            }
+            break;
+        case '/':
+        case '%':
+            if (numbers) {
+                if (right === 0 && leftType == 'int' && rightType == 'int') {
+                    throw new EvaluationError('Division by zero');
+                }
+                if (operator == '%') {
+                    return left % right;
+                }
+                const result = left / right;
+                return leftType == 'int' && rightType == 'int'
+                    ? Math.trunc(result)
+                    : result;
+            }
+            break;
+        default:
+    }
+
+    throw new EvaluationError(
+        `Invalid operation ${leftType} ${operator} ${rightType}`
+    );
+}
+
+/*
+ * Evaluate a test case against a ruleset.
+ */
+function evaluateTestCase(
+    ruleset: Ruleset,
+    testCase: FirestoreTestCase
+): FirestoreTestResult {
+    const evaluator = new Evaluator(ruleset, testCase);
+    return evaluator.run();
+}
+
+export default evaluateTestCase;
@@ -0,0 +1,86 @@
+/* @flow */
+import type {
+    RulesSource,
+    RulesIssue,
+    FirestoreTestCase,
+    FirestoreTestResult
+} from '../types';
+import parse, { type Ruleset } from './parser';
+import { ParseError } from './lexer';
+import evaluateTestCase from './evaluator';
+
+/*
+ * Parse all the files of a rules source into a single ruleset.
+ * Syntax errors are returned as issues, in the same format as the API.
+ */
+function compile(
+    source: RulesSource
+): { ruleset: ?Ruleset, issues: RulesIssue[] } {
+    const issues = [];
+    const rulesets = [];
+
+    source.files.forEach(file => {
+        try {
+            rulesets.push(parse(file.content, file.name));
+        } catch (error) {
+            if (!(error instanceof ParseError)) {
+                throw error;
+            }
+
+            issues.push({
+                sourcePosition: error.position,
+                description: error.message,
+                severity: 'ERROR'
+            });
+        }
+    });
+
+    if (issues.length > 0 || rulesets.length == 0) {
+        return { ruleset: null, issues };
+    }
+
+    const ruleset = rulesets.reduce((result, other) => ({
+        rulesVersion: result.rulesVersion,
+        service: result.service,
+        matches: result.matches.concat(other.matches),
+        functions: result.functions.concat(other.functions)
+    }));
+
+    if (ruleset.service != 'cloud.firestore') {
+        issues.push({
+            sourcePosition: {
+                fileName: source.files[0].name,
+                line: 1,
+                column: 1
+            },
+            description: `Unsupported service "${ruleset.service}"`,
+            severity: 'ERROR'
+        });
+        return { ruleset: null, issues };
+    }
+
+    return { ruleset, issues };
+}
+
+/*
+ * Evaluate test cases against a rules source, without calling the API.
+ * The response has the same shape as the one from "projects.test".
+ */
+function testRules(
+    source: RulesSource,
+    testCases: FirestoreTestCase[]
+): { issues?: RulesIssue[], testResults?: FirestoreTestResult[] } {
+    const { ruleset, issues } = compile(source);
+
+    if (!ruleset) {
+        return { issues };
+    }
+
+    return {
+        testResults: testCases.map(testCase =>
+            evaluateTestCase(ruleset, testCase)
+        )
+    };
+}
+
+export { compile, testRules };
@@ -0,0 +1,116 @@
+/* @flow */
+import {
+    TIMESTAMP_KEY,
+    GEOPOINT_KEY,
+    REFERENCE_KEY,
+    BYTES_KEY,
+    getEncodedType
+} from '../values';
+import {
+    Path,
+    Timestamp,
+    Duration,
+    LatLng,
+    Bytes,
+    RulesSet,
+    MapDiff,
+    isMap
+} from './values';
+
+// Root of the documents used to resolve references
+const DEFAULT_ROOT = ['databases', '(default)', 'documents'];
+
+/*
+ * Convert a JSON value from a test case into a runtime value.
+ */
+export function fromJSON(value: any, root: string[] = DEFAULT_ROOT): any {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    const type = getEncodedType(value);
+    switch (type) {
+        case TIMESTAMP_KEY:
+            return new Timestamp(Date.parse(value[type]));
+        case GEOPOINT_KEY:
+            return new LatLng(value[type].latitude, value[type].longitude);
+        case REFERENCE_KEY: {
+            const path = Path.fromString(value[type]);
+            return path.segments[0] == 'databases'
+                ? path
+                : new Path(root.concat(path.segments));
+        }
+        case BYTES_KEY:
+            return new Bytes(value[type]);
+        default:
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => fromJSON(item, root));
+    }
+
+    if (isMap(value)) {
+        return Object.keys(value).reduce((result, key) => {
+            result[key] = fromJSON(value[key], root);
+            return result;
+        }, {});
+    }
+
+    return value;
+}
+
+/*
+ * Convert a runtime value into JSON, to report it.
+ */
+export function toJSON(value: any): any {
+    if (value instanceof Path) {
+        return value.toString();
+    }
+    if (value instanceof Timestamp) {
+        return { [TIMESTAMP_KEY]: value.toString() };
+    }
+    if (value instanceof LatLng) {
+        return {
+            [GEOPOINT_KEY]: {
+                latitude: value.latitude,
+                longitude: value.longitude
+            }
+        };
+    }
+    if (value instanceof Bytes) {
+        return { [BYTES_KEY]: value.base64 };
+    }
+    if (value instanceof Duration) {
+        return `${value.millis / 1000}s`;
+    }
+    if (value instanceof RulesSet) {
+        return value.values.map(toJSON);
+    }
+    if (value instanceof MapDiff) {
+        return { left: toJSON(value.left), right: toJSON(value.right) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(toJSON);
+    }
+    if (isMap(value)) {
+        return Object.keys(value).reduce((result, key) => {
+            result[key] = toJSON(value[key]);
+            return result;
+        }, {});
+    }
+
+    return value;
+}
+
+/*
+ * Root of the documents ("/databases/{database}/documents") of a path.
+ */
+export function getDocumentsRoot(path: Path): string[] {
+    const { segments } = path;
+
+    if (segments[0] == 'databases' && segments[2] == 'documents') {
+        return segments.slice(0, 3);
+    }
+
+    return DEFAULT_ROOT;
+}
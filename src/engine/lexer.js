@@ -0,0 +1,325 @@
+/* @flow */
+
+export type Position = {
+    fileName: string,
+    line: number,
+    column: number
+};
+
+export type Token = {
+    type: 'punct' | 'ident' | 'number' | 'string' | 'eof',
+    value: any,
+    start: number,
+    end: number,
+    position: Position
+};
+
+const PUNCTUATORS = [
+    '&&',
+    '||',
+    '==',
+    '!=',
+    '<=',
+    '>=',
+    '{',
+    '}',
+    '(',
+    ')',
+    '[',
+    ']',
+    ',',
+    ';',
+    ':',
+    '.',
+    '?',
+    '!',
+    '<',
+    '>',
+    '=',
+    '+',
+    '-',
+    '*',
+    '/',
+    '%'
+];
+
+const ESCAPES = {
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    '\\': '\\',
+    "'": "'",
+    '"': '"'
+};
+
+/*
+ * Error raised when the source can't be tokenized or parsed.
+ */
+export class ParseError extends Error {
+    position: Position;
+
+    constructor(message: string, position: Position) {
+        super(message);
+        this.name = 'ParseError';
+
+        // Babel doesn't support extending builtin classes
+        Object.setPrototypeOf(this, ParseError.prototype);
+        this.position = position;
+    }
+}
+
+/*
+ * On-demand tokenizer for the rules language.
+ * Paths are ambiguous with the division operator, so the parser asks
+ * explicitly for a path with "readPath" when it expects one.
+ */
+class Lexer {
+    source: string;
+    fileName: string;
+    offset: number;
+    lineOffsets: number[];
+
+    constructor(source: string, fileName: string = 'firestore.rules') {
+        this.source = source;
+        this.fileName = fileName;
+        this.offset = 0;
+        this.lineOffsets = [0];
+
+        for (let i = 0; i < source.length; i += 1) {
+            if (source[i] == '\n') {
+                this.lineOffsets.push(i + 1);
+            }
+        }
+    }
+
+    /*
+     * Compute the line and column (1-based) of an offset.
+     */
+    positionAt(offset: number): Position {
+        let line = 0;
+        while (
+            line + 1 < this.lineOffsets.length &&
+            this.lineOffsets[line + 1] <= offset
+        ) {
+            line += 1;
+        }
+
+        return {
+            fileName: this.fileName,
+            line: line + 1,
+            column: offset - this.lineOffsets[line] + 1
+        };
+    }
+
+    error(message: string, offset: number = this.offset): ParseError {
+        return new ParseError(message, this.positionAt(offset));
+    }
+
+    /*
+     * Move back to an offset, used to re-read a token as a path.
+     */
+    reset(offset: number) {
+        this.offset = offset;
+    }
+
+    skipWhitespaceAndComments() {
+        const { source } = this;
+
+        while (this.offset < source.length) {
+            const char = source[this.offset];
+
+            if (/\s/.test(char)) {
+                this.offset += 1;
+            } else if (source.startsWith('//', this.offset)) {
+                const end = source.indexOf('\n', this.offset);
+                this.offset = end < 0 ? source.length : end;
+            } else if (source.startsWith('/*', this.offset)) {
+                const end = source.indexOf('*/', this.offset + 2);
+                if (end < 0) {
+                    throw this.error('Unterminated comment');
+                }
+                this.offset = end + 2;
+            } else {
+                return;
+            }
+        }
+    }
+
+    createToken(type: $PropertyType<Token, 'type'>, value: any, start: number) {
+        return {
+            type,
+            value,
+            start,
+            end: this.offset,
+            position: this.positionAt(start)
+        };
+    }
+
+    /*
+     * Read the next token.
+     */
+    next(): Token {
+        this.skipWhitespaceAndComments();
+
+        const { source } = this;
+        const start = this.offset;
+
+        if (start >= source.length) {
+            return this.createToken('eof', null, start);
+        }
+
+        const char = source[start];
+
+        if (/[A-Za-z_]/.test(char)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(start));
+            this.offset += match[0].length;
+            return this.createToken('ident', match[0], start);
+        }
+
+        if (/[0-9]/.test(char)) {
+            const match = /^[0-9]+(\.[0-9]+)?([eE][+-]?[0-9]+)?/.exec(
+                source.slice(start)
+            );
+            this.offset += match[0].length;
+            const isFloat = !!(match[1] || match[2]);
+            return this.createToken(
+                'number',
+                { value: Number(match[0]), isFloat },
+                start
+            );
+        }
+
+        if (char == "'" || char == '"') {
+            return this.readString(char);
+        }
+
+        const punct = PUNCTUATORS.find(p => source.startsWith(p, start));
+        if (punct) {
+            this.offset += punct.length;
+            return this.createToken('punct', punct, start);
+        }
+
+        throw this.error(`Unexpected character "${char}"`);
+    }
+
+    readString(quote: string): Token {
+        const { source } = this;
+        const start = this.offset;
+        let value = '';
+
+        this.offset += 1;
+        while (this.offset < source.length && source[this.offset] != quote) {
+            let char = source[this.offset];
+
+            if (char == '\n') {
+                break;
+            }
+
+            if (char == '\\') {
+                this.offset += 1;
+                const escaped = source[this.offset];
+                char = ESCAPES[escaped] || escaped;
+            }
+
+            value += char;
+            this.offset += 1;
+        }
+
+        if (source[this.offset] != quote) {
+            throw this.error('Unterminated string', start);
+        }
+
+        this.offset += 1;
+        return this.createToken('string', value, start);
+    }
+
+    /*
+     * Read a path starting at the current offset. Segments are returned raw:
+     * - { type: 'literal', value }
+     * - { type: 'wildcard', name, recursive } for "{name}" and "{name=**}"
+     * - { type: 'expression', source, offset } for "$(expr)"
+     */
+    readPath(
+        allowWildcards: boolean
+    ): { segments: Object[], start: number, end: number } {
+        this.skipWhitespaceAndComments();
+
+        const { source } = this;
+        const start = this.offset;
+        const segments = [];
+
+        if (source[this.offset] != '/') {
+            throw this.error('Expected a path');
+        }
+
+        while (source[this.offset] == '/') {
+            this.offset += 1;
+            segments.push(this.readPathSegment(allowWildcards));
+        }
+
+        return { segments, start, end: this.offset };
+    }
+
+    readPathSegment(allowWildcards: boolean): Object {
+        const { source } = this;
+        const start = this.offset;
+
+        if (allowWildcards && source[start] == '{') {
+            const end = source.indexOf('}', start);
+            const match =
+                end > 0 &&
+                /^([A-Za-z_][A-Za-z0-9_]*)(=\*\*)?$/.exec(
+                    source.slice(start + 1, end)
+                );
+
+            if (!match) {
+                throw this.error('Invalid path wildcard');
+            }
+
+            this.offset = end + 1;
+            return {
+                type: 'wildcard',
+                name: match[1],
+                recursive: !!match[2]
+            };
+        }
+
+        if (source.startsWith('$(', start)) {
+            let depth = 1;
+            let end = start + 2;
+
+            while (end < source.length && depth > 0) {
+                if (source[end] == '(') {
+                    depth += 1;
+                } else if (source[end] == ')') {
+                    depth -= 1;
+                }
+                end += 1;
+            }
+
+            if (depth > 0) {
+                throw this.error('Unterminated path expression');
+            }
+
+            this.offset = end;
+            return {
+                type: 'expression',
+                source: source.slice(start + 2, end - 1),
+                offset: start + 2
+            };
+        }
+
+        const match = /^(\([A-Za-z0-9_]+\)|[A-Za-z0-9_\-~.%@+]+)/.exec(
+            source.slice(start)
+        );
+
+        if (!match) {
+            throw this.error('Invalid path segment');
+        }
+
+        this.offset += match[0].length;
+        return { type: 'literal', value: match[0] };
+    }
+}
+
+export default Lexer;
@@ -0,0 +1,617 @@
+/* @flow */
+import Lexer, { type Token, type Position } from './lexer';
+
+export type Expression = {
+    type: string,
+    position: Position,
+    [string]: any
+};
+
+export type PathSegment =
+    | { type: 'literal', value: string }
+    | { type: 'wildcard', name: string, recursive: boolean }
+    | { type: 'expression', expression: Expression };
+
+export type AllowStatement = {
+    type: 'allow',
+    methods: string[],
+    condition: ?Expression,
+    position: Position,
+    endPosition: Position
+};
+
+export type FunctionDeclaration = {
+    type: 'function',
+    name: string,
+    params: string[],
+    bindings: { name: string, expression: Expression }[],
+    body: Expression,
+    position: Position,
+    endPosition: Position
+};
+
+export type MatchBlock = {
+    type: 'match',
+    path: PathSegment[],
+    matches: MatchBlock[],
+    functions: FunctionDeclaration[],
+    allows: AllowStatement[],
+    position: Position
+};
+
+export type Ruleset = {
+    rulesVersion: string,
+    service: string,
+    matches: MatchBlock[],
+    functions: FunctionDeclaration[]
+};
+
+const METHODS = ['read', 'write', 'get', 'list', 'create', 'update', 'delete'];
+
+const TYPE_NAMES = [
+    'bool',
+    'bytes',
+    'duration',
+    'float',
+    'int',
+    'latlng',
+    'list',
+    'map',
+    'number',
+    'path',
+    'set',
+    'string',
+    'timestamp'
+];
+
+const RELATIONS = ['==', '!=', '<', '<=', '>', '>='];
+
+/*
+ * Recursive descent parser for the rules language.
+ */
+class Parser {
+    lexer: Lexer;
+    token: Token;
+    previous: ?Token;
+
+    constructor(source: string, fileName?: string, offset: number = 0) {
+        this.lexer = new Lexer(source, fileName);
+        this.lexer.reset(offset);
+        this.token = this.lexer.next();
+        this.previous = null;
+    }
+
+    /*
+     * Consume the current token and return it.
+     */
+    advance(): Token {
+        const token = this.token;
+        this.previous = token;
+        this.token = this.lexer.next();
+        return token;
+    }
+
+    /*
+     * Position of the end of the last consumed token.
+     */
+    endPosition(): Position {
+        const { previous } = this;
+        return this.lexer.positionAt(previous ? previous.end - 1 : 0);
+    }
+
+    is(value: string): boolean {
+        const { token } = this;
+        return (
+            (token.type == 'punct' || token.type == 'ident') &&
+            token.value == value
+        );
+    }
+
+    accept(value: string): boolean {
+        if (this.is(value)) {
+            this.advance();
+            return true;
+        }
+
+        return false;
+    }
+
+    expect(value: string): Token {
+        if (!this.is(value)) {
+            throw this.unexpected(`"${value}"`);
+        }
+
+        return this.advance();
+    }
+
+    expectIdentifier(): string {
+        if (this.token.type != 'ident') {
+            throw this.unexpected('an identifier');
+        }
+
+        return this.advance().value;
+    }
+
+    unexpected(expected: string): Error {
+        const { token } = this;
+        const found = token.type == 'eof' ? 'end of file' : `"${token.value}"`;
+        return this.lexer.error(
+            `Unexpected ${found}, expected ${expected}`,
+            token.start
+        );
+    }
+
+    /*
+     * Parse a complete rules file.
+     */
+    parseRuleset(): Ruleset {
+        let rulesVersion = '1';
+
+        if (this.accept('rules_version')) {
+            this.expect('=');
+            if (this.token.type != 'string') {
+                throw this.unexpected('a version string');
+            }
+            rulesVersion = this.advance().value;
+            this.accept(';');
+        }
+
+        this.expect('service');
+        const service = [this.expectIdentifier()];
+        while (this.accept('.')) {
+            service.push(this.expectIdentifier());
+        }
+
+        this.expect('{');
+        const matches = [];
+        const functions = [];
+
+        while (!this.is('}')) {
+            if (this.is('match')) {
+                matches.push(this.parseMatch());
+            } else if (this.is('function')) {
+                functions.push(this.parseFunction());
+            } else {
+                throw this.unexpected('"match" or "function"');
+            }
+        }
+
+        this.expect('}');
+
+        if (this.token.type != 'eof') {
+            throw this.unexpected('end of file');
+        }
+
+        return {
+            rulesVersion,
+            service: service.join('.'),
+            matches,
+            functions
+        };
+    }
+
+    parseMatch(): MatchBlock {
+        const { position } = this.expect('match');
+
+        // The current token was read past the path, re-read it
+        this.lexer.reset(this.token.start);
+        const path = this.lexer.readPath(true);
+        this.token = this.lexer.next();
+
+        this.expect('{');
+
+        const block = {
+            type: 'match',
+            path: path.segments.map(segment => this.parsePathSegment(segment)),
+            matches: [],
+            functions: [],
+            allows: [],
+            position
+        };
+
+        while (!this.is('}')) {
+            if (this.is('match')) {
+                block.matches.push(this.parseMatch());
+            } else if (this.is('function')) {
+                block.functions.push(this.parseFunction());
+            } else if (this.is('allow')) {
+                block.allows.push(this.parseAllow());
+            } else {
+                throw this.unexpected('"match", "allow" or "function"');
+            }
+        }
+
+        this.expect('}');
+        return block;
+    }
+
+    parseAllow(): AllowStatement {
+        const { position } = this.expect('allow');
+        const methods = [];
+
+        do {
+            const method = this.expectIdentifier();
+            if (METHODS.indexOf(method) < 0) {
+                throw this.lexer.error(
+                    `Unknown method "${method}"`,
+                    this.lexer.offset
+                );
+            }
+            methods.push(method);
+        } while (this.accept(','));
+
+        let condition = null;
+        if (this.accept(':')) {
+            this.expect('if');
+            condition = this.parseExpression();
+        }
+
+        if (!this.is('}')) {
+            this.expect(';');
+        }
+
+        return {
+            type: 'allow',
+            methods,
+            condition,
+            position,
+            endPosition: this.endPosition()
+        };
+    }
+
+    parseFunction(): FunctionDeclaration {
+        const { position } = this.expect('function');
+        const name = this.expectIdentifier();
+        const params = [];
+
+        this.expect('(');
+        while (!this.is(')')) {
+            params.push(this.expectIdentifier());
+            if (!this.is(')')) {
+                this.expect(',');
+            }
+        }
+        this.expect(')');
+        this.expect('{');
+
+        const bindings = [];
+        while (this.accept('let')) {
+            const bindingName = this.expectIdentifier();
+            this.expect('=');
+            bindings.push({
+                name: bindingName,
+                expression: this.parseExpression()
+            });
+            this.expect(';');
+        }
+
+        this.expect('return');
+        const body = this.parseExpression();
+        this.accept(';');
+        this.expect('}');
+
+        return {
+            type: 'function',
+            name,
+            params,
+            bindings,
+            body,
+            position,
+            endPosition: this.endPosition()
+        };
+    }
+
+    /*
+     * Convert a raw segment from the lexer, parsing "$(expr)" interpolations.
+     */
+    parsePathSegment(segment: Object): PathSegment {
+        if (segment.type != 'expression') {
+            return segment;
+        }
+
+        const parser = new Parser(
+            this.lexer.source,
+            this.lexer.fileName,
+            segment.offset
+        );
+        const expression = parser.parseExpression();
+
+        if (parser.token.start != segment.offset + segment.source.length) {
+            throw parser.unexpected('")"');
+        }
+
+        return { type: 'expression', expression };
+    }
+
+    /*
+     * Expressions, from the lowest to the highest precedence.
+     */
+
+    parseExpression(): Expression {
+        const test = this.parseOr();
+
+        if (this.is('?')) {
+            const { position } = this.advance();
+            const consequent = this.parseExpression();
+            this.expect(':');
+            const alternate = this.parseExpression();
+
+            return {
+                type: 'conditional',
+                test,
+                consequent,
+                alternate,
+                position
+            };
+        }
+
+        return test;
+    }
+
+    parseOr(): Expression {
+        let left = this.parseAnd();
+
+        while (this.is('||')) {
+            const { position } = this.advance();
+            left = {
+                type: 'logical',
+                operator: '||',
+                left,
+                right: this.parseAnd(),
+                position
+            };
+        }
+
+        return left;
+    }
+
+    parseAnd(): Expression {
+        let left = this.parseRelation();
+
+        while (this.is('&&')) {
+            const { position } = this.advance();
+            left = {
+                type: 'logical',
+                operator: '&&',
+                left,
+                right: this.parseRelation(),
+                position
+            };
+        }
+
+        return left;
+    }
+
+    parseRelation(): Expression {
+        let left = this.parseAdditive();
+
+        while (
+            RELATIONS.some(op => this.is(op)) ||
+            this.is('in') ||
+            this.is('is')
+        ) {
+            const { position, value } = this.advance();
+
+            if (value == 'is') {
+                const typeName = this.expectIdentifier();
+                if (TYPE_NAMES.indexOf(typeName) < 0) {
+                    throw this.lexer.error(
+                        `Unknown type "${typeName}"`,
+                        this.lexer.offset
+                    );
+                }
+
+                left = { type: 'is', expression: left, typeName, position };
+            } else {
+                left = {
+                    type: 'binary',
+                    operator: value,
+                    left,
+                    right: this.parseAdditive(),
+                    position
+                };
+            }
+        }
+
+        return left;
+    }
+
+    parseAdditive(): Expression {
+        let left = this.parseMultiplicative();
+
+        while (this.is('+') || this.is('-')) {
+            const { position, value } = this.advance();
+            left = {
+                type: 'binary',
+                operator: value,
+                left,
+                right: this.parseMultiplicative(),
+                position
+            };
+        }
+
+        return left;
+    }
+
+    parseMultiplicative(): Expression {
+        let left = this.parseUnary();
+
+        while (this.is('*') || this.is('/') || this.is('%')) {
+            const { position, value } = this.advance();
+            left = {
+                type: 'binary',
+                operator: value,
+                left,
+                right: this.parseUnary(),
+                position
+            };
+        }
+
+        return left;
+    }
+
+    parseUnary(): Expression {
+        if (this.is('!') || this.is('-')) {
+            const { position, value } = this.advance();
+            return {
+                type: 'unary',
+                operator: value,
+                argument: this.parseUnary(),
+                position
+            };
+        }
+
+        return this.parseMember();
+    }
+
+    parseMember(): Expression {
+        let expression = this.parsePrimary();
+        let suffixed = this.parseMemberSuffix(expression);
+
+        while (suffixed) {
+            expression = suffixed;
+            suffixed = this.parseMemberSuffix(expression);
+        }
+
+        return expression;
+    }
+
+    /*
+     * Parse a ".field", "[index]", "[start:end]" or "(args)" suffix.
+     */
+    parseMemberSuffix(object: Expression): ?Expression {
+        if (this.is('.')) {
+            const { position } = this.advance();
+            const property = this.expectIdentifier();
+            return { type: 'member', object, property, position };
+        }
+
+        if (this.is('[')) {
+            const { position } = this.advance();
+            const index = this.is(':') ? null : this.parseExpression();
+
+            if (this.accept(':')) {
+                const end = this.is(']') ? null : this.parseExpression();
+                this.expect(']');
+                return { type: 'slice', object, start: index, end, position };
+            }
+
+            this.expect(']');
+            return { type: 'index', object, index, position };
+        }
+
+        if (this.is('(')) {
+            const { position } = this.advance();
+            return {
+                type: 'call',
+                callee: object,
+                args: this.parseList(')'),
+                position
+            };
+        }
+
+        return null;
+    }
+
+    parseList(end: string): Expression[] {
+        const elements = [];
+
+        while (!this.is(end)) {
+            elements.push(this.parseExpression());
+            if (!this.is(end)) {
+                this.expect(',');
+            }
+        }
+
+        this.expect(end);
+        return elements;
+    }
+
+    parsePrimary(): Expression {
+        const { token } = this;
+        const { position } = token;
+
+        switch (token.type) {
+            case 'number':
+                this.advance();
+                return {
+                    type: 'literal',
+                    value: token.value.value,
+                    isFloat: token.value.isFloat,
+                    position
+                };
+            case 'string':
+                this.advance();
+                return { type: 'literal', value: token.value, position };
+            case 'ident':
+                this.advance();
+                if (token.value == 'true' || token.value == 'false') {
+                    return {
+                        type: 'literal',
+                        value: token.value == 'true',
+                        position
+                    };
+                }
+                if (token.value == 'null') {
+                    return { type: 'literal', value: null, position };
+                }
+                return { type: 'identifier', name: token.value, position };
+            default:
+        }
+
+        if (this.is('(')) {
+            this.advance();
+            const expression = this.parseExpression();
+            this.expect(')');
+            return expression;
+        }
+
+        if (this.is('[')) {
+            this.advance();
+            return { type: 'list', elements: this.parseList(']'), position };
+        }
+
+        if (this.is('{')) {
+            this.advance();
+            const entries = [];
+
+            while (!this.is('}')) {
+                const key = this.parseExpression();
+                this.expect(':');
+                entries.push({ key, value: this.parseExpression() });
+                if (!this.is('}')) {
+                    this.expect(',');
+                }
+            }
+
+            this.expect('}');
+            return { type: 'map', entries, position };
+        }
+
+        if (this.is('/')) {
+            this.lexer.reset(token.start);
+            const path = this.lexer.readPath(false);
+            this.token = this.lexer.next();
+
+            return {
+                type: 'path',
+                segments: path.segments.map(segment =>
+                    this.parsePathSegment(segment)
+                ),
+                position
+            };
+        }
+
+        throw this.unexpected('an expression');
+    }
+}
+
+/*
+ * Parse a rules source into an AST.
+ */
+function parse(source: string, fileName?: string): Ruleset {
+    const parser = new Parser(source, fileName);
+    return parser.parseRuleset();
+}
+
+export default parse;
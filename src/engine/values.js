@@ -0,0 +1,302 @@
+/* @flow */
+/* eslint-disable no-use-before-define */
+import type { Position } from './lexer';
+
+/*
+ * Runtime values of the rules language.
+ * Strings, numbers, booleans, null, arrays (lists) and plain objects (maps)
+ * are represented by their JavaScript equivalents, other types are wrapped.
+ */
+
+/*
+ * Error raised while evaluating an expression.
+ * An error never allows a request.
+ */
+export class EvaluationError extends Error {
+    // Position of the expression raising the error
+    position: ?Position;
+
+    constructor(message: string) {
+        super(message);
+        this.name = 'EvaluationError';
+
+        // Babel doesn't support extending builtin classes
+        Object.setPrototypeOf(this, EvaluationError.prototype);
+    }
+}
+
+export class Path {
+    segments: string[];
+
+    constructor(segments: string[]) {
+        this.segments = segments;
+    }
+
+    static fromString(path: string): Path {
+        return new Path(path.split('/').filter(segment => !!segment));
+    }
+
+    toString(): string {
+        return `/${this.segments.join('/')}`;
+    }
+}
+
+export class Timestamp {
+    // Milliseconds since epoch
+    millis: number;
+    date: Date;
+
+    constructor(millis: number) {
+        this.millis = millis;
+        this.date = new Date(millis);
+    }
+
+    toString(): string {
+        return this.date.toISOString();
+    }
+}
+
+export class Duration {
+    // Duration in milliseconds
+    millis: number;
+
+    constructor(millis: number) {
+        this.millis = millis;
+    }
+}
+
+export class LatLng {
+    latitude: number;
+    longitude: number;
+
+    constructor(latitude: number, longitude: number) {
+        this.latitude = latitude;
+        this.longitude = longitude;
+    }
+}
+
+export class Bytes {
+    // Base64 encoded content
+    base64: string;
+
+    constructor(base64: string) {
+        this.base64 = base64;
+    }
+}
+
+export class RulesSet {
+    values: any[];
+
+    constructor(values: any[]) {
+        this.values = values.reduce(
+            (result, value) =>
+                result.some(other => equals(other, value))
+                    ? result
+                    : result.concat([value]),
+            []
+        );
+    }
+}
+
+export class MapDiff {
+    left: Object;
+    right: Object;
+
+    constructor(left: Object, right: Object) {
+        this.left = left;
+        this.right = right;
+    }
+
+    addedKeys(): RulesSet {
+        return new RulesSet(
+            Object.keys(this.left).filter(key => !hasKey(this.right, key))
+        );
+    }
+
+    removedKeys(): RulesSet {
+        return new RulesSet(
+            Object.keys(this.right).filter(key => !hasKey(this.left, key))
+        );
+    }
+
+    changedKeys(): RulesSet {
+        return new RulesSet(
+            Object.keys(this.left).filter(
+                key =>
+                    hasKey(this.right, key) &&
+                    !equals(this.left[key], this.right[key])
+            )
+        );
+    }
+
+    unchangedKeys(): RulesSet {
+        return new RulesSet(
+            Object.keys(this.left).filter(
+                key =>
+                    hasKey(this.right, key) &&
+                    equals(this.left[key], this.right[key])
+            )
+        );
+    }
+
+    affectedKeys(): RulesSet {
+        return new RulesSet(
+            this.addedKeys()
+                .values.concat(this.removedKeys().values)
+                .concat(this.changedKeys().values)
+        );
+    }
+}
+
+export function hasKey(map: Object, key: string): boolean {
+    return Object.prototype.hasOwnProperty.call(map, key);
+}
+
+export function isMap(value: any): boolean {
+    return (
+        value !== null &&
+        typeof value == 'object' &&
+        Object.getPrototypeOf(value) === Object.prototype
+    );
+}
+
+/*
+ * Name of the type of a value, as used in error messages and "is" checks.
+ */
+export function typeOf(value: any): string {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value == 'boolean') {
+        return 'bool';
+    }
+    if (typeof value == 'number') {
+        return Number.isInteger(value) ? 'int' : 'float';
+    }
+    if (typeof value == 'string') {
+        return 'string';
+    }
+    if (Array.isArray(value)) {
+        return 'list';
+    }
+    if (value instanceof Path) {
+        return 'path';
+    }
+    if (value instanceof Timestamp) {
+        return 'timestamp';
+    }
+    if (value instanceof Duration) {
+        return 'duration';
+    }
+    if (value instanceof LatLng) {
+        return 'latlng';
+    }
+    if (value instanceof Bytes) {
+        return 'bytes';
+    }
+    if (value instanceof RulesSet) {
+        return 'set';
+    }
+    if (value instanceof MapDiff) {
+        return 'map_diff';
+    }
+
+    return 'map';
+}
+
+/*
+ * Test a value against a type name from an "is" expression.
+ */
+export function isType(value: any, typeName: string): boolean {
+    const type = typeOf(value);
+
+    if (typeName == 'number') {
+        return type == 'int' || type == 'float';
+    }
+    if (typeName == 'float') {
+        return type == 'float' || type == 'int';
+    }
+
+    return type == typeName;
+}
+
+/*
+ * Deep equality between two values.
+ */
+export function equals(a: any, b: any): boolean {
+    const type = typeOf(a);
+    const otherType = typeOf(b);
+
+    if (type == 'null' || otherType == 'null') {
+        return type == otherType;
+    }
+
+    if (typeof a == 'number' && typeof b == 'number') {
+        return a === b;
+    }
+
+    if (type != otherType) {
+        return false;
+    }
+
+    switch (type) {
+        case 'list':
+            return (
+                a.length == b.length && a.every((item, i) => equals(item, b[i]))
+            );
+        case 'map':
+            return (
+                Object.keys(a).length == Object.keys(b).length &&
+                Object.keys(a).every(
+                    key => hasKey(b, key) && equals(a[key], b[key])
+                )
+            );
+        case 'set':
+            return (
+                a.values.length == b.values.length &&
+                a.values.every(item => b.values.some(o => equals(item, o)))
+            );
+        case 'path':
+            return a.toString() == b.toString();
+        case 'timestamp':
+        case 'duration':
+            return a.millis == b.millis;
+        case 'latlng':
+            return a.latitude == b.latitude && a.longitude == b.longitude;
+        case 'bytes':
+            return a.base64 == b.base64;
+        default:
+            return a === b;
+    }
+}
+
+/*
+ * Compare two values for ordering operators.
+ */
+export function compare(a: any, b: any): number {
+    const type = typeOf(a);
+    const otherType = typeOf(b);
+
+    if (typeof a == 'number' && typeof b == 'number') {
+        return a - b;
+    }
+
+    if (type != otherType) {
+        throw new EvaluationError(`Can't compare ${type} and ${otherType}`);
+    }
+
+    switch (type) {
+        case 'string':
+            if (a == b) {
+                return 0;
+            }
+            return a < b ? -1 : 1;
+        case 'timestamp':
+        case 'duration':
+            return a.millis - b.millis;
+        case 'bool':
+            return Number(a) - Number(b);
+        default:
+            throw new EvaluationError(`Can't compare values of type ${type}`);
+    }
+}
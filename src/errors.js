@@ -0,0 +1,236 @@
+/* @flow */
+import type { RulesSource, RulesIssue } from './types';
+
+// An issue of the rules, located in one of the files
+export type RulesCompilationIssue = {
+    fileName: string,
+    line: number,
+    column: number,
+    severity: 'ERROR' | 'WARNING' | 'DEPRECATION',
+    description: string
+};
+
+// Lines displayed around the line of an issue
+const FRAME_LINES = 2;
+
+/*
+ * Error raised when the rules don't compile.
+ * The message lists the errors with the lines of the rules causing them.
+ */
+export class RulesCompilationError extends Error {
+    // All the issues, including the warnings
+    issues: RulesCompilationIssue[];
+    // Issues with the "ERROR" severity, and the other ones
+    errors: RulesCompilationIssue[];
+    warnings: RulesCompilationIssue[];
+    source: RulesSource;
+
+    constructor(issues: RulesCompilationIssue[], source: RulesSource) {
+        const errors = issues.filter(isError);
+        const withFileName = source.files.length > 1;
+
+        super(
+            errors
+                .map(issue => formatIssue(issue, source, withFileName))
+                .join('\n\n')
+        );
+        this.name = 'RulesCompilationError';
+
+        // Babel doesn't support extending builtin classes
+        Object.setPrototypeOf(this, RulesCompilationError.prototype);
+        this.issues = issues;
+        this.errors = errors;
+        this.warnings = issues.filter(issue => !isError(issue));
+        this.source = source;
+    }
+}
+
+/*
+ * Locate the issues returned by a backend in the files of the source.
+ */
+export function createCompilationIssues(
+    issues: RulesIssue[],
+    source: RulesSource
+): RulesCompilationIssue[] {
+    return issues.map(({ sourcePosition, severity, description }) => ({
+        fileName: sourcePosition.fileName || source.files[0].name,
+        line: sourcePosition.line,
+        column: sourcePosition.column,
+        severity,
+        description
+    }));
+}
+
+export function isError(issue: RulesCompilationIssue): boolean {
+    return issue.severity == 'ERROR';
+}
+
+/*
+ * Format an issue, followed by the lines of the rules causing it.
+ */
+export function formatIssue(
+    issue: RulesCompilationIssue,
+    source: RulesSource,
+    withFileName?: boolean
+): string {
+    const file = source.files.find(({ name }) => name == issue.fileName);
+    const header = `${withFileName ? `${issue.fileName}: ` : ''}Line ${
+        issue.line
+    }, column ${issue.column}: ${issue.description}`;
+
+    if (!file) {
+        return header;
+    }
+
+    return `${header}\n${formatCodeFrame(
+        file.content,
+        issue.line,
+        issue.column
+    )}`;
+}
+
+/*
+ * Render the lines around a position, with a marker under the column:
+ *     2 |   match /a {
+ *   > 3 |     allow read: if ;
+ *       |                    ^
+ *     4 |   }
+ */
+export function formatCodeFrame(
+    content: string,
+    line: number,
+    column: number
+): string {
+    const lines = content.split('\n');
+    const first = Math.max(1, line - FRAME_LINES);
+    const last = Math.min(lines.length, line + FRAME_LINES);
+    const width = String(last).length;
+    const result = [];
+
+    for (let number = first; number <= last; number += 1) {
+        const gutter = `${' '.repeat(width - String(number).length)}${number}`;
+        const text = lines[number - 1];
+
+        result.push(
+            `${number == line ? '>' : ' '} ${gutter} |${text ? ` ${text}` : ''}`
+        );
+
+        if (number == line) {
+            result.push(
+                `  ${' '.repeat(width)} | ${' '.repeat(
+                    Math.max(0, column - 1)
+                )}^`
+            );
+        }
+    }
+
+    return result.join('\n');
+}
+
+/*
+ * Error raised when a credential can't be found, read or is incomplete.
+ */
+export class CredentialError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'CredentialError';
+
+        // Babel doesn't support extending builtin classes
+        Object.setPrototypeOf(this, CredentialError.prototype);
+    }
+}
+
+/*
+ * Error of a request to the Rules API (or another remote backend).
+ */
+export class RulesApiError extends Error {
+    // HTTP status, or network error code (ex: "ECONNRESET")
+    code: ?(number | string);
+    // The request can be sent again
+    retryable: boolean;
+
+    constructor(message: string, code?: ?(number | string)) {
+        super(message);
+        this.name = 'RulesApiError';
+
+        // Babel doesn't support extending builtin classes
+        Object.setPrototypeOf(this, RulesApiError.prototype);
+        this.code = code;
+        this.retryable = false;
+    }
+}
+
+/*
+ * The credential is invalid, or not allowed to use the API.
+ */
+export class AuthenticationError extends RulesApiError {
+    constructor(message: string, code?: ?(number | string)) {
+        super(message, code);
+        this.name = 'AuthenticationError';
+        Object.setPrototypeOf(this, AuthenticationError.prototype);
+    }
+}
+
+/*
+ * Too many requests were sent to the API.
+ */
+export class QuotaError extends RulesApiError {
+    constructor(message: string, code?: ?(number | string)) {
+        super(message, code);
+        this.name = 'QuotaError';
+        Object.setPrototypeOf(this, QuotaError.prototype);
+        this.retryable = true;
+    }
+}
+
+/*
+ * Server or network failure, including timeouts.
+ */
+export class TransientError extends RulesApiError {
+    constructor(message: string, code?: ?(number | string)) {
+        super(message, code);
+        this.name = 'TransientError';
+        Object.setPrototypeOf(this, TransientError.prototype);
+        this.retryable = true;
+    }
+}
+
+const NETWORK_ERRORS = [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'ENOTFOUND',
+    'EAI_AGAIN'
+];
+
+/*
+ * Convert an error of a backend to a typed error, using its status code.
+ * Errors without a known code are returned as is.
+ */
+export function toRulesApiError(error: any): Error {
+    if (error instanceof RulesApiError || !error) {
+        return error;
+    }
+
+    const { code, message } = error;
+
+    if (code == 401 || code == 403) {
+        return new AuthenticationError(message, code);
+    }
+    if (code == 429) {
+        return new QuotaError(message, code);
+    }
+    if (
+        code == 408 ||
+        (typeof code == 'number' && code >= 500) ||
+        NETWORK_ERRORS.indexOf(code) >= 0
+    ) {
+        return new TransientError(message, code);
+    }
+    if (typeof code == 'number') {
+        return new RulesApiError(message, code);
+    }
+
+    return error;
+}
@@ -0,0 +1,327 @@
+/* @flow */
+import type { Collections, Document } from './types';
+import type Database from './database';
+import { findOrCreateDocument } from './fixtures';
+import { DocumentReference } from './values';
+
+/*
+ * Factories of documents, to build datasets without writing every field:
+ *
+ *   defineFactory('user', {
+ *       name: seq(n => `User ${n}`),
+ *       public: false,
+ *       company: ref('company')
+ *   }, {
+ *       traits: { public: { public: true } },
+ *       collections: { favorites: { factory: 'favorite', count: 2 } }
+ *   });
+ *
+ *   database.setData(buildData({ 'users/alice': ['user', 'public'] }));
+ */
+
+// Arguments of a build: names of traits, and objects of fields to override
+export type BuildArgument = string | Object;
+
+export type SubcollectionDefinition = {
+    factory: string,
+    count?: number,
+    args?: BuildArgument[]
+};
+
+export type FactoryOptions = {
+    // Collection of the documents created for references
+    // (default to the name of the factory)
+    collection?: string,
+    // Named sets of fields, applied over the attributes
+    traits?: { [name: string]: Object },
+    collections?: { [name: string]: SubcollectionDefinition }
+};
+
+type Factory = {
+    name: string,
+    attributes: Object,
+    options: FactoryOptions,
+    // Number of keys generated by the factory
+    count: number
+};
+
+/*
+ * Attribute generating a different value for each document.
+ */
+export class Sequence {
+    format: (n: number) => any;
+    count: number;
+
+    constructor(format: (n: number) => any) {
+        this.format = format;
+        this.count = 0;
+    }
+
+    next(): any {
+        this.count += 1;
+        return this.format(this.count);
+    }
+}
+
+/*
+ * Attribute referencing a document built by another factory.
+ */
+export class Reference {
+    factory: string;
+    args: BuildArgument[];
+
+    constructor(factory: string, args: BuildArgument[]) {
+        this.factory = factory;
+        this.args = args;
+    }
+}
+
+let factories: { [name: string]: Factory } = {};
+let sequences: Sequence[] = [];
+
+export function seq(format: (n: number) => any = n => n): Sequence {
+    const sequence = new Sequence(format);
+    sequences.push(sequence);
+    return sequence;
+}
+
+export function ref(factory: string, ...args: BuildArgument[]): Reference {
+    return new Reference(factory, args);
+}
+
+/*
+ * Define a factory of documents. Attributes are values, sequences,
+ * references, or functions computing a value from the other fields.
+ */
+export function defineFactory(
+    name: string,
+    attributes: Object,
+    options: FactoryOptions = {}
+) {
+    factories[name] = { name, attributes, options, count: 0 };
+}
+
+/*
+ * Restart the sequences and the keys of the documents from 1.
+ */
+export function resetSequences() {
+    sequences.forEach(sequence => {
+        sequence.count = 0;
+    });
+    Object.keys(factories).forEach(name => {
+        factories[name].count = 0;
+    });
+}
+
+/*
+ * Remove all the factories.
+ */
+export function resetFactories() {
+    resetSequences();
+    factories = {};
+    sequences = [];
+}
+
+/*
+ * Build a document with its subcollections.
+ * The documents it references are not built, use "createIn" or "buildData"
+ * to create them in a dataset.
+ */
+export function build(name: string, ...args: BuildArgument[]): Document {
+    return buildNext(name, args, null);
+}
+
+export function buildList(
+    name: string,
+    count: number,
+    ...args: BuildArgument[]
+): Document[] {
+    return Array.from({ length: count }, () => build(name, ...args));
+}
+
+/*
+ * Build a document, its subcollections and the documents it references,
+ * in the dataset of a database.
+ */
+export function createIn(
+    database: Database,
+    path: string,
+    name: string,
+    ...args: BuildArgument[]
+): Document {
+    return insertDocument(database.collections, path, name, args);
+}
+
+/*
+ * Build a dataset from the factories of its documents, by path.
+ * It can be used as the "data" of a database.
+ *
+ *   buildData({ 'users/alice': 'user', 'users/bob': ['user', 'admin'] })
+ */
+export function buildData(documents: {
+    // Name of the factory, followed by the arguments of the build
+    [path: string]: string | BuildArgument[]
+}): Collections {
+    const collections = {};
+
+    Object.keys(documents).forEach(path => {
+        const definition = documents[path];
+        const [name, ...args] = Array.isArray(definition)
+            ? definition
+            : [definition];
+
+        if (typeof name != 'string') {
+            throw new Error(
+                `The document "${path}" must start with the name of a factory`
+            );
+        }
+
+        insertDocument(collections, path, name, args);
+    });
+
+    return collections;
+}
+
+/*
+ * Build a document with the next key of a factory.
+ */
+function buildNext(
+    name: string,
+    args: BuildArgument[],
+    collections: ?Collections
+): Document {
+    const factory = getFactory(name);
+
+    return buildDocument(factory, nextKey(factory), args, collections);
+}
+
+/*
+ * Generate a key, only these keys are counted: a document built at a
+ * given path doesn't change the next keys.
+ */
+function nextKey(factory: Factory): string {
+    factory.count += 1;
+    return `${factory.name}-${factory.count}`;
+}
+
+function getFactory(name: string): Factory {
+    const factory = factories[name];
+
+    if (!factory) {
+        throw new Error(`No factory "${name}", define it with defineFactory`);
+    }
+
+    return factory;
+}
+
+function getCollectionName(factory: Factory): string {
+    return factory.options.collection || factory.name;
+}
+
+/*
+ * Build a document and insert it with its references in collections.
+ */
+function insertDocument(
+    collections: Collections,
+    path: string,
+    name: string,
+    args: BuildArgument[]
+): Document {
+    const doc = findOrCreateDocument(collections, path);
+    const built = buildDocument(getFactory(name), doc.key, args, collections);
+
+    doc.fields = built.fields;
+    Object.keys(built.collections).forEach(collectionName => {
+        doc.collections[collectionName] = (
+            doc.collections[collectionName] || []
+        ).concat(built.collections[collectionName]);
+    });
+
+    return doc;
+}
+
+/*
+ * Build the fields and subcollections of a document. References are
+ * inserted in the collections, when they are given.
+ */
+function buildDocument(
+    factory: Factory,
+    key: string,
+    args: BuildArgument[],
+    collections: ?Collections
+): Document {
+    const { attributes, options } = factory;
+    const traits = options.traits || {};
+
+    const merged = args.reduce((result, arg) => {
+        if (typeof arg != 'string') {
+            return { ...result, ...arg };
+        }
+
+        if (!traits[arg]) {
+            throw new Error(
+                `No trait "${arg}" in the factory "${factory.name}"`
+            );
+        }
+
+        return { ...result, ...traits[arg] };
+    }, attributes);
+
+    const fields = {};
+    const lazy = [];
+
+    Object.keys(merged).forEach(field => {
+        const value = merged[field];
+
+        if (value instanceof Sequence) {
+            fields[field] = value.next();
+        } else if (value instanceof Reference) {
+            fields[field] = buildReference(value, collections);
+        } else if (typeof value == 'function') {
+            lazy.push(field);
+        } else {
+            fields[field] = value;
+        }
+    });
+
+    // Computed from the other fields, in order
+    lazy.forEach(field => {
+        fields[field] = merged[field](fields);
+    });
+
+    const subcollections = options.collections || {};
+
+    return {
+        key,
+        fields,
+        collections: Object.keys(subcollections).reduce(
+            (result, collectionName) => {
+                const {
+                    factory: name,
+                    count = 1,
+                    args: subArgs = []
+                } = subcollections[collectionName];
+
+                result[collectionName] = Array.from({ length: count }, () =>
+                    buildNext(name, subArgs, collections)
+                );
+                return result;
+            },
+            {}
+        )
+    };
+}
+
+function buildReference(
+    reference: Reference,
+    collections: ?Collections
+): DocumentReference {
+    const factory = getFactory(reference.factory);
+    const path = `${getCollectionName(factory)}/${nextKey(factory)}`;
+
+    if (collections) {
+        insertDocument(collections, path, reference.factory, reference.args);
+    }
+
+    return new DocumentReference(path);
+}
@@ -0,0 +1,196 @@
+/* @flow */
+import Path from 'path';
+import FS from 'fs';
+import YAML from 'js-yaml';
+import type { Collections, Document } from './types';
+import { Timestamp, GeoPoint, DocumentReference, Bytes } from './values';
+
+/*
+ * Datasets can be written as:
+ *   - the nested tree of collections: { users: [{ key, fields, collections }] }
+ *   - a flat map of document paths: { 'users/userA': { name: 'John' } }
+ *   - Firestore REST documents: [{ name, fields: { name: { stringValue } } }],
+ *     or a response of the REST API listing them: { documents: [...] }
+ * They are all normalized to the nested tree.
+ */
+
+// Map of document paths to their fields
+export type DocumentMap = { [string]: Object };
+
+// A document as returned by the Firestore REST API
+export type RestDocument = {
+    name: string,
+    fields?: { [string]: Object }
+};
+
+export type Dataset =
+    | Collections
+    | DocumentMap
+    | RestDocument[]
+    | { documents: RestDocument[] };
+
+/*
+ * Parse a JSON or YAML file, depending on its extension.
+ */
+export function readFile(filePath: string): any {
+    const content = FS.readFileSync(filePath, 'utf8');
+    const extension = Path.extname(filePath).toLowerCase();
+
+    if (extension == '.yml' || extension == '.yaml') {
+        return YAML.safeLoad(content, { filename: filePath });
+    }
+
+    return JSON.parse(content);
+}
+
+/*
+ * Normalize a dataset in any of the supported formats.
+ */
+export function normalizeData(data: ?Dataset): Collections {
+    if (!data) {
+        return {};
+    }
+
+    if (Array.isArray(data)) {
+        return fromRestDocuments(data);
+    }
+
+    return normalizeObject(data);
+}
+
+/*
+ * Normalize a dataset written as an object, its format is recognized from
+ * its values: a response of the REST API, the nested tree or a flat map.
+ */
+function normalizeObject(data: Object): Collections {
+    if (isRestResponse(data)) {
+        return fromRestDocuments(data.documents);
+    }
+
+    const keys = Object.keys(data);
+    if (keys.every(key => Array.isArray(data[key]))) {
+        return data;
+    }
+
+    return fromDocumentMap(data);
+}
+
+/*
+ * Build the collections from a flat map of document paths.
+ * Parents of a document don't have to exist.
+ */
+export function fromDocumentMap(documents: DocumentMap): Collections {
+    const collections = {};
+
+    Object.keys(documents).forEach(path => {
+        const doc = findOrCreateDocument(collections, path);
+        doc.fields = documents[path] || {};
+    });
+
+    return collections;
+}
+
+/*
+ * Build the collections from documents of the Firestore REST API.
+ */
+export function fromRestDocuments(documents: RestDocument[]): Collections {
+    return fromDocumentMap(
+        documents.reduce((result, doc) => {
+            if (!doc || typeof doc.name != 'string') {
+                throw new Error('Expected REST documents to have a "name"');
+            }
+
+            result[getRestPath(doc.name)] = decodeRestFields(doc.fields || {});
+            return result;
+        }, {})
+    );
+}
+
+/*
+ * Decode a value of the Firestore REST API ({ stringValue: 'a' }).
+ */
+export function decodeRestValue(value: Object): any {
+    const type = Object.keys(value)[0];
+    const content = value[type];
+
+    switch (type) {
+        case 'nullValue':
+            return null;
+        case 'booleanValue':
+        case 'stringValue':
+            return content;
+        case 'integerValue':
+        case 'doubleValue':
+            return Number(content);
+        case 'timestampValue':
+            return new Timestamp(content);
+        case 'bytesValue':
+            return new Bytes(content);
+        case 'referenceValue':
+            return new DocumentReference(getRestPath(content));
+        case 'geoPointValue':
+            return new GeoPoint(content.latitude || 0, content.longitude || 0);
+        case 'arrayValue':
+            return (content.values || []).map(decodeRestValue);
+        case 'mapValue':
+            return decodeRestFields(content.fields || {});
+        default:
+            throw new Error(`Unknown REST value type "${type}"`);
+    }
+}
+
+function decodeRestFields(fields: { [string]: Object }): Object {
+    return Object.keys(fields).reduce((result, key) => {
+        result[key] = decodeRestValue(fields[key]);
+        return result;
+    }, {});
+}
+
+/*
+ * Path of a document relative to the database, from its full REST name
+ * ("projects/p/databases/(default)/documents/users/userA").
+ */
+function getRestPath(name: string): string {
+    const match = /\/documents\/(.*)$/.exec(name);
+    return match ? match[1] : name;
+}
+
+function isRestResponse(data: Object): boolean {
+    return (
+        Object.keys(data).length == 1 &&
+        Array.isArray(data.documents) &&
+        data.documents.every(
+            doc => doc && typeof doc.name == 'string' && !('key' in doc)
+        )
+    );
+}
+
+/*
+ * Find a document in the tree, creating it and its parents if needed.
+ * Created parents have no fields: they don't exist, but can have
+ * subcollections.
+ */
+export function findOrCreateDocument(
+    collections: Collections,
+    path: string
+): Document {
+    const segments = path.split('/').filter(segment => !!segment);
+
+    if (segments.length == 0 || segments.length % 2 != 0) {
+        throw new Error(`Invalid document path "${path}"`);
+    }
+
+    const [collectionName, key] = segments;
+    const collection = collections[collectionName] || [];
+    collections[collectionName] = collection;
+
+    let doc = collection.find(item => item.key == key);
+    if (!doc) {
+        doc = { key, fields: null, collections: {} };
+        collection.push(doc);
+    }
+
+    return segments.length == 2
+        ? doc
+        : findOrCreateDocument(doc.collections, segments.slice(2).join('/'));
+}
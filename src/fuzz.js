@@ -0,0 +1,536 @@
+/* @flow */
+import type { FirestoreAuth, FirestoreTestCase, TestOptions } from './types';
+import type Database from './database';
+import { MATRIX_OPERATIONS, type MatrixOperation } from './matrix';
+
+/*
+ * Property-based testing of the rules: random requests are generated from
+ * the dataset, the personas and the field generators, and checked against
+ * invariants. Violations are shrunk to a minimal case.
+ *
+ *   const report = await database.fuzz({
+ *       personas: { anon: null, alice: Auth.user('alice') },
+ *       fields: { name: Generators.string(), public: Generators.boolean() },
+ *       invariants: [{
+ *           name: 'non-owners can never write users',
+ *           path: 'users/{uid}',
+ *           operations: ['create', 'update', 'delete'],
+ *           when: ({ auth, params }) => !auth || auth.uid != params.uid,
+ *           expect: 'deny'
+ *       }]
+ *   });
+ */
+
+export type Random = {
+    // Float in [0, 1)
+    next(): number,
+    // Integer in [min, max]
+    integer(min: number, max: number): number,
+    pick<T>(values: T[]): T
+};
+
+// Random values of a field, and simpler values to shrink a failing case
+export type Generator = {
+    generate(random: Random): any,
+    shrink(value: any): any[]
+};
+
+export type FuzzCase = {
+    persona: string,
+    auth: FirestoreAuth,
+    path: string,
+    operation: MatrixOperation,
+    // Written data, for "create" and "update"
+    data: ?Object,
+    // Wildcards of the path of the invariant being checked
+    params: { [string]: string }
+};
+
+export type Invariant = {
+    name: string,
+    // Pattern of the paths it applies to (ex: "users/{uid}", "{path=**}")
+    path?: string,
+    operations?: MatrixOperation[],
+    when?: (fuzzCase: FuzzCase) => boolean,
+    expect: 'allow' | 'deny'
+};
+
+export type FuzzOptions = {
+    personas: { [name: string]: FirestoreAuth },
+    // Generators of the fields of the written data
+    fields?: { [name: string]: Generator },
+    invariants: Invariant[],
+    operations?: MatrixOperation[],
+    // Collections to write new documents in, besides the ones of the dataset
+    collections?: string[],
+    // Number of generated cases
+    runs?: number,
+    // Seed of the random generator, to replay a run
+    seed?: number,
+    options?: TestOptions
+};
+
+export type FuzzViolation = {
+    invariant: string,
+    // Number of generated cases violating the invariant
+    count: number,
+    // Minimal case violating it
+    case: FuzzCase,
+    // Assertion reproducing the violation
+    reproduction: string
+};
+
+export type FuzzReport = {
+    seed: number,
+    runs: number,
+    violations: FuzzViolation[]
+};
+
+// Maximum number of shrinking steps for a violation
+const MAX_SHRINKS = 50;
+
+/*
+ * Generators of field values.
+ */
+export const Generators = {
+    string(
+        {
+            values,
+            maxLength = 10
+        }: { values?: string[], maxLength?: number } = {}
+    ): Generator {
+        const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+        return {
+            generate: random =>
+                values
+                    ? random.pick(values)
+                    : Array.from({ length: random.integer(0, maxLength) }, () =>
+                          random.pick(alphabet.split(''))
+                      ).join(''),
+            shrink: value =>
+                values
+                    ? values.slice(0, values.indexOf(value))
+                    : uniqueValues([
+                          '',
+                          value.slice(0, Math.floor(value.length / 2))
+                      ]).filter(other => other.length < value.length)
+        };
+    },
+
+    integer(min: number = -1000, max: number = 1000): Generator {
+        const zero = Math.min(Math.max(0, min), max);
+
+        return {
+            generate: random => random.integer(min, max),
+            shrink: value =>
+                uniqueValues([zero, Math.trunc((value + zero) / 2)]).filter(
+                    other => Math.abs(other - zero) < Math.abs(value - zero)
+                )
+        };
+    },
+
+    boolean(): Generator {
+        return {
+            generate: random => random.next() < 0.5,
+            shrink: value => (value ? [false] : [])
+        };
+    },
+
+    // One of the values, the first ones are the simplest
+    oneOf(...values: any[]): Generator {
+        return {
+            generate: random => random.pick(values),
+            shrink: value => values.slice(0, values.indexOf(value))
+        };
+    },
+
+    constant(value: any): Generator {
+        return {
+            generate: () => value,
+            shrink: () => []
+        };
+    }
+};
+
+// Modulus and multiplier of the generator, the products stay exact
+const RANDOM_MODULUS = 2147483647;
+const RANDOM_MULTIPLIER = 48271;
+
+/*
+ * Seeded pseudo-random generator (Park-Miller "MINSTD").
+ */
+export function createRandom(seed: number): Random {
+    // The state must be in [1, RANDOM_MODULUS - 1]
+    let state = Math.abs(Math.floor(seed)) % (RANDOM_MODULUS - 1) + 1;
+
+    const next = () => {
+        state = (state * RANDOM_MULTIPLIER) % RANDOM_MODULUS;
+        return (state - 1) / (RANDOM_MODULUS - 1);
+    };
+
+    return {
+        next,
+        integer: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: <T>(values: T[]): T => values[Math.floor(next() * values.length)]
+    };
+}
+
+/*
+ * Match a path with a pattern, and return the values of its wildcards.
+ */
+export function matchPath(
+    pattern: string,
+    path: string
+): ?{ [string]: string } {
+    const patternSegments = pattern.split('/').filter(segment => !!segment);
+    const segments = path.split('/').filter(segment => !!segment);
+    const params = {};
+
+    for (let index = 0; index < patternSegments.length; index += 1) {
+        const segment = patternSegments[index];
+        const wildcard = /^\{(\w+)(=\*\*)?\}$/.exec(segment);
+
+        if (wildcard && wildcard[2]) {
+            params[wildcard[1]] = segments.slice(index).join('/');
+            return params;
+        }
+
+        if (index >= segments.length) {
+            return null;
+        }
+
+        if (wildcard) {
+            params[wildcard[1]] = segments[index];
+        } else if (segment != segments[index]) {
+            return null;
+        }
+    }
+
+    return patternSegments.length == segments.length ? params : null;
+}
+
+/*
+ * Generate the cases of a fuzzing run, check them against the invariants
+ * and shrink the violations.
+ */
+class Fuzzer {
+    database: Database;
+    options: FuzzOptions;
+
+    constructor(database: Database, options: FuzzOptions) {
+        this.database = database;
+        this.options = options;
+    }
+
+    async run(): Promise<FuzzReport> {
+        const { runs = 100, seed = Date.now() % 4294967296 } = this.options;
+        const random = createRandom(seed);
+        const cases = this.generateCases(random, runs);
+        const outcomes = await this.evaluate(cases);
+
+        const violations = [];
+        this.options.invariants.forEach(invariant => {
+            const violating = cases.filter(
+                (fuzzCase, index) =>
+                    !!getViolation(invariant, fuzzCase, outcomes[index])
+            );
+
+            if (violating.length > 0) {
+                violations.push({ invariant, violating });
+            }
+        });
+
+        return {
+            seed,
+            runs: cases.length,
+            violations: await Promise.all(
+                violations.map(async ({ invariant, violating }) => {
+                    const minimal = await this.shrink(invariant, violating[0]);
+
+                    return {
+                        invariant: invariant.name,
+                        count: violating.length,
+                        case: minimal,
+                        reproduction: formatReproduction(
+                            minimal,
+                            invariant.expect
+                        )
+                    };
+                })
+            )
+        };
+    }
+
+    /*
+     * Generate random requests on the existing documents, and on missing
+     * documents of the same collections.
+     */
+    generateCases(random: Random, runs: number): FuzzCase[] {
+        const {
+            personas,
+            operations = MATRIX_OPERATIONS,
+            collections = []
+        } = this.options;
+        const personaNames = Object.keys(personas);
+        const existing = this.database.getDocuments().map(({ path }) => path);
+        const ids = personaNames
+            .map(name => personas[name])
+            .filter(auth => auth && auth.uid)
+            .map(auth => String(auth && auth.uid))
+            .concat(['fuzz-missing']);
+        const missing = uniqueValues(
+            existing
+                .map(path =>
+                    path
+                        .split('/')
+                        .slice(0, -1)
+                        .join('/')
+                )
+                .concat(collections)
+        ).reduce(
+            (paths, collection) =>
+                paths.concat(ids.map(id => `${collection}/${id}`)),
+            []
+        );
+        const paths = uniqueValues(existing.concat(missing));
+        const cases = [];
+
+        if (personaNames.length == 0) {
+            throw new Error("Can't fuzz the rules without personas");
+        }
+        if (paths.length == 0) {
+            throw new Error(
+                `Can't fuzz the rules without paths, the dataset is empty: pass the "collections" to write in`
+            );
+        }
+        if (operations.length == 0) {
+            throw new Error("Can't fuzz the rules without operations");
+        }
+
+        // Operations which don't apply to a path are skipped
+        for (let attempt = 0; attempt < runs * 10; attempt += 1) {
+            if (cases.length >= runs) {
+                break;
+            }
+
+            const persona = random.pick(personaNames);
+            const fuzzCase = normalizeCase({
+                persona,
+                auth: personas[persona],
+                path: random.pick(paths),
+                operation: random.pick(operations),
+                data: this.generateData(random),
+                params: {}
+            });
+
+            if (this.createTestCases(fuzzCase)) {
+                cases.push(fuzzCase);
+            }
+        }
+
+        return cases;
+    }
+
+    /*
+     * Generate a payload with a random subset of the fields.
+     */
+    generateData(random: Random): Object {
+        const { fields = {} } = this.options;
+
+        return Object.keys(fields).reduce((data, name) => {
+            if (random.next() < 0.8) {
+                data[name] = fields[name].generate(random);
+            }
+            return data;
+        }, {});
+    }
+
+    createTestCases(fuzzCase: FuzzCase): ?(FirestoreTestCase[]) {
+        return this.database.createMatrixTest(
+            fuzzCase.auth,
+            fuzzCase.path,
+            fuzzCase.operation,
+            () => fuzzCase.data || {},
+            this.options.options
+        );
+    }
+
+    /*
+     * Evaluate the cases, true for the allowed ones.
+     */
+    async evaluate(cases: FuzzCase[]): Promise<boolean[]> {
+        const assertions = cases.map(
+            fuzzCase => this.createTestCases(fuzzCase) || []
+        );
+        const summaries = await this.database.runAssertions(
+            this.database.getRulesSource(),
+            assertions
+        );
+
+        return summaries.map(summary => summary.success);
+    }
+
+    /*
+     * Simplify the data of a case as long as it violates the invariant:
+     * by removing fields, or replacing them with simpler values.
+     * Each step evaluates the candidates of the previous one.
+     */
+    async shrink(
+        invariant: Invariant,
+        fuzzCase: FuzzCase,
+        step: number = 0
+    ): Promise<FuzzCase> {
+        const candidates =
+            step < MAX_SHRINKS
+                ? this.getShrinkCandidates(fuzzCase).filter(
+                      candidate => !!this.createTestCases(candidate)
+                  )
+                : [];
+        const outcomes =
+            candidates.length > 0 ? await this.evaluate(candidates) : [];
+        const next = candidates.find(
+            (candidate, index) =>
+                !!getViolation(invariant, candidate, outcomes[index])
+        );
+
+        if (next) {
+            return this.shrink(invariant, next, step + 1);
+        }
+
+        const params = invariant.path
+            ? matchPath(invariant.path, fuzzCase.path)
+            : null;
+        return { ...fuzzCase, params: params || {} };
+    }
+
+    getShrinkCandidates(fuzzCase: FuzzCase): FuzzCase[] {
+        const { fields = {} } = this.options;
+        const { data } = fuzzCase;
+
+        // Only writes have data
+        if (!data) {
+            return [];
+        }
+
+        return Object.keys(data).reduce((candidates, name) => {
+            const { [name]: removed, ...withoutField } = data;
+            const simpler = fields[name] ? fields[name].shrink(removed) : [];
+
+            return candidates
+                .concat([{ ...fuzzCase, data: withoutField }])
+                .concat(
+                    simpler.map(value => ({
+                        ...fuzzCase,
+                        data: { ...data, [name]: value }
+                    }))
+                );
+        }, []);
+    }
+}
+
+/*
+ * Return the case with its wildcards if it violates the invariant.
+ */
+function getViolation(
+    invariant: Invariant,
+    fuzzCase: FuzzCase,
+    allowed: boolean
+): ?FuzzCase {
+    const params = invariant.path
+        ? matchPath(invariant.path, fuzzCase.path)
+        : {};
+
+    if (!params) {
+        return null;
+    }
+
+    if (
+        invariant.operations &&
+        invariant.operations.indexOf(fuzzCase.operation) < 0
+    ) {
+        return null;
+    }
+
+    const withParams = { ...fuzzCase, params };
+    if (invariant.when && !invariant.when(withParams)) {
+        return null;
+    }
+
+    return allowed == (invariant.expect == 'allow') ? null : withParams;
+}
+
+// Only writes have data
+function normalizeCase(fuzzCase: FuzzCase): FuzzCase {
+    return fuzzCase.operation == 'create' || fuzzCase.operation == 'update'
+        ? fuzzCase
+        : { ...fuzzCase, data: null };
+}
+
+/*
+ * Format the assertion expected by an invariant, failing for a case.
+ */
+export function formatReproduction(
+    fuzzCase: FuzzCase,
+    expect: 'allow' | 'deny'
+): string {
+    const prefix = expect == 'allow' ? 'can' : 'cannot';
+    const auth = `personas[${JSON.stringify(fuzzCase.persona)}]`;
+    const path = JSON.stringify(fuzzCase.path);
+    const data = JSON.stringify(fuzzCase.data || {});
+    const collection = JSON.stringify(
+        fuzzCase.path
+            .split('/')
+            .slice(0, -1)
+            .join('/')
+    );
+
+    let call;
+    switch (fuzzCase.operation) {
+        case 'get':
+            call = `${prefix}Get(${auth}, ${path})`;
+            break;
+        case 'list':
+            call = `${prefix}List(${auth}, ${
+                fuzzCase.path.split('/').length % 2 == 0 ? collection : path
+            })`;
+            break;
+        case 'create':
+            call = `${prefix}Set(${auth}, ${path}, ${data})`;
+            break;
+        case 'update':
+            call = `${prefix}Update(${auth}, ${path}, ${data})`;
+            break;
+        default:
+            call = `${prefix}Commit(${auth}, [Batch.delete(${path})])`;
+    }
+
+    return `assert(await database.${call});`;
+}
+
+/*
+ * Format a report of the violated invariants.
+ */
+export function formatFuzzReport(report: FuzzReport): string {
+    const { seed, runs, violations } = report;
+
+    if (violations.length == 0) {
+        return `No invariant violated in ${runs} case(s) (seed ${seed}).`;
+    }
+
+    return violations
+        .map(
+            violation =>
+                `Invariant "${violation.invariant}" violated by ${
+                    violation.count
+                } case(s), minimal case:\n    ${violation.reproduction}`
+        )
+        .concat([`Replay with the seed ${seed}.`])
+        .join('\n\n');
+}
+
+function uniqueValues<T>(values: T[]): T[] {
+    return values.filter((value, index) => values.indexOf(value) == index);
+}
+
+export default Fuzzer;
@@ -1,6 +1,90 @@
 /* @flow */
 import Database from './database';
 import Batch from './batch';
+import Transaction from './transaction';
 import assert from './assert';
+import Auth from './auth';
+import Coverage from './coverage';
+import Matrix from './matrix';
+import {
+    RulesCompilationError,
+    RulesApiError,
+    AuthenticationError,
+    QuotaError,
+    TransientError,
+    CredentialError
+} from './errors';
+import { fromDocumentMap, fromRestDocuments } from './fixtures';
+import { formatSummary } from './report';
+import { formatComparison } from './comparison';
+import { Generators, formatFuzzReport } from './fuzz';
+import { formatSchemaReport } from './schema';
+import {
+    defineFactory,
+    build,
+    buildList,
+    buildData,
+    createIn,
+    seq,
+    ref,
+    resetFactories,
+    resetSequences
+} from './factories';
+import {
+    Timestamp,
+    GeoPoint,
+    DocumentReference,
+    Bytes,
+    FieldValue
+} from './values';
+import matchers, { registerMatchers, toJasmineMatchers } from './matchers';
+import LocalBackend from './backends/local';
+import RemoteBackend from './backends/remote';
+import StubBackend from './backends/stub';
+import HttpBackend from './backends/http';
+import RecordingBackend from './backends/recording';
 
-export { Database, Batch, assert };
+export {
+    Database,
+    Batch,
+    Transaction,
+    Auth,
+    assert,
+    Coverage,
+    Matrix,
+    RulesCompilationError,
+    RulesApiError,
+    AuthenticationError,
+    QuotaError,
+    TransientError,
+    CredentialError,
+    fromDocumentMap,
+    fromRestDocuments,
+    formatSummary,
+    formatComparison,
+    Generators,
+    formatFuzzReport,
+    formatSchemaReport,
+    defineFactory,
+    build,
+    buildList,
+    buildData,
+    createIn,
+    seq,
+    ref,
+    resetFactories,
+    resetSequences,
+    matchers,
+    registerMatchers,
+    toJasmineMatchers,
+    LocalBackend,
+    RemoteBackend,
+    StubBackend,
+    HttpBackend,
+    RecordingBackend,
+    Timestamp,
+    GeoPoint,
+    DocumentReference,
+    Bytes,
+    FieldValue
+};
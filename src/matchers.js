@@ -0,0 +1,188 @@
+/* @flow */
+import type {
+    FirestoreAuth,
+    FirestoreQuery,
+    TestOptions,
+    TestSummary
+} from './types';
+import type Database from './database';
+import Batch, { type BatchOperation, type SetOptions } from './batch';
+import type Transaction from './transaction';
+import { formatSummary, getTestDescription } from './report';
+
+// Globals of the test frameworks
+declare var expect: any;
+declare var jasmine: any;
+
+type MatcherResult = {
+    pass: boolean,
+    message: () => string
+};
+
+type Matcher = (database: Database, ...args: any[]) => Promise<MatcherResult>;
+
+function commit(
+    database: Database,
+    allow: boolean,
+    auth: FirestoreAuth,
+    batch: BatchOperation[],
+    options?: TestOptions
+): Promise<TestSummary> {
+    return database.testRules(
+        database.createCommitTest(allow, auth, batch, options),
+        batch
+    );
+}
+
+/*
+ * Runners creating and testing the cases for each kind of operation.
+ */
+const RUNNERS = {
+    Get: (
+        database: Database,
+        allow: boolean,
+        auth: FirestoreAuth,
+        path: string,
+        options?: TestOptions
+    ) =>
+        database.testRules([
+            database.createGetTest(allow, auth, path, options)
+        ]),
+    List: (
+        database: Database,
+        allow: boolean,
+        auth: FirestoreAuth,
+        path: string,
+        query?: FirestoreQuery,
+        options?: TestOptions
+    ) =>
+        database.testRules([
+            database.createListTest(allow, auth, path, query, options)
+        ]),
+    Set: (
+        database: Database,
+        allow: boolean,
+        auth: FirestoreAuth,
+        path: string,
+        data: Object,
+        options?: TestOptions & SetOptions
+    ) =>
+        commit(
+            database,
+            allow,
+            auth,
+            [Batch.set(path, data, options)],
+            options
+        ),
+    Update: (
+        database: Database,
+        allow: boolean,
+        auth: FirestoreAuth,
+        path: string,
+        data: Object,
+        options?: TestOptions
+    ) => commit(database, allow, auth, [Batch.update(path, data)], options),
+    Delete: (
+        database: Database,
+        allow: boolean,
+        auth: FirestoreAuth,
+        path: string,
+        options?: TestOptions
+    ) => commit(database, allow, auth, [Batch.delete(path)], options),
+    Commit: commit,
+    Transaction: (
+        database: Database,
+        allow: boolean,
+        auth: FirestoreAuth,
+        transaction: Transaction,
+        options?: TestOptions
+    ) =>
+        database.testRules(
+            database.createTransactionTest(allow, auth, transaction, options),
+            transaction.getWrites()
+        )
+};
+
+/*
+ * Message for a passing summary, displayed when the matcher is negated.
+ */
+function getNegatedMessage(summary: TestSummary): string {
+    const test = summary.tests[0];
+    if (!test) {
+        return 'No test to run.';
+    }
+
+    return getTestDescription({
+        ...test.case,
+        expectation: test.case.expectation == 'ALLOW' ? 'DENY' : 'ALLOW'
+    });
+}
+
+function createMatcher(
+    allow: boolean,
+    run: (
+        database: Database,
+        allow: boolean,
+        ...args: any[]
+    ) => Promise<TestSummary>
+): Matcher {
+    return async (database: Database, ...args: any[]) => {
+        const summary = await run(database, allow, ...args);
+
+        return {
+            pass: summary.success,
+            message: () =>
+                summary.success
+                    ? getNegatedMessage(summary)
+                    : formatSummary(summary)
+        };
+    };
+}
+
+/*
+ * Async matchers, to use with "expect.extend(matchers)":
+ *   await expect(database).toAllowGet(auth, 'users/userA');
+ */
+const matchers: { [string]: Matcher } = Object.keys(RUNNERS).reduce(
+    (result, operation) => {
+        result[`toAllow${operation}`] = createMatcher(true, RUNNERS[operation]);
+        result[`toDeny${operation}`] = createMatcher(false, RUNNERS[operation]);
+        return result;
+    },
+    {}
+);
+
+/*
+ * Convert the matchers to the format of "jasmine.addAsyncMatchers".
+ */
+export function toJasmineMatchers(): { [string]: () => Object } {
+    return Object.keys(matchers).reduce((result, name) => {
+        result[name] = () => ({
+            compare: async (...args) => {
+                const { pass, message } = await matchers[name](...args);
+                return { pass, message: message() };
+            }
+        });
+        return result;
+    }, {});
+}
+
+/*
+ * Register the matchers in the current test framework.
+ */
+export function registerMatchers(): void {
+    if (typeof expect != 'undefined' && expect.extend) {
+        expect.extend(matchers);
+    } else if (
+        typeof jasmine != 'undefined' &&
+        typeof jasmine.addAsyncMatchers == 'function'
+    ) {
+        jasmine.addAsyncMatchers(toJasmineMatchers());
+    } else {
+        throw new Error(
+            'No test framework found to register the matchers, expected Jest or Jasmine'
+        );
+    }
+}
+
+export default matchers;
@@ -0,0 +1,317 @@
+/* @flow */
+import FS from 'fs';
+import type { FirestoreAuth, FirestoreTestCase, TestOptions } from './types';
+
+export type MatrixOperation = 'get' | 'list' | 'create' | 'update' | 'delete';
+
+export type MatrixOptions = {
+    personas: { [name: string]: FirestoreAuth },
+    paths: string[],
+    operations?: MatrixOperation[],
+    // Data written by "create" and "update"
+    data?: Object | ((path: string, operation: MatrixOperation) => Object),
+    options?: TestOptions
+};
+
+// Tests of an operation of a persona on a path
+export type MatrixCell = {
+    persona: string,
+    path: string,
+    operation: MatrixOperation,
+    testCases: FirestoreTestCase[]
+};
+
+// Outcome of an operation, null when it doesn't apply to the path
+export type MatrixOutcome = 'allow' | 'deny' | null;
+
+export type MatrixRow = {
+    persona: string,
+    path: string,
+    outcomes: { [operation: string]: MatrixOutcome }
+};
+
+// An outcome which changed between two matrices
+export type MatrixChange = {
+    persona: string,
+    path: string,
+    operation: string,
+    before: MatrixOutcome,
+    after: MatrixOutcome
+};
+
+export const MATRIX_OPERATIONS: MatrixOperation[] = [
+    'get',
+    'list',
+    'create',
+    'update',
+    'delete'
+];
+
+const NOT_APPLICABLE = '-';
+
+/*
+ * Table of the operations allowed for each persona on each path.
+ */
+class Matrix {
+    operations: $ReadOnlyArray<string>;
+    rows: MatrixRow[];
+
+    constructor(operations: $ReadOnlyArray<string>, rows: MatrixRow[]) {
+        this.operations = operations;
+        this.rows = rows;
+    }
+
+    /*
+     * Outcome of an operation for a persona on a path.
+     */
+    get(persona: string, path: string, operation: string): MatrixOutcome {
+        const row = this.rows.find(
+            other => other.persona == persona && other.path == path
+        );
+
+        return row && row.outcomes[operation] ? row.outcomes[operation] : null;
+    }
+
+    /*
+     * Format the matrix as a Markdown table, CSV or JSON.
+     */
+    format(type: 'markdown' | 'csv' | 'json' = 'markdown'): string {
+        switch (type) {
+            case 'markdown':
+                return formatMarkdown(this);
+            case 'csv':
+                return formatCsv(this);
+            case 'json':
+                return JSON.stringify(
+                    { operations: this.operations, rows: this.rows },
+                    null,
+                    4
+                );
+            default:
+                throw new Error(`Unknown matrix format "${type}"`);
+        }
+    }
+
+    /*
+     * Write the formatted matrix to a file.
+     */
+    writeFile(
+        filePath: string,
+        type: 'markdown' | 'csv' | 'json' = getFileType(filePath)
+    ) {
+        FS.writeFileSync(filePath, `${this.format(type)}\n`, 'utf8');
+    }
+
+    /*
+     * List the outcomes which differ from another matrix.
+     */
+    compare(other: Matrix): MatrixChange[] {
+        const keys = [];
+        const addKey = row => {
+            const key = JSON.stringify([row.persona, row.path]);
+            if (keys.indexOf(key) < 0) {
+                keys.push(key);
+            }
+        };
+        other.rows.forEach(addKey);
+        this.rows.forEach(addKey);
+
+        const operations = other.operations.concat(
+            this.operations.filter(
+                operation => other.operations.indexOf(operation) < 0
+            )
+        );
+
+        return keys.reduce((changes, key) => {
+            const [persona, path] = JSON.parse(key);
+
+            operations.forEach(operation => {
+                const before = other.get(persona, path, operation);
+                const after = this.get(persona, path, operation);
+
+                if (before != after) {
+                    changes.push({ persona, path, operation, before, after });
+                }
+            });
+
+            return changes;
+        }, []);
+    }
+
+    /*
+     * Compare the matrix with a snapshot file, written by "writeFile".
+     * It throws an error listing the changes, or when the snapshot is
+     * missing, like Jest with "--ci". The snapshot is written when "update"
+     * is true.
+     */
+    checkSnapshot(filePath: string, { update }: { update?: boolean } = {}) {
+        if (update) {
+            this.writeFile(filePath);
+            return;
+        }
+
+        if (!FS.existsSync(filePath)) {
+            throw new Error(
+                `Access matrix snapshot ${
+                    filePath
+                } is missing, write it with { update: true }`
+            );
+        }
+
+        const snapshot = parseMatrix(FS.readFileSync(filePath, 'utf8'));
+        const changes = this.compare(snapshot);
+
+        if (changes.length == 0) {
+            return;
+        }
+
+        throw new Error(
+            `Access matrix doesn't match the snapshot ${
+                filePath
+            }:\n\n${formatChanges(changes)}`
+        );
+    }
+}
+
+/*
+ * Read a matrix formatted as Markdown, CSV or JSON.
+ */
+export function parseMatrix(content: string): Matrix {
+    const trimmed = content.trim();
+
+    if (trimmed[0] == '{') {
+        const json = JSON.parse(trimmed);
+        return new Matrix(json.operations, json.rows);
+    }
+
+    const lines = trimmed
+        .split('\n')
+        .map(line => line.trim())
+        // Separator of the Markdown header
+        .filter(line => line && !/^\|?[\s|:-]+\|?$/.test(line));
+    const cells = lines.map(
+        line =>
+            line[0] == '|'
+                ? line
+                      .slice(1, line.endsWith('|') ? -1 : undefined)
+                      .split('|')
+                      .map(cell => cell.trim())
+                : parseCsvLine(line)
+    );
+
+    const operations = cells[0].slice(2);
+    const rows = cells.slice(1).map(([persona, path, ...outcomes]) => ({
+        persona,
+        path: path.replace(/^`|`$/g, ''),
+        outcomes: operations.reduce((result, operation, index) => {
+            const outcome = outcomes[index];
+            result[operation] =
+                outcome == 'allow' || outcome == 'deny' ? outcome : null;
+            return result;
+        }, {})
+    }));
+
+    return new Matrix(operations, rows);
+}
+
+/*
+ * Describe the changes, one per line:
+ *   - owner get users/userA: deny -> allow
+ */
+export function formatChanges(changes: MatrixChange[]): string {
+    return changes
+        .map(
+            ({ persona, path, operation, before, after }) =>
+                `  - ${persona} ${operation} ${path}: ${before ||
+                    NOT_APPLICABLE} -> ${after || NOT_APPLICABLE}`
+        )
+        .join('\n');
+}
+
+function formatMarkdown(matrix: Matrix): string {
+    const header = ['persona', 'path'].concat(matrix.operations);
+    const rows = matrix.rows.map(row =>
+        [row.persona, `\`${row.path}\``].concat(
+            matrix.operations.map(
+                operation => row.outcomes[operation] || NOT_APPLICABLE
+            )
+        )
+    );
+    const widths = header.map((title, column) =>
+        rows.reduce(
+            (width, row) => Math.max(width, row[column].length),
+            title.length
+        )
+    );
+    const formatRow = row =>
+        `| ${row
+            .map(
+                (cell, column) =>
+                    cell + ' '.repeat(widths[column] - cell.length)
+            )
+            .join(' | ')} |`;
+
+    return [
+        formatRow(header),
+        `| ${widths.map(width => '-'.repeat(width)).join(' | ')} |`
+    ]
+        .concat(rows.map(formatRow))
+        .join('\n');
+}
+
+function formatCsv(matrix: Matrix): string {
+    const header = ['persona', 'path'].concat(matrix.operations);
+    const rows = matrix.rows.map(row =>
+        [row.persona, row.path].concat(
+            matrix.operations.map(
+                operation => row.outcomes[operation] || NOT_APPLICABLE
+            )
+        )
+    );
+
+    return [header]
+        .concat(rows)
+        .map(row => row.map(escapeCsv).join(','))
+        .join('\n');
+}
+
+function escapeCsv(value: string): string {
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function parseCsvLine(line: string): string[] {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let index = 0; index < line.length; index += 1) {
+        const char = line[index];
+
+        if (quoted && char == '"' && line[index + 1] == '"') {
+            cell += '"';
+            index += 1;
+        } else if (char == '"') {
+            quoted = !quoted;
+        } else if (char == ',' && !quoted) {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    return cells.concat([cell]);
+}
+
+function getFileType(filePath: string): 'markdown' | 'csv' | 'json' {
+    if (filePath.endsWith('.csv')) {
+        return 'csv';
+    }
+    if (filePath.endsWith('.json')) {
+        return 'json';
+    }
+
+    return 'markdown';
+}
+
+export default Matrix;
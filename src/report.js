@@ -0,0 +1,157 @@
+/* @flow */
+import type {
+    TestSummary,
+    FirestoreTestCase,
+    FirestoreTestResult,
+    RulesSource,
+    SourcePosition
+} from './types';
+
+const INDENT = '    ';
+
+/*
+ * Short description of the expectation of a test.
+ */
+export function getTestDescription(test: FirestoreTestCase): string {
+    const end = test.expectation == 'ALLOW' ? 'to succeed' : 'to fail';
+    return `Expected the ${test.request.method} operation ${end}.`;
+}
+
+/*
+ * Format a complete report of the failing tests in a summary.
+ */
+export function formatSummary(summary: TestSummary): string {
+    const failing = summary.tests.filter(
+        ({ result }) => result.state == 'FAILURE'
+    );
+
+    if (failing.length == 0) {
+        return `All ${summary.tests.length} test(s) passed.`;
+    }
+
+    if (summary.tests.length == 1) {
+        return formatFailure(
+            failing[0].case,
+            failing[0].result,
+            summary.source
+        );
+    }
+
+    const header = `${failing.length} of ${
+        summary.tests.length
+    } test(s) failed.`;
+    const reports = failing.map((test, i) =>
+        formatFailure(test.case, test.result, summary.source, `${i + 1}) `)
+    );
+
+    return [header].concat(reports).join('\n\n');
+}
+
+/*
+ * Format the details of a failing test.
+ */
+function formatFailure(
+    test: FirestoreTestCase,
+    result: FirestoreTestResult,
+    source: ?RulesSource,
+    prefix: string = ''
+): string {
+    const { request, resource } = test;
+    const { debugMessages, visitedExpressions, errorPosition } = result;
+    const lines = [
+        `${prefix}${getTestDescription(test)}`,
+        `${INDENT}path: ${request.path}`,
+        `${INDENT}method: ${request.method}`,
+        `${INDENT}expectation: ${test.expectation}`,
+        `${INDENT}auth: ${formatValue(request.auth)}`
+    ];
+
+    if (request.resource) {
+        lines.push(
+            `${INDENT}request data: ${formatValue(request.resource.data)}`
+        );
+    }
+
+    if (request.query) {
+        lines.push(`${INDENT}query: ${formatValue(request.query)}`);
+    }
+
+    lines.push(
+        `${INDENT}resource data: ${formatValue(
+            resource ? resource.data : null
+        )}`
+    );
+
+    if (debugMessages && debugMessages.length > 0) {
+        lines.push(`${INDENT}debug messages:`);
+        debugMessages.forEach(message => {
+            lines.push(indent(message, 2));
+        });
+    }
+
+    if (visitedExpressions && visitedExpressions.length > 0) {
+        lines.push(`${INDENT}evaluated expressions:`);
+        visitedExpressions.forEach(visited => {
+            const value = visited.error
+                ? `error: ${visited.error}`
+                : formatValue(visited.value);
+
+            lines.push(
+                indent(`${formatPosition(visited.sourcePosition)} ${value}`, 2)
+            );
+            lines.push(...formatSourceLine(source, visited.sourcePosition, 3));
+        });
+    }
+
+    if (errorPosition) {
+        lines.push(`${INDENT}error at ${formatPosition(errorPosition)}`);
+        lines.push(...formatSourceLine(source, errorPosition, 2));
+    }
+
+    return lines.join('\n');
+}
+
+function formatPosition(position: SourcePosition): string {
+    return `${position.fileName || 'firestore.rules'}:${position.line}:${
+        position.column
+    }`;
+}
+
+/*
+ * Return the line of the rules at a position, if the source is known.
+ */
+function formatSourceLine(
+    source: ?RulesSource,
+    position: SourcePosition,
+    depth: number
+): string[] {
+    if (!source) {
+        return [];
+    }
+
+    const file =
+        source.files.find(({ name }) => name == position.fileName) ||
+        (source.files.length == 1 ? source.files[0] : null);
+    if (!file) {
+        return [];
+    }
+
+    const line = file.content.split('\n')[position.line - 1];
+    return line ? [indent(line.trim(), depth)] : [];
+}
+
+function formatValue(value: any): string {
+    if (value === undefined) {
+        return 'undefined';
+    }
+
+    return JSON.stringify(value);
+}
+
+function indent(text: string, depth: number): string {
+    const prefix = INDENT.repeat(depth);
+    return text
+        .split('\n')
+        .map(line => `${prefix}${line}`)
+        .join('\n');
+}
@@ -0,0 +1,112 @@
+/* @flow */
+import { TransientError, toRulesApiError } from './errors';
+
+/*
+ * Helpers to send requests to a remote backend reliably.
+ */
+
+export type RetryOptions = {
+    // Number of retries after the first attempt
+    retries: number,
+    // Delay before the first retry, doubled for each retry (in ms)
+    retryDelay: number
+};
+
+export type Limiter = <T>(task: () => Promise<T>) => Promise<T>;
+
+/*
+ * Create a function running at most "concurrency" tasks at the same time,
+ * the other ones wait in order.
+ */
+export function createLimiter(concurrency: number): Limiter {
+    const queue: {
+        task: () => Promise<any>,
+        resolve: (result: any) => void,
+        reject: (error: Error) => void
+    }[] = [];
+    let running = 0;
+
+    const next = () => {
+        if (running >= concurrency || queue.length == 0) {
+            return;
+        }
+
+        const { task, resolve, reject } = queue.shift();
+        running += 1;
+
+        task()
+            .then(resolve, reject)
+            .then(() => {
+                running -= 1;
+                next();
+            });
+    };
+
+    return <T>(task: () => Promise<T>): Promise<T> =>
+        new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            next();
+        });
+}
+
+/*
+ * Reject with a TransientError if a promise takes too long.
+ * No timeout is applied when it is 0.
+ */
+export function withTimeout<T>(
+    promise: Promise<T>,
+    timeout: number
+): Promise<T> {
+    if (!timeout) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            reject(
+                new TransientError(
+                    `Request timed out after ${timeout}ms`,
+                    'ETIMEDOUT'
+                )
+            );
+        }, timeout);
+
+        promise.then(
+            value => {
+                clearTimeout(timer);
+                resolve(value);
+            },
+            error => {
+                clearTimeout(timer);
+                reject(error);
+            }
+        );
+    });
+}
+
+/*
+ * Run a task, and run it again with an exponential backoff when it fails
+ * with a retryable error. Errors are converted to typed errors.
+ */
+export async function withRetries<T>(
+    task: () => Promise<T>,
+    { retries, retryDelay }: RetryOptions,
+    attempt: number = 0
+): Promise<T> {
+    try {
+        return await task();
+    } catch (error) {
+        const typed = toRulesApiError(error);
+
+        if (!typed || !typed.retryable || attempt >= retries) {
+            throw typed;
+        }
+
+        await wait(retryDelay * 2 ** attempt);
+        return withRetries(task, { retries, retryDelay }, attempt + 1);
+    }
+}
+
+function wait(delay: number): Promise<void> {
+    return new Promise(resolve => setTimeout(resolve, delay));
+}
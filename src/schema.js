@@ -0,0 +1,436 @@
+/* @flow */
+import type { FirestoreAuth, FirestoreTestCase, TestOptions } from './types';
+import type Database from './database';
+import Batch from './batch';
+import { findOrCreateDocument } from './fixtures';
+import {
+    Timestamp,
+    GeoPoint,
+    DocumentReference,
+    Bytes,
+    FieldValue
+} from './values';
+
+/*
+ * Validation of the written fields: valid and invalid payloads are
+ * generated from the schema of a collection, the valid ones must be
+ * allowed and each invalid one denied.
+ *
+ *   const report = await database.checkSchema({
+ *       auth: Auth.user('alice'),
+ *       path: 'posts/post1',
+ *       fields: {
+ *           title: { type: 'string', minLength: 1, maxLength: 100 },
+ *           status: { type: 'string', enum: ['draft', 'published'] },
+ *           likes: { type: 'int', min: 0, optional: true }
+ *       },
+ *       strict: true
+ *   });
+ */
+
+export type SchemaFieldType =
+    | 'string'
+    | 'int'
+    | 'float'
+    | 'number'
+    | 'bool'
+    | 'timestamp'
+    | 'latlng'
+    | 'path'
+    | 'bytes'
+    | 'map'
+    | 'list';
+
+export type SchemaField = {
+    type: SchemaFieldType,
+    // The field can be missing from the document
+    optional?: boolean,
+    enum?: any[],
+    // Length of a string, or size of a list or a map
+    minLength?: number,
+    maxLength?: number,
+    // Bounds of a number
+    min?: number,
+    max?: number
+};
+
+// "set" writes a new document, "update" updates a document holding a
+// valid payload
+export type SchemaOperation = 'set' | 'update';
+
+export type SchemaOptions = {
+    auth: FirestoreAuth,
+    // Document written by the payloads
+    path: string,
+    fields: { [name: string]: SchemaField },
+    // Fields missing from the schema must be denied
+    strict?: boolean,
+    operations?: SchemaOperation[],
+    options?: TestOptions
+};
+
+export type SchemaPayload = {
+    operation: SchemaOperation,
+    data: Object,
+    // Constraint broken by the payload, null for a valid payload
+    constraint: ?string
+};
+
+export type SchemaReport = {
+    // Number of payloads checked
+    total: number,
+    // Invalid payloads allowed, and valid payloads denied
+    failures: SchemaPayload[]
+};
+
+const SCHEMA_OPERATIONS: SchemaOperation[] = ['set', 'update'];
+
+// Field added by the payloads of a strict schema
+const UNKNOWN_FIELD = 'unknownField';
+
+/*
+ * Generate the payloads of a schema, and check them against the rules.
+ */
+class SchemaChecker {
+    database: Database;
+    options: SchemaOptions;
+
+    constructor(database: Database, options: SchemaOptions) {
+        this.database = database;
+        this.options = options;
+    }
+
+    async run(): Promise<SchemaReport> {
+        const { operations = SCHEMA_OPERATIONS } = this.options;
+        const payloads = operations.reduce(
+            (result, operation) =>
+                result.concat(this.generatePayloads(operation)),
+            []
+        );
+        const assertions = this.createAssertions(payloads);
+        const summaries = await this.database.runAssertions(
+            this.database.getRulesSource(),
+            assertions
+        );
+
+        return {
+            total: payloads.length,
+            failures: payloads.filter(
+                (payload, index) =>
+                    summaries[index].success != !payload.constraint
+            )
+        };
+    }
+
+    /*
+     * Generate the valid payloads of an operation, followed by an invalid
+     * payload for each constraint of the schema.
+     */
+    generatePayloads(operation: SchemaOperation): SchemaPayload[] {
+        const { fields, strict } = this.options;
+        const names = Object.keys(fields);
+        const valid = createValidData(fields);
+        const payloads = [{ operation, data: valid, constraint: null }];
+        // Updated fields are merged with the valid document
+        const withField = (name, value) =>
+            operation == 'set'
+                ? { ...valid, [name]: value }
+                : { [name]: value };
+
+        if (operation == 'set') {
+            const required = createValidData(fields, true);
+            if (Object.keys(required).length < names.length) {
+                payloads.push({ operation, data: required, constraint: null });
+            }
+        }
+
+        names.forEach(name => {
+            const field = fields[name];
+
+            if (!field.optional) {
+                payloads.push({
+                    operation,
+                    data:
+                        operation == 'set'
+                            ? omitField(valid, name)
+                            : { [name]: FieldValue.delete() },
+                    constraint: `"${name}" is required`
+                });
+            }
+
+            getInvalidValues(field).forEach(({ value, constraint }) => {
+                payloads.push({
+                    operation,
+                    data: withField(name, value),
+                    constraint: `"${name}" ${constraint}`
+                });
+            });
+        });
+
+        if (strict && names.indexOf(UNKNOWN_FIELD) < 0) {
+            payloads.push({
+                operation,
+                data: withField(UNKNOWN_FIELD, 'a'),
+                constraint: `no other field than ${formatValues(names)}`
+            });
+        }
+
+        return payloads;
+    }
+
+    /*
+     * Create the test of each payload, expecting it to be allowed. The
+     * document is removed before a "set", and holds a valid payload before
+     * an "update"; the dataset is restored afterwards.
+     */
+    createAssertions(payloads: SchemaPayload[]): FirestoreTestCase[][] {
+        const { auth, path, fields, options } = this.options;
+        const snapshot = this.database.snapshot();
+        const doc = findOrCreateDocument(this.database.collections, path);
+
+        try {
+            return payloads.map(({ operation, data }) => {
+                doc.fields =
+                    operation == 'set' ? null : createValidData(fields);
+
+                return this.database.createCommitTest(
+                    true,
+                    auth,
+                    [
+                        operation == 'set'
+                            ? Batch.set(path, data)
+                            : Batch.update(path, data)
+                    ],
+                    options
+                );
+            });
+        } finally {
+            this.database.restore(snapshot);
+        }
+    }
+}
+
+/*
+ * Create a payload respecting all the constraints, with only the required
+ * fields or with all of them.
+ */
+export function createValidData(
+    fields: { [name: string]: SchemaField },
+    requiredOnly?: boolean
+): Object {
+    return Object.keys(fields).reduce((data, name) => {
+        if (!requiredOnly || !fields[name].optional) {
+            data[name] = getValidValue(fields[name]);
+        }
+        return data;
+    }, {});
+}
+
+export function getValidValue(field: SchemaField): any {
+    const { type, minLength = 0, maxLength } = field;
+
+    if (field.enum && field.enum.length > 0) {
+        return field.enum[0];
+    }
+
+    switch (type) {
+        case 'string':
+            return 'a'.repeat(getValidLength(minLength, maxLength, 1));
+        case 'int':
+        case 'number':
+            return getValidInteger(field);
+        case 'float':
+            return getValidFloat(field);
+        case 'bool':
+            return true;
+        case 'timestamp':
+            return new Timestamp('2020-01-01T00:00:00.000Z');
+        case 'latlng':
+            return new GeoPoint(0, 0);
+        case 'path':
+            return new DocumentReference('schema/valid');
+        case 'bytes':
+            return Bytes.fromString('a');
+        case 'map':
+            return createMap(getValidLength(minLength, maxLength, 0));
+        case 'list':
+            return createList(getValidLength(minLength, maxLength, 0));
+        default:
+            throw new Error(`Unknown field type "${type}"`);
+    }
+}
+
+/*
+ * Values of the field breaking each of its constraints.
+ */
+export function getInvalidValues(
+    field: SchemaField
+): { value: any, constraint: string }[] {
+    const { type, minLength, maxLength, min, max } = field;
+    const isNumber = type == 'int' || type == 'float' || type == 'number';
+    // Keep the type of the number
+    const step = type == 'float' ? 0.5 : 1;
+    const values = [
+        {
+            value: type == 'string' ? 1 : 'a',
+            constraint: `is ${getTypeDescription(type)}`
+        }
+    ];
+
+    if (field.enum && field.enum.length > 0) {
+        values.push({
+            value: isNumber
+                ? Math.max(...field.enum) + step
+                : `${field.enum.join('-')}-other`,
+            constraint: `is one of ${formatValues(field.enum)}`
+        });
+    }
+
+    if (minLength && (type == 'string' || type == 'map' || type == 'list')) {
+        values.push({
+            value: createOfLength(type, minLength - 1),
+            constraint: `has a length of at least ${minLength}`
+        });
+    }
+
+    if (
+        typeof maxLength == 'number' &&
+        (type == 'string' || type == 'map' || type == 'list')
+    ) {
+        values.push({
+            value: createOfLength(type, maxLength + 1),
+            constraint: `has a length of at most ${maxLength}`
+        });
+    }
+
+    if (typeof min == 'number' && isNumber) {
+        values.push({
+            value: type == 'float' ? min - step : Math.ceil(min) - 1,
+            constraint: `is at least ${min}`
+        });
+    }
+
+    if (typeof max == 'number' && isNumber) {
+        values.push({
+            value: type == 'float' ? max + step : Math.floor(max) + 1,
+            constraint: `is at most ${max}`
+        });
+    }
+
+    return values;
+}
+
+function omitField(data: Object, name: string): Object {
+    return Object.keys(data).reduce((result, key) => {
+        if (key != name) {
+            result[key] = data[key];
+        }
+        return result;
+    }, {});
+}
+
+function getValidLength(
+    minLength: number,
+    maxLength: ?number,
+    preferred: number
+): number {
+    const length = Math.max(minLength, preferred);
+    return typeof maxLength == 'number' ? Math.min(length, maxLength) : length;
+}
+
+function getValidInteger({ min, max }: SchemaField): number {
+    if (typeof min == 'number') {
+        return Math.ceil(min);
+    }
+
+    return typeof max == 'number' ? Math.min(0, Math.floor(max)) : 0;
+}
+
+// A float with an integer value would be an "int" in the rules
+function getValidFloat({ min, max }: SchemaField): number {
+    let low = 0;
+    if (typeof min == 'number') {
+        low = min;
+    } else if (typeof max == 'number') {
+        low = max - 1;
+    }
+    const high = typeof max == 'number' ? max : low + 1;
+    const middle = (low + high) / 2;
+
+    return Number.isInteger(middle)
+        ? middle + Math.min(0.5, (high - low) / 4)
+        : middle;
+}
+
+function createOfLength(type: SchemaFieldType, length: number): any {
+    switch (type) {
+        case 'map':
+            return createMap(length);
+        case 'list':
+            return createList(length);
+        default:
+            return 'a'.repeat(length);
+    }
+}
+
+function createMap(size: number): Object {
+    return Array.from({ length: size }).reduce((map, value, index) => {
+        map[`key${index + 1}`] = 'a';
+        return map;
+    }, {});
+}
+
+function createList(size: number): string[] {
+    return Array.from({ length: size }, () => 'a');
+}
+
+function getTypeDescription(type: SchemaFieldType): string {
+    return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+function formatValues(values: any[]): string {
+    return values.map(value => JSON.stringify(value)).join(', ');
+}
+
+/*
+ * Format a report of the constraints the rules don't enforce:
+ *   set allows a payload breaking: "title" is a string
+ *       {"title":1}
+ */
+export function formatSchemaReport(report: SchemaReport): string {
+    const { total, failures } = report;
+
+    if (failures.length == 0) {
+        return `All the ${
+            total
+        } payload(s) of the schema are checked by the rules.`;
+    }
+
+    return failures
+        .map(
+            ({ operation, data, constraint }) =>
+                `${
+                    constraint
+                        ? `${operation} allows a payload breaking: ${
+                              constraint
+                          }`
+                        : `${operation} denies a valid payload`
+                }\n    ${formatData(data)}`
+        )
+        .join('\n\n');
+}
+
+function formatData(data: Object): string {
+    return JSON.stringify(
+        Object.keys(data).reduce((result, name) => {
+            const value = data[name];
+            result[name] =
+                value instanceof FieldValue
+                    ? `FieldValue.${value.type}()`
+                    : value;
+            return result;
+        }, {})
+    );
+}
+
+export default SchemaChecker;
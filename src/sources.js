@@ -0,0 +1,131 @@
+/* @flow */
+import type {
+    RulesSource,
+    SourcePosition,
+    TestResponse,
+    FirestoreTestResult
+} from './types';
+
+/*
+ * Rules split in multiple files are stitched in a single file before being
+ * evaluated locally, in the order of the files: a file doesn't have to be a
+ * complete ruleset (ex: shared functions, or the rules of a collection).
+ * Positions reported in the stitched file are mapped back to the files.
+ */
+
+export const STITCHED_FILE_NAME = 'firestore.rules';
+
+// Lines of the stitched file coming from a file
+export type SourceMapping = {
+    fileName: string,
+    // First line of the file in the stitched file
+    start: number,
+    lines: number
+};
+
+/*
+ * Concatenate the files of a source, if there are more than one.
+ */
+export function stitchSource(
+    source: RulesSource
+): { source: RulesSource, mappings: SourceMapping[] } {
+    if (source.files.length <= 1) {
+        return { source, mappings: [] };
+    }
+
+    const mappings = [];
+    let start = 1;
+
+    const content = source.files
+        .map(file => {
+            const fileContent = file.content.endsWith('\n')
+                ? file.content
+                : `${file.content}\n`;
+            const lines = fileContent.split('\n').length - 1;
+
+            mappings.push({ fileName: file.name, start, lines });
+            start += lines;
+
+            return fileContent;
+        })
+        .join('');
+
+    return {
+        source: { files: [{ name: STITCHED_FILE_NAME, content }] },
+        mappings
+    };
+}
+
+/*
+ * Map a position in the stitched file to the original file.
+ */
+export function mapPosition(
+    position: SourcePosition,
+    mappings: SourceMapping[]
+): SourcePosition {
+    const mapping = mappings.find(
+        ({ start, lines }) =>
+            position.line >= start && position.line < start + lines
+    );
+
+    if (!mapping) {
+        return position;
+    }
+
+    return {
+        ...position,
+        fileName: mapping.fileName,
+        line: position.line - mapping.start + 1
+    };
+}
+
+/*
+ * Map all the positions in a response of a backend.
+ */
+export function mapResponse(
+    response: TestResponse,
+    mappings: SourceMapping[]
+): TestResponse {
+    if (mappings.length == 0) {
+        return response;
+    }
+
+    const result = {};
+
+    if (response.issues) {
+        result.issues = response.issues.map(issue => ({
+            ...issue,
+            sourcePosition: mapPosition(issue.sourcePosition, mappings)
+        }));
+    }
+
+    if (response.testResults) {
+        result.testResults = response.testResults.map(testResult =>
+            mapTestResult(testResult, mappings)
+        );
+    }
+
+    return result;
+}
+
+function mapTestResult(
+    testResult: FirestoreTestResult,
+    mappings: SourceMapping[]
+): FirestoreTestResult {
+    const result = { ...testResult };
+
+    if (testResult.errorPosition) {
+        result.errorPosition = mapPosition(testResult.errorPosition, mappings);
+    }
+
+    if (testResult.visitedExpressions) {
+        result.visitedExpressions = testResult.visitedExpressions.map(
+            visited => ({
+                ...visited,
+                sourcePosition: mapPosition(visited.sourcePosition, mappings)
+            })
+        );
+    }
+
+    return result;
+}
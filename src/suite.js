@@ -0,0 +1,195 @@
+/* @flow */
+import type {
+    FirestoreAuth,
+    FirestoreQuery,
+    FirestoreTestCase,
+    TestOptions,
+    TestSummary
+} from './types';
+import type Database from './database';
+import Batch, { type BatchOperation, type SetOptions } from './batch';
+import type Transaction from './transaction';
+
+/*
+ * Collect assertions, to run them in as few requests as possible.
+ *
+ *   const [canRead, cannotWrite] = await database
+ *       .suite()
+ *       .canGet(auth, 'users/userA')
+ *       .cannotSet(auth, 'users/userA', { name: 'B' })
+ *       .run();
+ */
+class Suite {
+    database: Database;
+    assertions: FirestoreTestCase[][];
+    // Writes of each assertion, applied in scenario mode
+    writes: Array<?(BatchOperation[])>;
+
+    constructor(database: Database) {
+        this.database = database;
+        this.assertions = [];
+        this.writes = [];
+    }
+
+    /*
+     * Add an assertion made of one or multiple test cases.
+     */
+    add(testCases: FirestoreTestCase[], writes?: BatchOperation[]): Suite {
+        this.assertions.push(testCases);
+        this.writes.push(writes);
+        return this;
+    }
+
+    canGet(auth: FirestoreAuth, path: string, options?: TestOptions): Suite {
+        return this.add([
+            this.database.createGetTest(true, auth, path, options)
+        ]);
+    }
+
+    cannotGet(auth: FirestoreAuth, path: string, options?: TestOptions): Suite {
+        return this.add([
+            this.database.createGetTest(false, auth, path, options)
+        ]);
+    }
+
+    canList(
+        auth: FirestoreAuth,
+        path: string,
+        query?: FirestoreQuery,
+        options?: TestOptions
+    ): Suite {
+        return this.add([
+            this.database.createListTest(true, auth, path, query, options)
+        ]);
+    }
+
+    cannotList(
+        auth: FirestoreAuth,
+        path: string,
+        query?: FirestoreQuery,
+        options?: TestOptions
+    ): Suite {
+        return this.add([
+            this.database.createListTest(false, auth, path, query, options)
+        ]);
+    }
+
+    canCommit(
+        auth: FirestoreAuth,
+        batch: BatchOperation[],
+        options?: TestOptions
+    ): Suite {
+        return this.add(
+            this.database.createCommitTest(true, auth, batch, options),
+            batch
+        );
+    }
+
+    cannotCommit(
+        auth: FirestoreAuth,
+        batch: BatchOperation[],
+        options?: TestOptions
+    ): Suite {
+        return this.add(
+            this.database.createCommitTest(false, auth, batch, options),
+            batch
+        );
+    }
+
+    canSet(
+        auth: FirestoreAuth,
+        path: string,
+        data: Object,
+        options?: TestOptions & SetOptions
+    ): Suite {
+        return this.canCommit(auth, [Batch.set(path, data, options)], options);
+    }
+
+    cannotSet(
+        auth: FirestoreAuth,
+        path: string,
+        data: Object,
+        options?: TestOptions & SetOptions
+    ): Suite {
+        return this.cannotCommit(
+            auth,
+            [Batch.set(path, data, options)],
+            options
+        );
+    }
+
+    canUpdate(
+        auth: FirestoreAuth,
+        path: string,
+        data: Object,
+        options?: TestOptions
+    ): Suite {
+        return this.canCommit(auth, [Batch.update(path, data)], options);
+    }
+
+    cannotUpdate(
+        auth: FirestoreAuth,
+        path: string,
+        data: Object,
+        options?: TestOptions
+    ): Suite {
+        return this.cannotCommit(auth, [Batch.update(path, data)], options);
+    }
+
+    canRunTransaction(
+        auth: FirestoreAuth,
+        transaction: Transaction,
+        options?: TestOptions
+    ): Suite {
+        return this.add(
+            this.database.createTransactionTest(
+                true,
+                auth,
+                transaction,
+                options
+            ),
+            transaction.getWrites()
+        );
+    }
+
+    cannotRunTransaction(
+        auth: FirestoreAuth,
+        transaction: Transaction,
+        options?: TestOptions
+    ): Suite {
+        return this.add(
+            this.database.createTransactionTest(
+                false,
+                auth,
+                transaction,
+                options
+            ),
+            transaction.getWrites()
+        );
+    }
+
+    /*
+     * Run all the assertions, and return a summary for each one of them,
+     * in the order they were added.
+     * In scenario mode, the assertions are still tested against the dataset
+     * at the time they were added.
+     */
+    async run(): Promise<TestSummary[]> {
+        const { database, assertions, writes } = this;
+        const summaries = await database.runAssertions(
+            database.getRulesSource(),
+            assertions
+        );
+
+        summaries.forEach((summary, i) => {
+            const assertionWrites = writes[i];
+            if (assertionWrites) {
+                database.applyAllowedWrites(summary, assertionWrites);
+            }
+        });
+
+        return summaries;
+    }
+}
+
+export default Suite;
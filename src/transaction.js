@@ -0,0 +1,73 @@
+/* @flow */
+import Batch, { type BatchOperation, type SetOptions } from './batch';
+
+type OperationGet = {
+    method: 'get',
+    document: string
+};
+
+export type TransactionOperation = OperationGet | BatchOperation;
+
+/*
+ * Builder for a transaction, reading documents and then writing them:
+ *
+ *   new Transaction()
+ *       .get('counters/visits')
+ *       .update('counters/visits', { count: 2 })
+ *       .create('visits/visitA', { user: 'userA' })
+ *
+ * The reads are tested against the data before the transaction, and the
+ * "getAfter" calls of the writes against the data after all the writes.
+ */
+class Transaction {
+    operations: TransactionOperation[];
+
+    constructor(operations: TransactionOperation[] = []) {
+        this.operations = operations;
+    }
+
+    get(document: string): Transaction {
+        return this.add({ method: 'get', document });
+    }
+
+    set(document: string, data: any, options?: SetOptions): Transaction {
+        return this.add(Batch.set(document, data, options));
+    }
+
+    /*
+     * Set a document, failing if it already exists.
+     */
+    create(document: string, data: any): Transaction {
+        return this.add(Batch.create(document, data));
+    }
+
+    update(document: string, data: { [string]: any }): Transaction {
+        return this.add(Batch.update(document, data));
+    }
+
+    delete(document: string): Transaction {
+        return this.add(Batch.delete(document));
+    }
+
+    /*
+     * Writes of the transaction, in order.
+     */
+    getWrites(): BatchOperation[] {
+        const writes: BatchOperation[] = [];
+
+        this.operations.forEach(operation => {
+            if (operation.method !== 'get') {
+                writes.push(operation);
+            }
+        });
+
+        return writes;
+    }
+
+    add(operation: TransactionOperation): Transaction {
+        this.operations.push(operation);
+        return this;
+    }
+}
+
+export default Transaction;
@@ -7,12 +7,24 @@ export type GoogleCredential = {
     private_key: string
 };
 
+// Credential to use the Rules API: a service account, the path of its key
+// file, or a project with an authorized client or an access token
+export type Credential = GoogleCredential | string | ProjectCredential;
+
+export type ProjectCredential = {
+    projectId: string,
+    // Client of "google-auth-library", used as the "auth" of googleapis
+    authClient?: Object,
+    accessToken?: string | (() => Promise<string>)
+};
+
 export type Document = {
     key: string,
-    fields: {
+    // Null when the document doesn't exist but has subcollections
+    fields: ?{
         [string]: mixed
     },
-    collections: FirestoreCollections
+    collections: Collections
 };
 
 export type Collection = Document[];
@@ -21,19 +33,41 @@ export type Collections = {
     [string]: Collection
 };
 
-// Parameters to define the Firebase authentication being used
-export type FirestoreAuth = {
-    uid?: string
+// Parameters to define the Firebase authentication being used,
+// null for an unauthenticated request
+export type FirestoreAuth = ?{
+    uid?: string,
+    // Claims of the ID token (email, email_verified, firebase, custom claims)
+    token?: { [string]: mixed }
+};
+
+// Time of a request, as a date, an ISO string or milliseconds since epoch
+export type FirestoreTime = Date | string | number;
+
+// Options of a single assertion
+export type TestOptions = {
+    // Fixed value of "request.time"
+    time?: FirestoreTime,
+    // Name of the database, instead of the one of the Database
+    databaseId?: string
+};
+
+// Constraints of a query on a collection
+export type FirestoreQuery = {
+    where?: [string, '<' | '<=' | '==' | '>=' | '>' | 'array-contains', any][],
+    orderBy?: string,
+    limit?: number,
+    offset?: number
 };
 
 // Mock for a function
 export type FirestoreMockFunction = {
     function: string,
-    args: [{ exact_value: string }],
+    // A document path, or any value for the defaults
+    args: [{ exact_value: string } | { anyValue: {} }],
     result: {
-        value: {
-            data: any
-        }
+        // Document of "get", or boolean of "exists"
+        value: any
     }
 };
 
@@ -50,25 +84,99 @@ export type FirestoreTestCase = {
             | 'update'
             | 'delete'
             | 'read'
-            | 'write'
+            | 'write',
+        time?: string,
+        resource?: ?{
+            data: ?Object
+        },
+        query?: {
+            where: $PropertyType<FirestoreQuery, 'where'>,
+            orderBy: ?string,
+            limit: ?number,
+            offset: ?number
+        }
     },
-    resource?: {
+    // Null when the document doesn't exist
+    resource?: ?{
         data: ?Object
     },
-    functionMocks: FirestoreMockFunction[]
+    functionMocks: FirestoreMockFunction[],
+    // Level of details of the evaluated expressions in the result
+    expressionReportLevel?: 'VISITED' | 'FULL',
+    // The time of the request is the current time, not one set by the test.
+    // Only used by the library, it's removed before the case is sent.
+    implicitTime?: boolean,
+    // Path of the document, for a create of an existing document: the case
+    // is denied by the library without being sent.
+    existingDocument?: string
+};
+
+// Position in a rules file
+export type SourcePosition = {
+    fileName: string,
+    line: number,
+    column: number
+};
+
+// Expression evaluated during a test, with its value or error
+export type VisitedExpression = {
+    sourcePosition: SourcePosition,
+    value?: any,
+    error?: string
 };
 
 // Result of a test.
 export type FirestoreTestResult = {
     state: 'SUCCESS' | 'FAILURE',
-    debugMessages?: string[]
+    debugMessages?: string[],
+    errorPosition?: SourcePosition,
+    functionCalls?: {
+        function: string,
+        args: any[]
+    }[],
+    visitedExpressions?: VisitedExpression[]
 };
 
 // Summary of tests
 export type TestSummary = {
     success: boolean,
+    // Rules used for the tests
+    source?: RulesSource,
     tests: {
         case: FirestoreTestCase,
         result: FirestoreTestResult
     }[]
 };
+
+// A file of rules
+export type RulesFile = {
+    name: string,
+    content: string
+};
+
+// Files sent to the API
+export type RulesSource = {
+    files: RulesFile[]
+};
+
+// Issue found while compiling the rules
+export type RulesIssue = {
+    sourcePosition: SourcePosition,
+    description: string,
+    severity: 'ERROR' | 'WARNING' | 'DEPRECATION'
+};
+
+// Response of the API for a test suite
+export type TestResponse = {
+    issues?: RulesIssue[],
+    testResults?: FirestoreTestResult[]
+};
+
+// Engine used to evaluate the test cases
+export interface Backend {
+    authorize(): Promise<void>;
+    test(
+        source: RulesSource,
+        testCases: FirestoreTestCase[]
+    ): Promise<TestResponse>;
+}
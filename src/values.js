@@ -0,0 +1,323 @@
+/* @flow */
+
+/*
+ * Typed Firestore values, to use in fixtures and in written data.
+ *
+ * Plain JSON can't represent them, so they are encoded as objects with a
+ * single special key, which is also the syntax to use in JSON fixtures:
+ *   { "$timestamp": "2017-11-23T10:00:00.000Z" }
+ *   { "$geopoint": { "latitude": 48.85, "longitude": 2.35 } }
+ *   { "$reference": "users/userA" }
+ *   { "$bytes": "aGVsbG8=" }
+ */
+
+export const TIMESTAMP_KEY = '$timestamp';
+export const GEOPOINT_KEY = '$geopoint';
+export const REFERENCE_KEY = '$reference';
+export const BYTES_KEY = '$bytes';
+
+const KEYS = [TIMESTAMP_KEY, GEOPOINT_KEY, REFERENCE_KEY, BYTES_KEY];
+
+// Typed values without an equivalent in the plain JSON of the Rules API
+export const RULES_API_UNSUPPORTED_KEYS = [
+    GEOPOINT_KEY,
+    REFERENCE_KEY,
+    BYTES_KEY
+];
+
+export class Timestamp {
+    date: Date;
+
+    constructor(value: Date | string | number) {
+        this.date = new Date(value);
+
+        if (Number.isNaN(this.date.getTime())) {
+            throw new Error(`Invalid timestamp "${String(value)}"`);
+        }
+    }
+
+    static now(): Timestamp {
+        return new Timestamp(Date.now());
+    }
+
+    static fromMillis(millis: number): Timestamp {
+        return new Timestamp(millis);
+    }
+
+    toDate(): Date {
+        return this.date;
+    }
+
+    toMillis(): number {
+        return this.date.getTime();
+    }
+
+    toJSON(): Object {
+        return { [TIMESTAMP_KEY]: this.date.toISOString() };
+    }
+}
+
+export class GeoPoint {
+    latitude: number;
+    longitude: number;
+
+    constructor(latitude: number, longitude: number) {
+        if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            throw new Error(`Invalid geopoint (${latitude}, ${longitude})`);
+        }
+
+        this.latitude = latitude;
+        this.longitude = longitude;
+    }
+
+    toJSON(): Object {
+        return {
+            [GEOPOINT_KEY]: {
+                latitude: this.latitude,
+                longitude: this.longitude
+            }
+        };
+    }
+}
+
+export class DocumentReference {
+    // Path of the document, relative to the database (ex: "users/userA")
+    path: string;
+
+    constructor(path: string) {
+        this.path = path.replace(/^\/+/, '');
+    }
+
+    toJSON(): Object {
+        return { [REFERENCE_KEY]: this.path };
+    }
+}
+
+export class Bytes {
+    base64: string;
+
+    constructor(base64: string) {
+        this.base64 = base64;
+    }
+
+    static fromBase64(base64: string): Bytes {
+        return new Bytes(base64);
+    }
+
+    static fromString(content: string): Bytes {
+        return new Bytes(Buffer.from(content, 'utf8').toString('base64'));
+    }
+
+    toJSON(): Object {
+        return { [BYTES_KEY]: this.base64 };
+    }
+}
+
+/*
+ * Sentinel values, computed by Firestore when a document is written:
+ *   { updatedAt: FieldValue.serverTimestamp(), count: FieldValue.increment(1) }
+ */
+export class FieldValue {
+    type:
+        | 'delete'
+        | 'serverTimestamp'
+        | 'increment'
+        | 'arrayUnion'
+        | 'arrayRemove';
+    operand: any;
+
+    constructor(type: $PropertyType<FieldValue, 'type'>, operand?: any) {
+        this.type = type;
+        this.operand = operand;
+    }
+
+    // Remove the field, in an update or a set with merge
+    static delete(): FieldValue {
+        return new FieldValue('delete');
+    }
+
+    // Time of the request
+    static serverTimestamp(): FieldValue {
+        return new FieldValue('serverTimestamp');
+    }
+
+    static increment(value: number): FieldValue {
+        return new FieldValue('increment', value);
+    }
+
+    // Add the elements missing from an array
+    static arrayUnion(...elements: any[]): FieldValue {
+        return new FieldValue('arrayUnion', elements);
+    }
+
+    // Remove all the instances of the elements from an array
+    static arrayRemove(...elements: any[]): FieldValue {
+        return new FieldValue('arrayRemove', elements);
+    }
+
+    /*
+     * Compute the new value of a field from its current value.
+     */
+    transform(current: any, time: Timestamp): any {
+        const isEqual = (a, b) =>
+            JSON.stringify(serialize(a)) == JSON.stringify(serialize(b));
+
+        switch (this.type) {
+            case 'serverTimestamp':
+                return time;
+            case 'increment':
+                return typeof current == 'number'
+                    ? current + this.operand
+                    : this.operand;
+            case 'arrayUnion': {
+                const array = Array.isArray(current) ? current : [];
+                return this.operand.reduce(
+                    (result, element) =>
+                        result.some(item => isEqual(item, element))
+                            ? result
+                            : result.concat([element]),
+                    array
+                );
+            }
+            case 'arrayRemove': {
+                const array = Array.isArray(current) ? current : [];
+                return array.filter(
+                    item =>
+                        !this.operand.some(element => isEqual(item, element))
+                );
+            }
+            default:
+                throw new Error(
+                    'FieldValue.delete() can only be used in an update, or a set with merge'
+                );
+        }
+    }
+}
+
+/*
+ * Return the special key of an encoded value, if it is one.
+ */
+export function getEncodedType(value: any): ?string {
+    if (value === null || typeof value != 'object' || Array.isArray(value)) {
+        return null;
+    }
+
+    const keys = Object.keys(value);
+    return keys.length == 1 && KEYS.indexOf(keys[0]) >= 0 ? keys[0] : null;
+}
+
+/*
+ * Return the special key of the first encoded value in a value or its
+ * children, among the given keys.
+ */
+export function findEncodedType(value: any, keys: string[] = KEYS): ?string {
+    const type = getEncodedType(value);
+    if (type && keys.indexOf(type) >= 0) {
+        return type;
+    }
+
+    if (value === null || typeof value != 'object') {
+        return null;
+    }
+
+    const children = Array.isArray(value)
+        ? value
+        : Object.keys(value).map(key => value[key]);
+
+    return children.reduce(
+        (result, child) => result || findEncodedType(child, keys),
+        null
+    );
+}
+
+/*
+ * Convert the encoded timestamps of a value to ISO strings, the way the
+ * Rules API receives the dates.
+ */
+export function toRulesApiValue(value: any): any {
+    if (getEncodedType(value) == TIMESTAMP_KEY) {
+        return value[TIMESTAMP_KEY];
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(toRulesApiValue);
+    }
+
+    if (value !== null && typeof value == 'object') {
+        return Object.keys(value).reduce((result, key) => {
+            result[key] = toRulesApiValue(value[key]);
+            return result;
+        }, {});
+    }
+
+    return value;
+}
+
+/*
+ * Encode a value (and its children) to be sent in a test case.
+ */
+export function serialize(value: any): any {
+    if (value instanceof Date) {
+        return new Timestamp(value).toJSON();
+    }
+
+    if (
+        value instanceof Timestamp ||
+        value instanceof GeoPoint ||
+        value instanceof DocumentReference ||
+        value instanceof Bytes
+    ) {
+        return value.toJSON();
+    }
+
+    if (value instanceof FieldValue) {
+        throw new Error(
+            `FieldValue.${value.type}() can only be used in written data`
+        );
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(serialize);
+    }
+
+    if (value !== null && typeof value == 'object') {
+        return Object.keys(value).reduce((result, key) => {
+            result[key] = serialize(value[key]);
+            return result;
+        }, {});
+    }
+
+    return value;
+}
+
+/*
+ * Decode the encoded values into instances of the classes.
+ */
+export function deserialize(value: any): any {
+    const type = getEncodedType(value);
+
+    switch (type) {
+        case TIMESTAMP_KEY:
+            return new Timestamp(value[type]);
+        case GEOPOINT_KEY:
+            return new GeoPoint(value[type].latitude, value[type].longitude);
+        case REFERENCE_KEY:
+            return new DocumentReference(value[type]);
+        case BYTES_KEY:
+            return new Bytes(value[type]);
+        default:
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(deserialize);
+    }
+
+    if (value !== null && typeof value == 'object') {
+        return Object.keys(value).reduce((result, key) => {
+            result[key] = deserialize(value[key]);
+            return result;
+        }, {});
+    }
+
+    return value;
+}
@@ -0,0 +1,188 @@
+/* @flow */
+import type { BatchOperation } from './batch';
+import { FieldValue, Timestamp } from './values';
+
+/*
+ * Compute the documents written by operations, the way Firestore does:
+ * "set" replaces the document (or merges it with the "merge" and
+ * "mergeFields" options), "update" replaces the fields at dotted paths,
+ * and FieldValue sentinels are resolved against the current values.
+ */
+
+/*
+ * Compute the fields of a document after a write, or null if the document
+ * is deleted. The current fields are not modified.
+ */
+export function applyWrite(
+    fields: ?Object,
+    operation: BatchOperation,
+    time: Timestamp
+): ?Object {
+    switch (operation.method) {
+        case 'set':
+        case 'create': {
+            const { data } = operation;
+            const options =
+                (operation.method === 'set' && operation.options) || {};
+            const { mergeFields } = options;
+
+            if (mergeFields) {
+                const after = cloneFields(fields || {});
+
+                mergeFields.forEach(fieldPath => {
+                    const segments = parseFieldPath(fieldPath);
+                    const value = getField(data, segments);
+
+                    if (value === undefined) {
+                        throw new Error(
+                            `Field "${
+                                fieldPath
+                            }" of "mergeFields" is not in the data`
+                        );
+                    }
+
+                    setField(after, segments, value, time);
+                });
+                return after;
+            }
+
+            if (options.merge) {
+                return mergeMaps(cloneFields(fields || {}), data, time);
+            }
+
+            return resolveSentinels(data, undefined, time);
+        }
+        case 'update': {
+            const { data } = operation;
+            const after = cloneFields(fields || {});
+
+            Object.keys(data).forEach(fieldPath => {
+                setField(
+                    after,
+                    parseFieldPath(fieldPath),
+                    data[fieldPath],
+                    time
+                );
+            });
+            return after;
+        }
+        default:
+            return null;
+    }
+}
+
+/*
+ * Copy the maps of a document, so they can be updated without modifying
+ * the dataset. Typed values are kept as they are.
+ */
+export function cloneFields(value: any): any {
+    if (Array.isArray(value)) {
+        return value.map(cloneFields);
+    }
+
+    if (isPlainMap(value)) {
+        return Object.keys(value).reduce((result, key) => {
+            result[key] = cloneFields(value[key]);
+            return result;
+        }, {});
+    }
+
+    return value;
+}
+
+/*
+ * Split a dotted field path ("address.city").
+ */
+export function parseFieldPath(fieldPath: string): string[] {
+    return fieldPath.split('.');
+}
+
+function isPlainMap(value: any): boolean {
+    return (
+        value !== null &&
+        typeof value == 'object' &&
+        Object.getPrototypeOf(value) === Object.prototype
+    );
+}
+
+function getField(data: Object, segments: string[]): any {
+    return segments.reduce(
+        (value: any, segment) =>
+            isPlainMap(value) ? value[segment] : undefined,
+        data
+    );
+}
+
+/*
+ * Set the value of a field, creating the parent maps if needed.
+ */
+function setField(
+    target: Object,
+    segments: string[],
+    value: any,
+    time: Timestamp
+) {
+    const [key, ...rest] = segments;
+
+    if (rest.length > 0) {
+        if (!isPlainMap(target[key])) {
+            if (value instanceof FieldValue && value.type == 'delete') {
+                return;
+            }
+            target[key] = {};
+        }
+
+        setField(target[key], rest, value, time);
+        return;
+    }
+
+    if (value instanceof FieldValue && value.type == 'delete') {
+        delete target[key];
+        return;
+    }
+
+    target[key] = resolveSentinels(value, target[key], time);
+}
+
+/*
+ * Merge maps recursively, as a "set" with "merge".
+ */
+function mergeMaps(target: Object, data: Object, time: Timestamp): Object {
+    Object.keys(data).forEach(key => {
+        const value = data[key];
+
+        if (isPlainMap(value)) {
+            target[key] = mergeMaps(
+                isPlainMap(target[key]) ? target[key] : {},
+                value,
+                time
+            );
+        } else {
+            setField(target, [key], value, time);
+        }
+    });
+
+    return target;
+}
+
+/*
+ * Replace the sentinels in a value.
+ */
+function resolveSentinels(value: any, current: any, time: Timestamp): any {
+    if (value instanceof FieldValue) {
+        return value.transform(current, time);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => resolveSentinels(item, undefined, time));
+    }
+
+    if (isPlainMap(value)) {
+        return Object.keys(value).reduce((result, key) => {
+            result[key] = resolveSentinels(value[key], undefined, time);
+            return result;
+        }, {});
+    }
+
+    return value;
+}